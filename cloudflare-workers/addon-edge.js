@@ -108,16 +108,14 @@ function parseConfigFromPath(path) {
   const configMatch = path.match(/^\/([^/]+)\/(manifest\.json|configure|catalog\/|meta\/|stream\/)/);
   if (configMatch && configMatch[1] && !['manifest.json', 'configure', 'catalog', 'meta', 'stream', 'logo.png', 'api'].includes(configMatch[1])) {
     const configStr = decodeURIComponent(configMatch[1]);
-    const config = {
-      blacklistGenres: [],
-      blacklistStudios: [],
-      showCounts: true
-    };
+    const config = defaultConfig();
     
     configStr.split('&').forEach(part => {
       const [key, value] = part.split('=');
       if (key === 'bg' && value) config.blacklistGenres = value.split(',').map(s => s.trim().toLowerCase());
       if (key === 'bs' && value) config.blacklistStudios = value.split(',').map(s => s.trim().toLowerCase());
+      if (key === 'wg' && value) config.whitelistGenres = value.split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+      if (key === 'ws' && value) config.whitelistStudios = value.split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
       if (key === 'showCounts') config.showCounts = value !== '0';
     });
     
@@ -125,7 +123,27 @@ function parseConfigFromPath(path) {
     return { config, cleanPath };
   }
   
-  return { config: { blacklistGenres: [], blacklistStudios: [], showCounts: true }, cleanPath: path };
+  return { config: defaultConfig(), cleanPath: path };
+}
+
+/**
+ * Default user config (no filters)
+ */
+function defaultConfig() {
+  return {
+    blacklistGenres: [],
+    blacklistStudios: [],
+    whitelistGenres: [],
+    whitelistStudios: [],
+    showCounts: true
+  };
+}
+
+/**
+ * Normalize a genre/studio for comparison ("Big Boobs" = "big-boobs")
+ */
+function normalizeFilterValue(str) {
+  return (str || '').toLowerCase().replace(/[\s-]+/g, '');
 }
 
 /**
@@ -282,6 +300,20 @@ async function handleCatalog(path, config) {
     });
   }
   
+  // Apply whitelist filters ("only show") - series must match at least one entry
+  if (config.whitelistGenres.length > 0) {
+    const allowed = config.whitelistGenres.map(normalizeFilterValue);
+    series = series.filter(s => (s.genres || []).some(g => allowed.includes(normalizeFilterValue(g))));
+  }
+  
+  if (config.whitelistStudios.length > 0) {
+    const allowed = config.whitelistStudios.map(normalizeFilterValue);
+    series = series.filter(s => {
+      const studio = normalizeFilterValue(s.studio);
+      return studio && allowed.some(ws => studio.includes(ws) || ws.includes(studio));
+    });
+  }
+  
   // Filter and sort based on catalog type
   let filtered = filterByCatalog(series, catalogId, extra);
   
@@ -385,6 +385,59 @@ function seriesMatchesGenre(series, filterGenre) {
   return (series.genres || []).some(g => normalizeGenre(g) === normalizedFilter);
 }
 
+// Discover catalog sort names (normalized) → sort order
+// Same as src/utils/catalogFilters.js
+const DISCOVER_SORTS = {
+  toprated: 'rating', rating: 'rating',
+  newestepisode: 'newest', newest: 'newest', recent: 'newest',
+  mostepisodes: 'episodes', episodes: 'episodes',
+  az: 'alphabetical', alphabetical: 'alphabetical', name: 'alphabetical',
+  mostvotes: 'votes', votes: 'votes', votecount: 'votes'
+};
+
+/**
+ * Parse the Discover catalog's extras into sort + filters
+ * genre is a "|"-separated token in any order: "Vanilla|year:2020|sort:newest"
+ */
+function parseDiscoverFilters(extra) {
+  const filters = { sortBy: 'rating', genres: [], studio: null, year: null, franchise: null };
+  const segments = extra.genre ? String(extra.genre).split('|') : [];
+  for (const key of ['sort', 'studio', 'year', 'franchise']) {
+    if (extra[key]) segments.push(`${key}:${extra[key]}`);
+  }
+  
+  for (const rawSegment of segments) {
+    const segment = rawSegment.replace(/\s*\(\d+\)$/, '').trim();
+    if (!segment) continue;
+    const keyMatch = segment.match(/^(sort|genre|studio|year|franchise)\s*:\s*(.+)$/i);
+    const key = keyMatch ? keyMatch[1].toLowerCase() : 'genre';
+    const value = keyMatch ? keyMatch[2].trim() : segment;
+    
+    if (key === 'sort') {
+      const sortBy = DISCOVER_SORTS[value.toLowerCase().replace(/[^a-z0-9]/g, '')];
+      if (sortBy) filters.sortBy = sortBy;
+    } else if (key === 'studio') {
+      filters.studio = value;
+    } else if (key === 'year') {
+      if (/^\d{4}$/.test(value)) filters.year = value;
+    } else if (key === 'franchise') {
+      filters.franchise = value;
+    } else {
+      filters.genres.push(value);
+    }
+  }
+  return filters;
+}
+
+function getNewestEpisodeTime(s) {
+  let newest = 0;
+  for (const ep of s.episodes || []) {
+    const time = ep.released ? new Date(ep.released).getTime() : 0;
+    if (time > newest) newest = time;
+  }
+  return newest || (s.lastUpdated ? new Date(s.lastUpdated).getTime() || 0 : 0);
+}
+
 function filterByCatalog(series, catalogId, extra) {
   let filtered = [...series];
   const genre = extra.genre;
@@ -463,6 +516,82 @@ function filterByCatalog(series, catalogId, extra) {
       filtered.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
       break;
       
+    case 'hentai-recently-added': {
+      // When the addon discovered a series (addedAt from the incremental update), newest first;
+      // series from the initial full build have no addedAt and follow by newest episode
+      if (genre) {
+        const genreLower = genre.toLowerCase().replace(/\s*\(\d+\)$/, '');
+        filtered = filtered.filter(s => seriesMatchesGenre(s, genreLower));
+      }
+      const discovered = new Map(filtered.map(s => [s, s.addedAt ? new Date(s.addedAt).getTime() || 0 : 0]));
+      const newest = new Map(filtered.map(s => [s, getNewestEpisodeTime(s)]));
+      filtered.sort((a, b) => (discovered.get(b) - discovered.get(a)) || (newest.get(b) - newest.get(a)));
+      break;
+    }
+      
+    case 'hentai-discover': {
+      const { sortBy, genres, studio, year, franchise } = parseDiscoverFilters(extra);
+      for (const g of genres) {
+        filtered = filtered.filter(s => seriesMatchesGenre(s, g.toLowerCase()));
+      }
+      if (studio) {
+        filtered = filtered.filter(s => (s.studio || '').toLowerCase() === studio.toLowerCase());
+      }
+      if (year) {
+        filtered = filtered.filter(s => {
+          const itemYear = s.year || s.releaseInfo || 
+            (s.lastUpdated ? new Date(s.lastUpdated).getFullYear().toString() : '');
+          return itemYear.toString() === year;
+        });
+      }
+      if (franchise) {
+        filtered = filtered.filter(s => (s.franchise || '').toLowerCase() === franchise.toLowerCase());
+      }
+      
+      const byRating = (a, b) => (b.rating || 0) - (a.rating || 0);
+      if (sortBy === 'newest') {
+        const newest = new Map(filtered.map(s => [s, getNewestEpisodeTime(s)]));
+        filtered.sort((a, b) => newest.get(b) - newest.get(a));
+      } else if (sortBy === 'episodes') {
+        filtered.sort((a, b) => ((b.episodes || []).length - (a.episodes || []).length) || byRating(a, b));
+      } else if (sortBy === 'alphabetical') {
+        filtered.sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+      } else if (sortBy === 'votes') {
+        filtered.sort((a, b) => ((b.voteCount || 0) - (a.voteCount || 0)) || byRating(a, b));
+      } else {
+        filtered.sort(byRating);
+      }
+      break;
+    }
+      
+    case 'hentai-franchises': {
+      // Franchise entries in release order (year, then earliest episode)
+      const franchise = genre ? genre.replace(/\s*\(\d+\)$/, '').toLowerCase() : null;
+      filtered = filtered.filter(s => s.franchise && (!franchise || s.franchise.toLowerCase() === franchise));
+      const earliestEpisode = s => {
+        const times = (s.episodes || []).map(ep => new Date(ep.released).getTime()).filter(t => !isNaN(t));
+        return times.length > 0 ? Math.min(...times) : Infinity;
+      };
+      const release = new Map(filtered.map(s => {
+        const episode = earliestEpisode(s);
+        const year = parseInt(s.year) || (episode === Infinity ? Infinity : new Date(episode).getUTCFullYear());
+        return [s, { year, episode }];
+      }));
+      filtered.sort((a, b) => a.franchise.localeCompare(b.franchise) ||
+        (release.get(a).year - release.get(b).year) ||
+        (release.get(a).episode - release.get(b).episode) || 0);
+      break;
+    }
+      
+    case 'hentai-similar': {
+      // genre carries the series ID; `similar` holds canonical IDs, best first
+      const seriesId = (genre || '').trim();
+      const item = filtered.find(s => s.id === seriesId || s.canonicalId === seriesId);
+      const byId = new Map(filtered.map(s => [s.canonicalId || s.id, s]));
+      filtered = item ? (item.similar || []).map(id => byId.get(id)).filter(Boolean) : [];
+      break;
+    }
+      
     case 'hentai-search':
       if (extra.search) {
         const query = extra.search.toLowerCase();
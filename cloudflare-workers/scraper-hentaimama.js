@@ -6,6 +6,7 @@
  * 
  * Endpoints:
  * - ?action=stream&id=series-slug-episode-1
+ *   → { streams: [{ provider, quality, url, referer, isRaw }] } (isRaw = no subtitles)
  */
 
 // Build headers that mimic a real browser (required to bypass Cloudflare)
@@ -90,7 +91,14 @@ export default {
       const html = await response.text();
 
       // Extract streams using WordPress AJAX (matches original scraper)
-      const streams = await extractStreams(html, episodeId, episodeUrl);
+      // RAW status comes from the series page, fetched alongside
+      const [streams, isRaw] = await Promise.all([
+        extractStreams(html, episodeId, episodeUrl),
+        checkRawStatus(episodeId)
+      ]);
+      for (const stream of streams) {
+        stream.isRaw = isRaw;
+      }
 
       const result = { streams };
       const json = JSON.stringify(result);
@@ -114,6 +122,42 @@ export default {
   }
 };
 
+/**
+ * Check if an episode is RAW (no subtitles)
+ * The episode page doesn't say - the episode's card on the series page has
+ * <span class="status-raw">RAW</span> or <span class="status-sub">SUB</span>
+ * (same check as src/scrapers/hentaimama.js)
+ */
+async function checkRawStatus(episodeId) {
+  const seriesSlug = episodeId.replace(/-episode-\d+$/, '');
+
+  try {
+    const response = await fetch(`https://hentaimama.io/tvshows/${seriesSlug}/`, {
+      headers: buildBrowserHeaders(),
+      cf: {
+        cacheTtl: 3600,
+        cacheEverything: true,
+      }
+    });
+    if (!response.ok) return false;
+
+    const html = await response.text();
+    // The link must end after the slug ("episode-1" must not match "episode-10")
+    const escapedId = episodeId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const linkRegex = new RegExp(`/episodes/${escapedId}/?["']`);
+    const articleRegex = /<article[^>]*>([\s\S]*?)<\/article>/gi;
+    let match;
+    while ((match = articleRegex.exec(html)) !== null) {
+      const card = match[1];
+      if (!linkRegex.test(card)) continue;
+      return card.includes('status-raw') || (card.includes('RAW') && !card.includes('status-sub'));
+    }
+  } catch (e) {
+    // Series page unavailable - treat as subbed
+  }
+  return false;
+}
+
 /**
  * Extract all script tag contents from HTML (like cheerio does)
  */
@@ -229,7 +273,8 @@ async function extractStreams(html, episodeId, episodeUrl) {
                 streams.push({
                   provider: 'HentaiMama',
                   quality,
-                  url: videoUrl
+                  url: videoUrl,
+                  referer: iframeUrl // Video host checks the player page as Referer
                 });
               }
             }
@@ -249,7 +294,7 @@ async function extractStreams(html, episodeId, episodeUrl) {
                 else if (/480p?/i.test(um[1])) quality = '480p';
                 
                 if (!streams.some(s => s.url === um[1])) {
-                  streams.push({ provider: 'HentaiMama', quality, url: um[1] });
+                  streams.push({ provider: 'HentaiMama', quality, url: um[1], referer: iframeUrl });
                 }
               }
             }
@@ -226,7 +226,8 @@ function extractStreams(html) {
       streams.push({
         provider: 'HentaiTV',
         quality: 'HD',
-        url: videoUrl
+        url: videoUrl,
+        referer: 'https://hentai.tv/'
       });
     }
   }
@@ -242,7 +243,8 @@ function extractStreams(html) {
       streams.push({
         provider: 'HentaiTV',
         quality: 'HD',
-        url: videoUrl
+        url: videoUrl,
+        referer: 'https://hentai.tv/'
       });
     }
   }
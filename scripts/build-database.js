@@ -50,6 +50,10 @@ const hentaitvScraper = require('../src/scrapers/hentaitv');
 
 // Import rating normalizer for final rating computation
 const ratingNormalizer = require('../src/utils/ratingNormalizer');
+const { mergeEpisodeLists, getEpisodeListProvider } = require('../src/utils/episodeMerger');
+const { assignCanonicalIds } = require('../src/utils/canonicalId');
+const { computeSimilarSeries } = require('../src/utils/similarity');
+const { assignFranchises } = require('../src/utils/franchise');
 
 // TEST MODE: Run with --test flag to only fetch 100 items per provider
 const TEST_MODE = process.argv.includes('--test');
@@ -250,6 +254,9 @@ function mergeSeries(existing, newSeries) {
   primary.providerSlugs = primary.providerSlugs || { [primaryPrefix]: primary.id?.replace(`${primaryPrefix}-`, '') };
   primary.ratingBreakdown = primary.ratingBreakdown || {};
   
+  // Provider of the primary's own episode list (before the secondary is added)
+  const primaryListProvider = getEpisodeListProvider(primary);
+  
   // Add secondary provider
   if (!primary.providers.includes(secondaryPrefix)) {
     primary.providers.push(secondaryPrefix);
@@ -279,6 +286,11 @@ function mergeSeries(existing, newSeries) {
     };
   }
   
+  // Keep an already assigned canonical ID - it is stored in users' libraries
+  if (!primary.canonicalId && secondary.canonicalId) {
+    primary.canonicalId = secondary.canonicalId;
+  }
+  
   // Merge description (prefer longer, non-promotional)
   if ((!primary.description || primary.description.length < 30) && secondary.description && secondary.description.length > 30) {
     primary.description = secondary.description;
@@ -320,11 +332,12 @@ function mergeSeries(existing, newSeries) {
     }
   }
   
-  // Merge episodes (prefer more episodes)
+  // Merge episodes by number - providers don't always carry the same episodes
   if (secondary.episodes && Array.isArray(secondary.episodes)) {
-    if (!primary.episodes || secondary.episodes.length > primary.episodes.length) {
-      primary.episodes = secondary.episodes;
-    }
+    primary.episodes = mergeEpisodeLists([
+      { episodes: primary.episodes, provider: primaryListProvider },
+      { episodes: secondary.episodes, provider: getEpisodeListProvider(secondary) }
+    ]);
   }
   
   // Recalculate metadata score
@@ -333,6 +346,30 @@ function mergeSeries(existing, newSeries) {
   return primary;
 }
 
+/**
+ * Load canonical IDs from the previous build, keyed by provider ID (e.g. "htv-slug")
+ * A full rebuild must not hand out new canonical IDs - they live in users' Stremio libraries.
+ */
+function loadPreviousCanonicalIds() {
+  const previousIds = new Map();
+  const gzPath = path.join(CONFIG.outputDir, CONFIG.catalogGzFile);
+  if (!fs.existsSync(gzPath)) return previousIds;
+  
+  try {
+    const previous = JSON.parse(zlib.gunzipSync(fs.readFileSync(gzPath)).toString('utf8'));
+    for (const item of previous.catalog || []) {
+      if (!item.canonicalId) continue;
+      previousIds.set(item.id, item.canonicalId);
+      for (const [prefix, slug] of Object.entries(item.providerSlugs || {})) {
+        previousIds.set(`${prefix}-${slug}`, item.canonicalId);
+      }
+    }
+  } catch (error) {
+    console.log(`   ⚠️ Could not read previous canonical IDs: ${error.message}`);
+  }
+  return previousIds;
+}
+
 /**
  * Deduplicate catalog across all providers
  * Returns merged catalog with best metadata from each provider
@@ -472,6 +509,14 @@ function generateFilterOptions(catalog, outputDir) {
     }
   }
   
+  // Count franchise entries
+  const franchiseCounts = {};
+  for (const item of catalog) {
+    if (item.franchise) {
+      franchiseCounts[item.franchise] = (franchiseCounts[item.franchise] || 0) + 1;
+    }
+  }
+  
   // Count time periods (based on lastUpdated)
   const timePeriodCounts = {
     'This Week': 0,
@@ -536,6 +581,8 @@ function generateFilterOptions(catalog, outputDir) {
     return `${displayName} (${count})`;
   });
   const genreOptions = genres.map(([genre, count]) => `${genre} (${count})`);
+  const franchises = Object.entries(franchiseCounts)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
   const timePeriodOptions = Object.entries(timePeriodCounts)
     .map(([period, count]) => `${period} (${count})`);
   
@@ -562,6 +609,11 @@ function generateFilterOptions(catalog, outputDir) {
       raw: Object.fromEntries(genres),
       total: genres.length,
     },
+    franchises: {
+      withCounts: franchises.map(([franchise, count]) => `${franchise} (${count})`),
+      clean: franchises.map(([franchise]) => franchise),
+      total: franchises.length,
+    },
     timePeriods: {
       withCounts: timePeriodOptions,
       raw: timePeriodCounts,
@@ -943,6 +995,28 @@ async function buildDatabase() {
   console.log(`   Reduced from ${beforeCount} to ${afterCount} unique series`);
   console.log(`   ${beforeCount - afterCount} duplicates merged\n`);
   
+  // Canonical hs- IDs: reuse the previous build's, assign new ones to new series
+  const previousCanonicalIds = loadPreviousCanonicalIds();
+  const reusedCanonicalIds = new Set();
+  for (const item of database.catalog) {
+    const providerIds = [item.id, ...Object.entries(item.providerSlugs || {}).map(([prefix, slug]) => `${prefix}-${slug}`)];
+    const previousId = providerIds.map(id => previousCanonicalIds.get(id)).find(id => id && !reusedCanonicalIds.has(id));
+    if (previousId) {
+      item.canonicalId = previousId;
+      reusedCanonicalIds.add(previousId);
+    }
+  }
+  const newCanonicalIds = assignCanonicalIds(database.catalog);
+  console.log(`   ${newCanonicalIds} new canonical IDs (${database.catalog.length - newCanonicalIds} kept)\n`);
+  
+  // Franchises (sequels/spin-offs sharing a base title)
+  const franchiseCount = assignFranchises(database.catalog);
+  console.log(`   ${franchiseCount} franchises detected\n`);
+  
+  // "More like this" recommendations (needs canonical IDs)
+  const withSimilar = computeSimilarSeries(database.catalog);
+  console.log(`   ${withSimilar} series with similar titles\n`);
+  
   // Rebuild slug registry from deduplicated catalog
   database.slugRegistry = {};
   for (const item of database.catalog) {
@@ -952,6 +1026,7 @@ async function buildDatabase() {
         database.slugRegistry[slug] = database.slugRegistry[slug] || {};
         database.slugRegistry[slug][prefix] = {
           id: item.id,
+          canonicalId: item.canonicalId,
           name: item.name,
           rating: item.rating,
           ratingType: item.ratingType || 'direct',
@@ -11,6 +11,7 @@
  * - HentaiTV/HentaiSea: Uses standard catalog with consecutive existing detection
  * - Merges new content with existing database
  * - Updates filter-options.json with new counts
+ * - Records what changed in data/changelog.json (see src/utils/changeLog.js)
  * 
  * Provider-specific approaches:
  * - HentaiTV: https://hentai.tv/?s= - first entries are newest
@@ -90,6 +91,11 @@ const hentaitvScraper = require('../src/scrapers/hentaitv');
 
 // Import rating normalizer
 const ratingNormalizer = require('../src/utils/ratingNormalizer');
+const { mergeEpisodeLists, getEpisodeListProvider } = require('../src/utils/episodeMerger');
+const { assignCanonicalIds } = require('../src/utils/canonicalId');
+const { computeSimilarSeries } = require('../src/utils/similarity');
+const { assignFranchises } = require('../src/utils/franchise');
+const changeLog = require('../src/utils/changeLog');
 
 /**
  * Clear addon cache so new content is visible immediately
@@ -289,6 +295,9 @@ function mergeSeries(existing, newSeries) {
   primary.providerSlugs = primary.providerSlugs || { [primaryPrefix]: primary.id?.replace(`${primaryPrefix}-`, '') };
   primary.ratingBreakdown = primary.ratingBreakdown || {};
   
+  // Provider of the primary's own episode list (before the secondary is added)
+  const primaryListProvider = getEpisodeListProvider(primary);
+  
   // Add secondary provider
   if (!primary.providers.includes(secondaryPrefix)) {
     primary.providers.push(secondaryPrefix);
@@ -309,6 +318,11 @@ function mergeSeries(existing, newSeries) {
     primary.description = secondary.description;
   }
   
+  // Keep an already assigned canonical ID - it is stored in users' libraries
+  if (!primary.canonicalId && secondary.canonicalId) {
+    primary.canonicalId = secondary.canonicalId;
+  }
+  
   // Merge other fields
   if (!primary.poster && secondary.poster) primary.poster = secondary.poster;
   if (secondary.genres && Array.isArray(secondary.genres)) {
@@ -327,11 +341,12 @@ function mergeSeries(existing, newSeries) {
     }
   }
   
-  // Merge episodes (prefer more)
+  // Merge episodes by number - providers don't always carry the same episodes
   if (secondary.episodes && Array.isArray(secondary.episodes)) {
-    if (!primary.episodes || secondary.episodes.length > primary.episodes.length) {
-      primary.episodes = secondary.episodes;
-    }
+    primary.episodes = mergeEpisodeLists([
+      { episodes: primary.episodes, provider: primaryListProvider },
+      { episodes: secondary.episodes, provider: getEpisodeListProvider(secondary) }
+    ]);
   }
   
   primary.metadataScore = calculateMetadataScore(primary);
@@ -441,7 +456,7 @@ function getScraperForId(seriesId) {
 /**
  * Cleanup recently added entries with broken/incomplete data
  * @param {Array} catalog - The full catalog array
- * @returns {Object} - { fixedCount, removedCount, catalog }
+ * @returns {Object} - { fixedCount, removedCount, fixed, removed, catalog }
  */
 async function cleanupBrokenEntries(catalog) {
   const now = new Date();
@@ -466,7 +481,7 @@ async function cleanupBrokenEntries(catalog) {
   
   if (brokenEntries.length === 0) {
     logger.info(`   ✅ No broken entries found!`);
-    return { fixedCount: 0, removedCount: 0, catalog };
+    return { fixedCount: 0, removedCount: 0, fixed: [], removed: [], catalog };
   }
   
   logger.info(`   ⚠️ Found ${brokenEntries.length} broken entries:`);
@@ -480,12 +495,15 @@ async function cleanupBrokenEntries(catalog) {
   // Fix broken entries (up to max limit)
   let fixedCount = 0;
   let removedCount = 0;
+  // { id, reason } by provider ID for the change log
+  const fixed = [];
+  const removed = [];
   const entriesToFix = brokenEntries.slice(0, CONFIG.cleanupMaxFixes);
   
   logger.info(`\n   📥 Attempting to fix ${entriesToFix.length} entries...`);
   
   for (let i = 0; i < entriesToFix.length; i++) {
-    const { entry } = entriesToFix[i];
+    const { entry, reason } = entriesToFix[i];
     const idx = catalog.findIndex(c => c.id === entry.id);
     
     if (idx === -1) continue;
@@ -523,17 +541,20 @@ async function cleanupBrokenEntries(catalog) {
           };
           
           fixedCount++;
+          fixed.push({ id: entry.id, reason });
           logger.debug(`      ✅ Fixed: ${entry.name || entry.id}`);
         } else {
           // Metadata fetch returned data but still bad format - remove entry
           catalog.splice(idx, 1);
           removedCount++;
+          removed.push({ id: entry.id, reason });
           logger.debug(`      🗑️ Removed (still broken after fetch): ${entry.name || entry.id}`);
         }
       } else {
         // Could not fetch valid metadata - remove the broken entry
         catalog.splice(idx, 1);
         removedCount++;
+        removed.push({ id: entry.id, reason: `${reason}, metadata fetch failed` });
         logger.debug(`      🗑️ Removed (fetch failed): ${entry.name || entry.id}`);
       }
       
@@ -547,6 +568,7 @@ async function cleanupBrokenEntries(catalog) {
       if (currentIdx !== -1) {
         catalog.splice(currentIdx, 1);
         removedCount++;
+        removed.push({ id: entry.id, reason: `${reason}, ${error.message}` });
       }
     }
   }
@@ -554,14 +576,14 @@ async function cleanupBrokenEntries(catalog) {
   console.log(''); // New line after progress
   logger.info(`   ✅ Cleanup complete: ${fixedCount} fixed, ${removedCount} removed`);
   
-  return { fixedCount, removedCount, catalog };
+  return { fixedCount, removedCount, fixed, removed, catalog };
 }
 
 /**
  * Check for RAW→SUB status changes on previously RAW episodes
  * This function re-checks episodes that were marked as RAW to see if subtitles are now available
  * @param {Array} catalog - The full catalog array
- * @returns {Object} - { updatedCount, catalog }
+ * @returns {Object} - { updatedCount, fixed, catalog }
  */
 async function checkRawStatusChanges(catalog) {
   const now = new Date();
@@ -579,12 +601,13 @@ async function checkRawStatusChanges(catalog) {
   
   if (entriesWithRaw.length === 0) {
     logger.info(`   ✅ No RAW episodes to check`);
-    return { updatedCount: 0, catalog };
+    return { updatedCount: 0, fixed: [], catalog };
   }
   
   logger.info(`   Found ${entriesWithRaw.length} series with RAW episodes to check`);
   
   let updatedCount = 0;
+  const fixed = [];
   const maxToCheck = Math.min(entriesWithRaw.length, 20); // Limit to avoid too many requests
   
   for (let i = 0; i < maxToCheck; i++) {
@@ -629,8 +652,8 @@ async function checkRawStatusChanges(catalog) {
         }
         
         if (needsUpdate) {
-          // Update the episodes with new RAW status
-          catalog[idx].episodes = fullMeta.episodes.map(ep => ({
+          // Update the episodes with new RAW status (keeping episodes only other providers carry)
+          const refreshedEpisodes = fullMeta.episodes.map(ep => ({
             id: ep.id || catalog[idx].episodes?.find(e => e.number === ep.number)?.id,
             slug: ep.slug || catalog[idx].episodes?.find(e => e.number === ep.number)?.slug,
             number: ep.number || ep.episodeNumber,
@@ -639,7 +662,12 @@ async function checkRawStatusChanges(catalog) {
             released: ep.released || entry.lastUpdated,
             isRaw: ep.isRaw || false,
           }));
+          catalog[idx].episodes = mergeEpisodeLists([
+            { episodes: refreshedEpisodes, provider: 'hmm' },
+            { episodes: catalog[idx].episodes, provider: getEpisodeListProvider(catalog[idx]) }
+          ]);
           updatedCount++;
+          fixed.push({ id: entry.id, reason: 'RAW status refreshed' });
         }
       }
       
@@ -659,7 +687,7 @@ async function checkRawStatusChanges(catalog) {
     logger.info(`   ✅ No RAW→SUB changes detected`);
   }
   
-  return { updatedCount, catalog };
+  return { updatedCount, fixed, catalog };
 }
 
 /**
@@ -667,7 +695,7 @@ async function checkRawStatusChanges(catalog) {
  * When a hentai first comes out, there may be no ratings yet.
  * This function checks recently added entries and fetches updated ratings.
  * @param {Array} catalog - The full catalog array
- * @returns {Object} - { updatedCount, catalog }
+ * @returns {Object} - { updatedCount, fixed, catalog }
  */
 async function checkMissingRatings(catalog) {
   const now = new Date();
@@ -692,12 +720,13 @@ async function checkMissingRatings(catalog) {
   
   if (entriesWithoutRating.length === 0) {
     logger.info(`   ✅ All recent entries have ratings`);
-    return { updatedCount: 0, catalog };
+    return { updatedCount: 0, fixed: [], catalog };
   }
   
   logger.info(`   Found ${entriesWithoutRating.length} recent series without ratings`);
   
   let updatedCount = 0;
+  const fixed = [];
   const maxToCheck = Math.min(entriesWithoutRating.length, 15); // Limit to avoid too many requests
   
   for (let i = 0; i < maxToCheck; i++) {
@@ -719,6 +748,7 @@ async function checkMissingRatings(catalog) {
           catalog[idx].voteCount = fullMeta.voteCount;
         }
         updatedCount++;
+        fixed.push({ id: entry.id, reason: 'missing rating filled in' });
         logger.debug(`   ⭐ ${entry.name}: N/A → ${fullMeta.rating.toFixed(1)}`);
       }
       
@@ -738,12 +768,13 @@ async function checkMissingRatings(catalog) {
     logger.info(`   ✅ No rating updates available`);
   }
   
-  return { updatedCount, catalog };
+  return { updatedCount, fixed, catalog };
 }
 
 /**
  * Check for entries with future episode dates and fix them
  * This catches cases where date extraction failed during updates
+ * @returns {Object} - { fixedCount, fixed, catalog }
  */
 async function checkFutureDates(catalog) {
   const now = new Date();
@@ -764,7 +795,7 @@ async function checkFutureDates(catalog) {
   
   if (entriesWithFutureDates.length === 0) {
     logger.info(`   ✅ No entries with future dates`);
-    return { fixedCount: 0, catalog };
+    return { fixedCount: 0, fixed: [], catalog };
   }
   
   logger.info(`   ⚠️ Found ${entriesWithFutureDates.length} entries with future episode dates:`);
@@ -774,6 +805,7 @@ async function checkFutureDates(catalog) {
   }
   
   let fixedCount = 0;
+  const fixed = [];
   const maxToFix = Math.min(entriesWithFutureDates.length, CONFIG.cleanupMaxFixes);
   
   for (let i = 0; i < maxToFix; i++) {
@@ -804,9 +836,13 @@ async function checkFutureDates(catalog) {
             isRaw: ep.isRaw || false,
           }));
           
-          catalog[idx].episodes = normalizedEpisodes;
+          catalog[idx].episodes = mergeEpisodeLists([
+            { episodes: normalizedEpisodes, provider: entry.id.split('-')[0] },
+            { episodes: catalog[idx].episodes, provider: getEpisodeListProvider(catalog[idx]) }
+          ]);
           catalog[idx].lastUpdated = new Date().toISOString();
           fixedCount++;
+          fixed.push({ id: entry.id, reason: 'future episode dates corrected' });
           logger.debug(`   ✅ Fixed dates for ${entry.name}`);
         }
       }
@@ -827,7 +863,7 @@ async function checkFutureDates(catalog) {
     logger.info(`   ✅ No date fixes applied`);
   }
   
-  return { fixedCount, catalog };
+  return { fixedCount, fixed, catalog };
 }
 
 /**
@@ -1057,6 +1093,20 @@ function saveDatabase(database) {
   const jsonPath = path.join(CONFIG.outputDir, CONFIG.catalogFile);
   const gzPath = path.join(CONFIG.outputDir, CONFIG.catalogGzFile);
   
+  // New series get a canonical hs- ID; existing ones keep theirs
+  const newCanonicalIds = assignCanonicalIds(database.catalog);
+  if (newCanonicalIds > 0) {
+    logger.info(`🆔 Assigned ${newCanonicalIds} canonical IDs`);
+  }
+  
+  // Re-detect franchises - a new sequel can join an existing entry
+  const franchiseCount = assignFranchises(database.catalog);
+  logger.info(`🎞️ ${franchiseCount} franchises`);
+  
+  // Recompute "More like this" - new series and changed genres affect other entries too
+  const withSimilar = computeSimilarSeries(database.catalog);
+  logger.info(`🔗 Similar titles for ${withSimilar} series`);
+  
   // Save uncompressed
   fs.writeFileSync(jsonPath, JSON.stringify(database, null, 2));
   
@@ -1112,6 +1162,14 @@ function updateFilterOptions(catalog) {
     }
   }
   
+  // Count franchise entries
+  const franchiseCounts = {};
+  for (const item of catalog) {
+    if (item.franchise) {
+      franchiseCounts[item.franchise] = (franchiseCounts[item.franchise] || 0) + 1;
+    }
+  }
+  
   // Count time periods
   const timePeriodCounts = {
     'This Week': 0,
@@ -1141,6 +1199,8 @@ function updateFilterOptions(catalog) {
   const genres = Object.entries(genreCounts)
     .filter(([_, count]) => count >= 1)
     .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  const franchises = Object.entries(franchiseCounts)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
   
   const output = {
     years: {
@@ -1160,6 +1220,11 @@ function updateFilterOptions(catalog) {
       raw: Object.fromEntries(genres),
       total: genres.length,
     },
+    franchises: {
+      withCounts: franchises.map(([franchise, count]) => `${franchise} (${count})`),
+      clean: franchises.map(([franchise]) => franchise),
+      total: franchises.length,
+    },
     timePeriods: {
       withCounts: Object.entries(timePeriodCounts).map(([period, count]) => `${period} (${count})`),
       raw: timePeriodCounts,
@@ -1175,10 +1240,36 @@ function updateFilterOptions(catalog) {
   return output;
 }
 
+/**
+ * Diff the saved catalog against the pre-update snapshot and record it in data/changelog.json
+ * @param {Map} snapshot - changeLog.snapshotCatalog() taken before the update
+ * @param {Array} catalog - Saved catalog
+ * @param {Array} results - Results of the cleanup/check steps ({ removed, fixed })
+ */
+function saveChangeLogRun(snapshot, catalog, results) {
+  const run = changeLog.diffCatalog(snapshot, catalog, {
+    removed: results.flatMap(result => result.removed || []),
+    fixes: results.flatMap(result => result.fixed || [])
+  });
+  
+  if (changeLog.appendRun(run)) {
+    logger.info(`📝 Change log: ${run.newSeries.length} new series, ${run.newEpisodes.length} with new episodes, ` +
+      `${run.metadataChanges.length} changed, ${run.fixes.length} fixed, ${run.removed.length} removed`);
+    return run;
+  }
+  return null;
+}
+
 /**
  * Main incremental update function
+ * @param {Object} options - { clearCache: false } leaves the addon cache alone
+ *   (the server invalidates just the changed series itself)
+ * @returns {Promise<{ changes: Object|null }>} The change log run (null if nothing changed)
  */
-async function runIncrementalUpdate() {
+async function runIncrementalUpdate(options = {}) {
+  const { clearCache = true } = options;
+  let changes = null;
+
   console.log('\n══════════════════════════════════════════════════════════════');
   console.log('            🔄 HentaiStream Incremental Database Update');
   console.log('══════════════════════════════════════════════════════════════\n');
@@ -1195,6 +1286,9 @@ async function runIncrementalUpdate() {
   const existingCatalog = database.catalog || [];
   logger.info(`   Found ${existingCatalog.length} existing series`);
   
+  // Entries are updated in place - snapshot them first for the change log
+  const snapshot = changeLog.snapshotCatalog(existingCatalog);
+  
   // Build normalized index for fast lookups
   const normalizedIndex = buildNormalizedIndex(existingCatalog);
   logger.info(`   Built name index with ${normalizedIndex.size} entries`);
@@ -1277,7 +1371,10 @@ async function runIncrementalUpdate() {
               
               if (fullMeta && fullMeta.episodes && fullMeta.episodes.length > 0) {
                 // Update with full episode data
-                updatedCatalog[idx].episodes = fullMeta.episodes;
+                updatedCatalog[idx].episodes = mergeEpisodeLists([
+                  { episodes: fullMeta.episodes, provider: 'hmm' },
+                  { episodes: updatedCatalog[idx].episodes, provider: getEpisodeListProvider(updatedCatalog[idx]) }
+                ]);
                 updatedCatalog[idx].lastUpdated = fullMeta.lastUpdated || update.lastUpdated || new Date().toISOString();
                 
                 // Also update other fields that might have changed
@@ -1363,11 +1460,12 @@ async function runIncrementalUpdate() {
       
       // Save
       saveDatabase(database);
+      changes = saveChangeLogRun(snapshot, database.catalog, [cleanupResult, rawResult, ratingResult, dateResult]);
       
       logger.info(`\n✅ Database updated: ${existingCatalog.length} → ${dateResult.catalog.length} series`);
       
       // Clear addon cache so new content is visible immediately
-      clearAddonCache();
+      if (clearCache) clearAddonCache();
       
       if (allUpdatedItems.length > 0) {
         logger.info(`   ${allUpdatedItems.length} series updated with new episodes`);
@@ -1403,6 +1501,7 @@ async function runIncrementalUpdate() {
       database.incrementalUpdate = true;
       
       saveDatabase(database);
+      changes = saveChangeLogRun(snapshot, database.catalog, [cleanupResult, rawResult, ratingResult, dateResult]);
       
       logger.info(`\n✅ Cleanup complete: ${existingCatalog.length} → ${dateResult.catalog.length} series`);
       if (rawResult.updatedCount > 0) {
@@ -1416,7 +1515,7 @@ async function runIncrementalUpdate() {
       }
       
       // Clear addon cache
-      clearAddonCache();
+      if (clearCache) clearAddonCache();
     }
   }
   
@@ -1434,6 +1533,8 @@ async function runIncrementalUpdate() {
   
   console.log(`\n⏱️  Completed in ${minutes > 0 ? `${minutes}m ` : ''}${seconds}s`);
   console.log('══════════════════════════════════════════════════════════════\n');
+  
+  return { changes };
 }
 
 // Run if called directly
@@ -40,12 +40,22 @@ const {
   isDatabaseReady,
   getNewestDatabaseDate,
   getDatabaseBuildDate,
+  getCanonicalIdFromDatabase,
+  getSimilarFromDatabase,
+  getFromDatabase,
   searchDatabase
 } = require('../../utils/catalogAggregator');
 const ratingNormalizer = require('../../utils/ratingNormalizer');
 const { isWithinWeek, isWithinMonth, compareDatesNewestFirst } = require('../../utils/dateParser');
-const { shouldIncludeSeries, DEFAULT_CONFIG } = require('../../utils/configParser');
+const { shouldIncludeSeries, hasSeriesFilters, DEFAULT_CONFIG } = require('../../utils/configParser');
+const { parseSearchQuery, matchesSearchFilters } = require('../../utils/searchQuery');
+const { parseDiscoverFilters } = require('../../utils/catalogFilters');
 const { genreMatcher } = require('../../utils/genreMatcher');
+const { userStore } = require('../../utils/userStore');
+const { getNewEpisodesSince } = require('../../utils/changeLog');
+
+// Items per page when Stremio doesn't send a limit (it never does - it pages with skip)
+const CATALOG_PAGE_SIZE = 20;
 
 // Scraper map uses lazy loading to reduce memory
 const SCRAPER_MAP = {
@@ -66,6 +76,10 @@ function formatSeriesMeta(series) {
   // IMPORTANT: For Stremio to display metas properly, we need type='series'
   formatted.type = 'series';
   
+  // Canonical hs- ID so library entries don't split across providers
+  // (scraped results are mapped through the database when it knows the series)
+  formatted.id = series.canonicalId || getCanonicalIdFromDatabase(series.id) || series.id;
+  
   // Use runtime field for rating display (to avoid IMDb logo)
   // Priority-based system: HentaiMama > HentaiTV > HentaiSea > N/A
   if (series.ratingIsNA) {
@@ -249,6 +263,22 @@ function parseCatalogId(id) {
       return { sortType: 'default', filterType: null, studioFilter: true, yearFilter: false, timePeriodFilter: false };
     case 'hentai-years':
       return { sortType: 'date', filterType: null, studioFilter: false, yearFilter: true, timePeriodFilter: false };
+    case 'hentai-discover':
+      // Sort and genre/studio/year filters all come from extras (see handleDiscoverCatalog)
+      return { sortType: 'rating', filterType: null, studioFilter: false, yearFilter: false, timePeriodFilter: false, discoverFilter: true };
+    case 'hentai-franchises':
+      return { sortType: 'release', filterType: null, studioFilter: false, yearFilter: false, timePeriodFilter: false, franchiseFilter: true };
+    case 'hentai-recently-added':
+      // When the addon discovered a series, not the provider's release date (see handleRecentlyAddedCatalog)
+      return { sortType: 'added', filterType: null, studioFilter: false, yearFilter: false, timePeriodFilter: false, recentlyAddedFilter: true };
+    case 'hentai-similar':
+      // "More like this" - the genre extra carries the series ID (see handleSimilarCatalog)
+      return { sortType: 'relevance', filterType: null, studioFilter: false, yearFilter: false, timePeriodFilter: false, similarFilter: true };
+    case 'hentai-favourites':
+    case 'hentai-continue':
+    case 'hentai-new-for-you':
+      // Per-user catalogs - need the user token from the config (see handleUserCatalog)
+      return { sortType: 'recent', filterType: null, studioFilter: false, yearFilter: false, timePeriodFilter: false, userCatalog: true };
     case 'hentai-search':
       // Search-only catalog - uses database search, no sorting/filtering needed
       return { sortType: 'relevance', filterType: null, studioFilter: false, yearFilter: false, timePeriodFilter: false };
@@ -483,7 +513,7 @@ async function handleNewReleasesCatalog(catalogId, filterType, skip, limit, genr
   let filtered = filterType ? applyTimeFilter(dbItems, filterType) : dbItems;
   logger.debug(`Time filter (${filterType || 'none'}): ${dbItems.length} → ${filtered.length} items`);
   
-  // Step 3: Apply user blacklist
+  // Step 3: Apply user black/whitelists
   filtered = filtered.filter(item => shouldIncludeSeries(item, userConfig));
   
   // Step 4: Paginate and format
@@ -494,6 +524,148 @@ async function handleNewReleasesCatalog(catalogId, filterType, skip, limit, genr
   return { metas };
 }
 
+/**
+ * Handle the "Discover" catalog - DATABASE ONLY
+ * Sort order and genre/studio/year filters are combinable (see utils/catalogFilters)
+ */
+async function handleDiscoverCatalog(extra, skip, limit, userConfig) {
+  if (!isDatabaseReady()) {
+    logger.debug('Discover: database not ready');
+    return { metas: [] };
+  }
+
+  const { sortBy, genres, studio, year, franchise } = parseDiscoverFilters(extra);
+  logger.debug(`Discover: sortBy=${sortBy}, genres=${genres.join('+') || 'any'}, studio=${studio || 'any'}, year=${year || 'any'}, franchise=${franchise || 'any'}`);
+
+  const dbItems = getCatalogFromDatabase({
+    provider: null,
+    genre: genres,
+    studio,
+    year,
+    franchise,
+    filter: hasSeriesFilters(userConfig) ? (item => shouldIncludeSeries(item, userConfig)) : null,
+    skip,
+    limit,
+    sortBy
+  }) || [];
+
+  return { metas: dbItems.map(formatSeriesMeta) };
+}
+
+/**
+ * Handle the "Franchises" catalog - DATABASE ONLY
+ * One franchise's entries in release order, or every franchise grouped together without a filter
+ */
+async function handleFranchiseCatalog(extraGenre, skip, limit, userConfig) {
+  if (!isDatabaseReady()) {
+    logger.debug('Franchises: database not ready');
+    return { metas: [] };
+  }
+  
+  // Remove count suffix like " (10)" from "Oni Chichi (10)"
+  const franchise = extraGenre ? extraGenre.replace(/\s*\(\d+\)$/, '').trim() : null;
+  const userFilter = hasSeriesFilters(userConfig) ? (item => shouldIncludeSeries(item, userConfig)) : null;
+  
+  const dbItems = getCatalogFromDatabase({
+    provider: null,
+    franchise,
+    // No franchise selected: only entries that have one, franchise by franchise
+    filter: franchise ? userFilter : (item => Boolean(item.franchise) && (!userFilter || userFilter(item))),
+    skip: 0,
+    limit: Infinity,
+    sortBy: 'release'
+  }) || [];
+  
+  const ordered = franchise
+    ? dbItems
+    : [...dbItems].sort((a, b) => a.franchise.localeCompare(b.franchise)); // stable: release order within a franchise
+  
+  logger.debug(`Franchises: ${ordered.length} entries for ${franchise || 'all franchises'}`);
+  return { metas: ordered.slice(skip, skip + limit).map(formatSeriesMeta) };
+}
+
+/**
+ * Handle the "Recently Added" catalog - DATABASE ONLY
+ * Newest discoveries first (addedAt from the incremental update), optionally narrowed by genre
+ */
+async function handleRecentlyAddedCatalog(extraGenre, skip, limit, userConfig) {
+  if (!isDatabaseReady()) {
+    logger.debug('Recently Added: database not ready');
+    return { metas: [] };
+  }
+  
+  // Remove count suffix like " (91)" from "Vanilla (91)"
+  const genre = extraGenre ? extraGenre.replace(/\s*\(\d+\)$/, '').trim() : null;
+  
+  const dbItems = getCatalogFromDatabase({
+    provider: null,
+    genre,
+    filter: hasSeriesFilters(userConfig) ? (item => shouldIncludeSeries(item, userConfig)) : null,
+    skip,
+    limit,
+    sortBy: 'added'
+  }) || [];
+  
+  return { metas: dbItems.map(formatSeriesMeta) };
+}
+
+/**
+ * Handle the "Similar" catalog - DATABASE ONLY
+ * Lists the precomputed similar titles of the series whose ID is passed as genre
+ */
+async function handleSimilarCatalog(seriesId, skip, limit, userConfig) {
+  const similar = seriesId ? getSimilarFromDatabase(seriesId) : null;
+  if (!similar) {
+    logger.debug(`Similar: unknown series ${seriesId || '(none)'}`);
+    return { metas: [] };
+  }
+  
+  const filtered = similar.filter(item => shouldIncludeSeries(item, userConfig));
+  logger.debug(`Similar: ${filtered.length} titles like ${seriesId}`);
+  
+  return { metas: filtered.slice(skip, skip + limit).map(formatSeriesMeta) };
+}
+
+/**
+ * Handle the per-user "Favourites", "Continue Watching" and "New for You" catalogs - DATABASE ONLY
+ * Favourites are newest first; Continue Watching lists series whose last
+ * requested episode isn't their final one, most recently watched first;
+ * New for You lists followed series that the update change log gave new
+ * episodes since the user last added or watched them, latest update first
+ */
+async function handleUserCatalog(id, skip, limit, userConfig) {
+  if (!userConfig.userToken || !isDatabaseReady()) {
+    return { metas: [] };
+  }
+  
+  let items;
+  if (id === 'hentai-favourites') {
+    items = userStore.getFavourites(userConfig.userToken)
+      .map(fav => getFromDatabase(fav.id))
+      .filter(Boolean);
+  } else if (id === 'hentai-new-for-you') {
+    const newEpisodes = getNewEpisodesSince(userStore.getFollowedSeries(userConfig.userToken));
+    items = [...newEpisodes.entries()]
+      .sort((a, b) => b[1].lastRunAt.localeCompare(a[1].lastRunAt))
+      .map(([seriesId]) => getFromDatabase(seriesId))
+      .filter(Boolean);
+  } else {
+    items = userStore.getHistory(userConfig.userToken)
+      .map(entry => {
+        const item = getFromDatabase(entry.id);
+        if (!item) return null;
+        const lastEpisode = Math.max(0, ...(item.episodes || []).map(ep => ep.number || 0));
+        return entry.episode < lastEpisode ? item : null;
+      })
+      .filter(Boolean);
+  }
+  
+  const filtered = items.filter(item => shouldIncludeSeries(item, userConfig));
+  logger.debug(`User catalog ${id}: ${filtered.length} series`);
+  
+  return { metas: filtered.slice(skip, skip + limit).map(formatSeriesMeta) };
+}
+
 /**
  * Catalog handler with infinite scroll
  * 
@@ -514,6 +686,8 @@ async function catalogHandler(args) {
   logger.debug(`User config received:`, { 
     blacklistGenres: userConfig.blacklistGenres,
     blacklistStudios: userConfig.blacklistStudios,
+    whitelistGenres: userConfig.whitelistGenres,
+    whitelistStudios: userConfig.whitelistStudios,
     providers: userConfig.providers
   });
 
@@ -535,14 +709,34 @@ async function catalogHandler(args) {
   }
   
   // Parse catalog ID to get sorting/filtering strategy
-  const { sortType, filterType, studioFilter, yearFilter, timePeriodFilter } = parseCatalogId(id);
+  const { sortType, filterType, studioFilter, yearFilter, timePeriodFilter, discoverFilter, similarFilter, franchiseFilter, recentlyAddedFilter, userCatalog } = parseCatalogId(id);
   logger.debug(`Catalog strategy: sortType=${sortType}, filterType=${filterType}, studioFilter=${studioFilter}, yearFilter=${yearFilter}, timePeriodFilter=${timePeriodFilter}`);
 
   // Extract pagination params early
   const skip = parseInt(extra.skip) || 0;
-  const limit = parseInt(extra.limit) || 20;
+  const limit = parseInt(extra.limit) || CATALOG_PAGE_SIZE;
   const extraGenre = extra.genre || null;
   
+  if (discoverFilter) {
+    return handleDiscoverCatalog(extra, skip, limit, userConfig);
+  }
+  
+  if (similarFilter) {
+    return handleSimilarCatalog(extraGenre, skip, limit, userConfig);
+  }
+  
+  if (franchiseFilter) {
+    return handleFranchiseCatalog(extraGenre, skip, limit, userConfig);
+  }
+  
+  if (recentlyAddedFilter) {
+    return handleRecentlyAddedCatalog(extraGenre, skip, limit, userConfig);
+  }
+  
+  if (userCatalog) {
+    return handleUserCatalog(id, skip, limit, userConfig);
+  }
+  
   // Clean genre name (remove count suffix like " (1737)")
   const cleanGenre = extraGenre ? extraGenre.replace(/\s*\(\d+\)$/, '').trim() : null;
   
@@ -593,37 +787,47 @@ async function catalogHandler(args) {
     }
     
     // Try database for catalog data
-    // Pass studio/year to filter BEFORE pagination for correct results
-    const dbItems = getCatalogFromDatabase({
-      provider: null, // All providers for aggregated catalogs
-      genre: genreForDatabase,
-      studio: studioParam,  // Filter by studio before pagination
-      year: yearParam,      // Filter by year before pagination  
-      skip: skip,
-      limit: limit + 5, // Fetch a few extra for user blacklist filtering
-      sortBy: dbSortBy
-    });
-    
-    if (dbItems && dbItems.length > 0) {
-      logger.debug(`Database hit: ${dbItems.length} items (skip=${skip}, limit=${limit}${studioParam ? ', studio=' + studioParam : ''}${yearParam ? ', year=' + yearParam : ''})`);
-      
-      // Apply user filters (blacklist only - studio/year already applied in database query)
-      let filteredItems = dbItems;
-      
-      // Apply user blacklist
-      filteredItems = filteredItems.filter(item => shouldIncludeSeries(item, userConfig));
+    // Pass studio/year and user black/whitelists to filter BEFORE pagination for correct results
+    const fetchDatabasePage = async () => {
+      const dbItems = getCatalogFromDatabase({
+        provider: null, // All providers for aggregated catalogs
+        genre: genreForDatabase,
+        studio: studioParam,  // Filter by studio before pagination
+        year: yearParam,      // Filter by year before pagination  
+        filter: hasSeriesFilters(userConfig) ? (item => shouldIncludeSeries(item, userConfig)) : null,
+        skip: skip,
+        limit: limit,
+        sortBy: dbSortBy
+      });
       
-      // Apply sorting
-      filteredItems = applySorting(filteredItems, sortType);
+      if (!dbItems || dbItems.length === 0) {
+        return null; // Not cached - falls through to the scrapers
+      }
+      logger.debug(`Database hit: ${dbItems.length} items (skip=${skip}, limit=${limit}${studioParam ? ', studio=' + studioParam : ''}${yearParam ? ', year=' + yearParam : ''})`);
       
-      // Convert to Stremio meta format
-      const metas = filteredItems.slice(0, limit).map(formatSeriesMeta);
+      // User filters, studio and year are already applied in the database query
+      // Apply sorting, then convert to Stremio meta format
+      const metas = applySorting(dbItems, sortType).slice(0, limit).map(formatSeriesMeta);
       
       logger.debug(`Returning ${metas.length} items from database`);
       return { metas };
-    } else {
-      logger.debug('Database miss or empty, falling back to scrapers');
+    };
+    
+    // Pages without black/whitelists are the same for every user - cache them under the
+    // catalog's tag so /admin/cache/warm can rebuild them
+    const dbResult = hasSeriesFilters(userConfig)
+      ? await fetchDatabasePage()
+      : await cache.wrap(
+        cache.key('catalog', `${id}:${genreForDatabase || 'all'}:${studioParam || ''}:${yearParam || ''}:${skip}:${limit}`),
+        cache.getTTL('catalog'),
+        fetchDatabasePage,
+        [cache.tag('catalog', id)]
+      );
+    
+    if (dbResult) {
+      return dbResult;
     }
+    logger.debug('Database miss or empty, falling back to scrapers');
   }
   
   // ============================================================
@@ -657,21 +861,22 @@ async function catalogHandler(args) {
   } else if (studioFilter && extraGenre) {
     // Normalize studio name for cache key
     baseCatalogId = `hentai-studio-${extraGenre.toLowerCase().replace(/\s+/g, '-')}`;
-  } else if (id.startsWith('hentai-')) {
-    baseCatalogId = 'hentai-base';
   } else {
+    // Every other catalog keeps its own list - they fetch in different sort orders,
+    // and the catalog:<id> tag has to cover everything the catalog reads
     baseCatalogId = id;
   }
   const catalogCacheKey = cache.key('catalog', `${baseCatalogId}:${genreSlugForScrapers || 'all'}:accumulated`);
   
   // Get or create the accumulated series cache
+  const catalogTags = [cache.tag('catalog', id)];
   let catalogData = await cache.wrap(catalogCacheKey, ttl, async () => {
     return {
       series: [],          // All series fetched so far
       nextPage: 1,         // Next page to fetch from source
       isComplete: false    // Whether we've reached the end
     };
-  });
+  }, catalogTags);
   
   // For filtered/sorted catalogs, we may need to fetch more items to ensure we have enough after filtering
   // Weekly/Monthly catalogs need to fetch more since many items won't have dates
@@ -813,7 +1018,7 @@ async function catalogHandler(args) {
     
     // Update cache if anything changed (new series added OR existing merged)
     if (trulyNewSeries.length > 0 || mergeCount > 0) {
-      await cache.set(catalogCacheKey, catalogData, ttl);
+      await cache.set(catalogCacheKey, catalogData, ttl, catalogTags);
     }
     
     catalogData.nextPage++;
@@ -897,26 +1102,24 @@ async function catalogHandler(args) {
   // Apply sorting based on catalog type
   workingSet = applySorting(workingSet, sortType);
   
-  // Apply user's blacklist filters (genres and studios)
+  // Apply user's black/whitelist filters (genres and studios)
   // Ensure userConfig has required properties
   const safeConfig = {
     blacklistGenres: userConfig?.blacklistGenres || [],
     blacklistStudios: userConfig?.blacklistStudios || [],
+    expandBlacklistGenres: Boolean(userConfig?.expandBlacklistGenres),
+    whitelistGenres: userConfig?.whitelistGenres || [],
+    whitelistStudios: userConfig?.whitelistStudios || [],
     providers: userConfig?.providers || DEFAULT_CONFIG.providers
   };
   
-  if (safeConfig.blacklistGenres.length > 0 || safeConfig.blacklistStudios.length > 0) {
+  if (hasSeriesFilters(safeConfig)) {
     logger.debug(`Blacklist config: genres=${JSON.stringify(safeConfig.blacklistGenres)}, studios=${JSON.stringify(safeConfig.blacklistStudios)}`);
-    const beforeBlacklist = workingSet.length;
-    
-    // Debug: Log series that will be filtered
-    const filteredOut = workingSet.filter(series => !shouldIncludeSeries(series, safeConfig));
-    if (filteredOut.length > 0) {
-      logger.debug(`Blacklist removing ${filteredOut.length} series`);
-    }
+    logger.debug(`Whitelist config: genres=${JSON.stringify(safeConfig.whitelistGenres)}, studios=${JSON.stringify(safeConfig.whitelistStudios)}`);
+    const beforeFilter = workingSet.length;
     
     workingSet = workingSet.filter(series => shouldIncludeSeries(series, safeConfig));
-    logger.debug(`Blacklist filter: ${beforeBlacklist} → ${workingSet.length} items`);
+    logger.debug(`User filter: ${beforeFilter} → ${workingSet.length} items`);
   }
 
   // Now slice the exact items requested and format using shared helper
@@ -944,14 +1147,27 @@ async function handleSearch(catalogId, query, userConfig = DEFAULT_CONFIG) {
   const searchCacheKey = cache.key('search', `${catalogId}:${normalizedQuery}`);
   
   const results = await cache.wrap(searchCacheKey, ttl, async () => {
+    // Structured operators (studio:"Queen Bee" -genre:ntr year:2020..2023 rating:>7 eps:>=2)
+    // narrow the results; whatever isn't an operator is scored as free text
+    const { text, filters } = parseSearchQuery(normalizedQuery);
+    const filter = filters.length > 0 ? series => matchesSearchFilters(series, filters) : null;
+    if (filter) {
+      logger.debug(`Search operators: ${JSON.stringify(filters)}, text: "${text}"`);
+    }
+    
     // STEP 1: Always try database search first (instant, relevance-scored)
-    const dbResults = searchDatabase(normalizedQuery, { limit: 100 });
+    const dbResults = searchDatabase(text, { limit: 100, filter });
     
     if (dbResults && dbResults.length > 0) {
       logger.debug(`Database search "${normalizedQuery}" found ${dbResults.length} results`);
       return dbResults;
     }
     
+    // Operators alone give the scrapers nothing to search for
+    if (!text) {
+      return [];
+    }
+    
     // STEP 2: Fall back to scrapers if database has no results
     logger.debug(`Database had no results for "${normalizedQuery}", falling back to scrapers`);
     
@@ -967,7 +1183,7 @@ async function handleSearch(catalogId, query, userConfig = DEFAULT_CONFIG) {
       const searchResults = await Promise.allSettled(
         scrapers.map(async (scraperInstance) => {
           try {
-            const results = await scraperInstance.search(normalizedQuery);
+            const results = await scraperInstance.search(text);
             return {
               provider: scraperInstance.name || 'Unknown',
               catalog: results || []
@@ -990,22 +1206,23 @@ async function handleSearch(catalogId, query, userConfig = DEFAULT_CONFIG) {
       // Aggregate and deduplicate search results
       const aggregatedResults = aggregateCatalogs(providerResults);
       
-      logger.debug(`Scraper search "${normalizedQuery}" returned ${aggregatedResults.length} results from ${providerResults.length} providers`);
-      return aggregatedResults;
+      logger.debug(`Scraper search "${text}" returned ${aggregatedResults.length} results from ${providerResults.length} providers`);
+      return filter ? aggregatedResults.filter(filter) : aggregatedResults;
     } else {
       // Single provider search
       const scraper = getScraper(catalogId);
-      return await scraper.search(normalizedQuery);
+      const scraperResults = await scraper.search(text);
+      return filter ? (scraperResults || []).filter(filter) : scraperResults;
     }
-  });
+  }, [cache.tag('catalog', catalogId)]);
   
   logger.debug(`Search "${normalizedQuery}" returning ${results.length} results`);
   
-  // Apply user's blacklist filters
+  // Apply user's black/whitelist filters
   let filteredResults = results;
-  if (userConfig.blacklistGenres.length > 0 || userConfig.blacklistStudios.length > 0) {
+  if (hasSeriesFilters(userConfig)) {
     filteredResults = results.filter(series => shouldIncludeSeries(series, userConfig));
-    logger.debug(`Search blacklist filter: ${results.length} → ${filteredResults.length} items`);
+    logger.debug(`Search user filter: ${results.length} → ${filteredResults.length} items`);
   }
   
   // Ensure search results are properly formatted for Stremio
@@ -1015,3 +1232,4 @@ async function handleSearch(catalogId, query, userConfig = DEFAULT_CONFIG) {
 }
 
 module.exports = catalogHandler;
+module.exports.CATALOG_PAGE_SIZE = CATALOG_PAGE_SIZE;
@@ -19,7 +19,23 @@ function getScraperLazy(name) {
 const config = require('../../config/env');
 const ratingNormalizer = require('../../utils/ratingNormalizer');
 const { isPromotionalDescription } = require('../../utils/descriptionHelper');
-const { getFromDatabase, isDatabaseReady } = require('../../utils/catalogAggregator');
+const { getFromDatabase, getEpisodesFromDatabase, getSimilarFromDatabase, getFranchiseFromDatabase, isDatabaseReady } = require('../../utils/catalogAggregator');
+const { mergeEpisodeLists, getEpisodeNumber } = require('../../utils/episodeMerger');
+const { signImageProxyUrl } = require('../../utils/urlSigner');
+
+// Similar titles linked directly on the detail page (the rest via the hentai-similar catalog)
+const SIMILAR_LINK_COUNT = 5;
+
+/**
+ * Route Referer-protected images (hanime-cdn) through the signed /image-proxy
+ * Other images are returned unchanged
+ */
+function proxyImage(url) {
+  if (url && url.startsWith('https://hanime-cdn.com/')) {
+    return signImageProxyUrl(url);
+  }
+  return url || undefined;
+}
 
 /**
  * Mark a series as broken (returns 500 errors)
@@ -67,27 +83,34 @@ async function metaHandler(args) {
   // Step 2: Not in database or incomplete - use cache.wrap with scraping
   const cacheKey = cache.key('meta', id);
   const ttl = cache.getTTL('meta');
+  const tags = [
+    cache.tag('series', dbData?.canonicalId || id),
+    cache.tag('provider', (dbData ? dbData.id : id).split('-')[0])
+  ];
 
   return cache.wrap(cacheKey, ttl, async () => {
     let data;
     
+    // Canonical hs- IDs (and merged legacy IDs) are scraped via the entry's provider ID
+    const scrapeId = dbData ? dbData.id : id;
+    
     // Try scraping for metadata not in database
     try {
       // Determine which scraper to use based on ID prefix
       let scraper = hentaimamaScraper; // Default
       
-      if (id.startsWith('hmm-') || id.startsWith('hentaimama-')) {
+      if (scrapeId.startsWith('hmm-') || scrapeId.startsWith('hentaimama-')) {
         scraper = hentaimamaScraper;
-      } else if (id.startsWith('hse-') || id.startsWith('hentaisea-')) {
+      } else if (scrapeId.startsWith('hse-') || scrapeId.startsWith('hentaisea-')) {
         scraper = hentaiseaScraper;
-      } else if (id.startsWith('htv-') || id.startsWith('hentaitv-')) {
+      } else if (scrapeId.startsWith('htv-') || scrapeId.startsWith('hentaitv-')) {
         scraper = hentaitvScraper;
-      } else if (id.startsWith('os-') || id.startsWith('oppaistream-')) {
+      } else if (scrapeId.startsWith('os-') || scrapeId.startsWith('oppaistream-')) {
         scraper = oppaiStreamScraper;
       }
       
-      logger.debug(`Scraping metadata for ${id} (not in database or incomplete)`);
-      data = await scraper.getMetadata(id);
+      logger.debug(`Scraping metadata for ${scrapeId} (not in database or incomplete)`);
+      data = await scraper.getMetadata(scrapeId);
     } catch (error) {
       logger.error(`Failed to fetch metadata for ${id}: ${error.message}`);
       
@@ -139,7 +162,25 @@ async function metaHandler(args) {
     }
 
     return buildMetaResponse(data, dbData);
-  });
+  }, tags);
+}
+
+/**
+ * Get the episodes for the videos array, merged across every provider carrying the series
+ * (HentaiMama may only have episodes 1-2 while HentaiTV already has episode 3)
+ */
+function getVideoEpisodes(data, dbData) {
+  const merged = dbData ? getEpisodesFromDatabase(dbData.id) : null;
+  if (!merged) return data.episodes || [];
+  if (data === dbData) return merged;
+  
+  // Freshly scraped episodes win, the database adds episodes only other providers have
+  // (scraped via the entry's provider ID - canonical hs- IDs don't name a provider)
+  const provider = dbData.provider || dbData.id.split('-')[0];
+  return mergeEpisodeLists([
+    { episodes: data.episodes, provider },
+    { episodes: merged }
+  ]);
 }
 
 /**
@@ -218,8 +259,32 @@ function buildMetaResponse(data, dbData) {
       url: `stremio:///search?search=${encodeURIComponent(data.studio)}`
     }] : [];
     
-    // Combine all links - genres first, then studio (for display order)
-    const allLinks = [...genreLinks, ...studioLinks];
+    // Franchise links - the other entries of the franchise, in release order
+    const franchiseLinks = (dbData ? (getFranchiseFromDatabase(dbData.id) || []) : [])
+      .filter(item => item.id !== dbData.id)
+      .map(item => ({
+        name: item.year ? `${item.name} (${item.year})` : item.name,
+        category: 'Franchise',
+        url: `stremio:///detail/series/${encodeURIComponent(item.canonicalId || item.id)}`
+      }));
+    
+    // "More like this" links - top similar titles, then the full list as a catalog
+    const similar = dbData ? (getSimilarFromDatabase(dbData.id) || []) : [];
+    const similarLinks = similar.slice(0, SIMILAR_LINK_COUNT).map(item => ({
+      name: item.name,
+      category: 'More like this',
+      url: `stremio:///detail/series/${encodeURIComponent(item.canonicalId || item.id)}`
+    }));
+    if (similar.length > SIMILAR_LINK_COUNT && !isLocalhost) {
+      similarLinks.push({
+        name: `All similar titles (${similar.length})`,
+        category: 'More like this',
+        url: `stremio:///discover/${encodeURIComponent(manifestUrl)}/hentai/hentai-similar?genre=${encodeURIComponent(dbData.canonicalId || dbData.id)}`
+      });
+    }
+    
+    // Combine all links - genres first, then studio, franchise and similar titles (for display order)
+    const allLinks = [...genreLinks, ...studioLinks, ...franchiseLinks, ...similarLinks];
     
     // Clean up promotional descriptions and remove any "Ratings:" text that may have leaked in
     let cleanDescription = data.description || '';
@@ -229,13 +294,17 @@ function buildMetaResponse(data, dbData) {
     // Remove "Ratings:" text that may have been added to descriptions in older database entries
     cleanDescription = cleanDescription.replace(/\s*Ratings:.*$/s, '').trim();
     
+    // Canonical hs- ID when the series is in the database, so legacy provider IDs
+    // (old library entries) resolve to the same item and episode IDs
+    const seriesId = dbData?.canonicalId || data.seriesId || data.id;
+    
     // Transform to Stremio meta format
     const meta = {
-      id: data.seriesId || data.id,
+      id: seriesId,
       type: 'series',
       name: data.name,
-      poster: data.poster || undefined,
-      background: data.poster || undefined,
+      poster: proxyImage(data.poster),
+      background: proxyImage(data.poster),
       description: cleanDescription, // Rating breakdown intentionally not shown - only for internal use
       releaseInfo: data.releaseInfo || data.year || undefined,
       // Show rating in runtime field (avoids IMDb logo)
@@ -248,19 +317,18 @@ function buildMetaResponse(data, dbData) {
       // Build videos array from episodes with individual thumbnails and release dates
       // Handle both old format (episodeNumber) and new format (number)
       // NOTE: RAW status is shown in STREAM name, not episode title
-      // CRITICAL: Use series ID (data.seriesId or data.id), NOT episode ID (ep.id)
+      // CRITICAL: Use series ID (seriesId above), NOT episode ID (ep.id)
       // ep.id contains the episode slug (like "hmm-series-name-episode-1")
       // Video IDs must be "{series_id}:1:{episode_num}" for proper stream routing
-      videos: (data.episodes || []).map(ep => {
-        const epNum = ep.number || ep.episodeNumber || 1;
+      videos: getVideoEpisodes(data, dbData).map(ep => {
+        const epNum = getEpisodeNumber(ep);
         const epTitle = ep.title || ep.name || `Episode ${epNum}`;
-        const seriesId = data.seriesId || data.id; // Use series ID, not episode ID
         return {
           id: `${seriesId}:1:${epNum}`,
           title: epTitle,
           season: 1,
           episode: epNum,
-          thumbnail: ep.poster || data.poster || undefined, // Use episode's poster first
+          thumbnail: proxyImage(ep.poster || data.poster), // Use episode's poster first
           released: ep.released || undefined, // Add release date (ISO string) for Stremio display
         };
       }),
@@ -269,11 +337,11 @@ function buildMetaResponse(data, dbData) {
     // If no episodes, create a single episode entry
     if (meta.videos.length === 0) {
       meta.videos = [{
-        id: `${data.id}:1:1`,
+        id: `${seriesId}:1:1`,
         title: data.name,
         season: 1,
         episode: 1,
-        thumbnail: data.poster || undefined,
+        thumbnail: proxyImage(data.poster),
       }];
     }
 
@@ -5,7 +5,15 @@
 
 const logger = require('../../utils/logger');
 const parser = require('../../utils/parser');
-const config = require('../../config/env');
+const cache = require('../../cache');
+const circuitBreakers = require('../../utils/circuitBreaker');
+const { signVideoProxyUrl } = require('../../utils/urlSigner');
+const { getProviderOrder } = require('../../utils/configParser');
+const { getFromDatabase, getEpisodesFromDatabase } = require('../../utils/catalogAggregator');
+const { sortByQuality, filterByMinQuality, getResolutionLabel, detectStreamType } = require('../../utils/quality');
+const { userStore } = require('../../utils/userStore');
+const { metrics } = require('../../utils/metrics');
+const requestContext = require('../../utils/requestContext');
 
 // Worker URLs from environment
 const WORKER_HENTAIMAMA = process.env.WORKER_HENTAIMAMA || '';
@@ -17,34 +25,130 @@ if (!workersConfigured) {
   logger.warn('[Stream] Cloudflare Worker URLs not set (WORKER_HENTAIMAMA/WORKER_HENTAISEA/WORKER_HENTAITV)');
 }
 
+// Provider code (as used in user config) → worker
+const PROVIDER_WORKERS = {
+  hmm: { name: 'HentaiMama', url: WORKER_HENTAIMAMA },
+  hse: { name: 'HentaiSea', url: WORKER_HENTAISEA },
+  htv: { name: 'HentaiTV', url: WORKER_HENTAITV },
+};
+
+// Register breakers up front so /health lists every configured worker
+for (const worker of Object.values(PROVIDER_WORKERS)) {
+  if (worker.url) circuitBreakers.get(worker.url, worker.name);
+}
+
 async function fetchFromWorker(workerUrl, episodeId, providerName, timeout = 15000) {
   if (!workerUrl) return [];
+
+  // Skip workers that keep failing instead of waiting for the full timeout
+  const breaker = circuitBreakers.get(workerUrl, providerName);
+  if (!breaker.allowRequest()) {
+    logger.debug(`[${providerName}] circuit open, skipping worker`);
+    metrics.workerErrors.inc({ provider: providerName, reason: 'circuit_open' });
+    return [];
+  }
+
   const url = `${workerUrl}?action=stream&id=${encodeURIComponent(episodeId)}`;
 
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), timeout);
-  try {
-    const res = await fetch(url, {
-      signal: controller.signal,
-      headers: { 'User-Agent': 'HentaiStream-Addon/1.0' },
-    });
-    clearTimeout(timer);
-    if (!res.ok) {
-      logger.debug(`[${providerName}] Worker HTTP ${res.status}`);
+  return requestContext.withSpan(`worker ${providerName}`, { episodeId }, async (span) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    const endTimer = metrics.workerDuration.startTimer({ provider: providerName });
+    try {
+      const res = await fetch(url, {
+        signal: controller.signal,
+        headers: { 'User-Agent': 'HentaiStream-Addon/1.0', ...requestContext.getHeaders() },
+      });
+      clearTimeout(timer);
+      endTimer();
+      span.attributes.status = res.status;
+      if (!res.ok) {
+        logger.debug(`[${providerName}] Worker HTTP ${res.status}`);
+        metrics.workerErrors.inc({ provider: providerName, reason: `http_${Math.floor(res.status / 100)}xx` });
+        // 4xx means the worker is up (e.g. unknown episode) - only 5xx counts against it
+        if (res.status >= 500) breaker.recordFailure(`HTTP ${res.status}`);
+        else breaker.recordSuccess();
+        return [];
+      }
+      breaker.recordSuccess();
+      const json = await res.json().catch(() => null);
+      if (json && Array.isArray(json.streams)) {
+        logger.debug(`[${providerName}] ${json.streams.length} streams`);
+        span.attributes.streams = json.streams.length;
+        return json.streams;
+      }
+      return [];
+    } catch (err) {
+      clearTimeout(timer);
+      endTimer();
+      if (err && err.name === 'AbortError') {
+        logger.debug(`[${providerName}] worker timeout ${timeout}ms`);
+        breaker.recordFailure(`timeout ${timeout}ms`);
+        metrics.workerErrors.inc({ provider: providerName, reason: 'timeout' });
+        span.error = `timeout ${timeout}ms`;
+      } else {
+        logger.debug(`[${providerName}] worker error: ${err?.message || err}`);
+        breaker.recordFailure(err?.message || String(err));
+        metrics.workerErrors.inc({ provider: providerName, reason: 'network' });
+        span.error = err?.message || String(err);
+      }
       return [];
     }
-    const json = await res.json().catch(() => null);
-    if (json && Array.isArray(json.streams)) {
-      logger.debug(`[${providerName}] ${json.streams.length} streams`);
-      return json.streams;
-    }
-    return [];
-  } catch (err) {
-    clearTimeout(timer);
-    if (err && err.name === 'AbortError') logger.debug(`[${providerName}] worker timeout ${timeout}ms`);
-    else logger.debug(`[${providerName}] worker error: ${err?.message || err}`);
-    return [];
+  });
+}
+
+// Lookups currently hitting the workers, keyed by stream cache key
+// Concurrent identical requests share one upstream fetch
+const inFlight = new Map();
+
+/**
+ * Get one provider's streams for an episode through the two-tier cache
+ * Hits are cached for the stream TTL; empty results and worker failures are
+ * cached briefly (negative cache) so a binge session doesn't keep re-querying
+ * workers that don't have the episode.
+ * @param {string} code - Provider code (hmm, hse, htv)
+ * @param {string} episodeId - Worker episode ID
+ * @param {string|null} seriesId - Series ID the entries are tagged with (canonical where known)
+ * @returns {Promise<Array>} Worker stream objects (empty if none)
+ */
+function getProviderStreams(code, episodeId, seriesId = null) {
+  const worker = PROVIDER_WORKERS[code];
+  if (!worker || !worker.url) return Promise.resolve([]);
+
+  const key = cache.key('stream', `${code}:${episodeId}`);
+  if (inFlight.has(key)) {
+    logger.debug(`[Stream] Joining in-flight lookup ${key}`);
+    return inFlight.get(key);
   }
+
+  const tags = [cache.tag('provider', code)];
+  if (seriesId) tags.push(cache.tag('series', seriesId));
+
+  const lookup = (async () => {
+    // Negative entries store their own expiry - the disk tier doesn't enforce short TTLs on get()
+    const missKey = cache.key('stream-miss', `${code}:${episodeId}`);
+    const missUntil = await cache.get(missKey);
+    if (missUntil && missUntil > Date.now()) {
+      logger.debug(`[${worker.name}] Negative cache hit for ${episodeId}`);
+      return [];
+    }
+
+    const streams = await cache.wrap(key, cache.getTTL('stream'), async () => {
+      const result = await fetchFromWorker(worker.url, episodeId, worker.name);
+      // wrap() doesn't cache null - empty results go to the negative cache instead
+      return result.length ? result : null;
+    }, tags);
+
+    if (!streams || !streams.length) {
+      const ttl = cache.getTTL('streamNegative');
+      await cache.set(missKey, Date.now() + ttl * 1000, ttl, tags);
+      return [];
+    }
+    return streams;
+  })().finally(() => inFlight.delete(key));
+
+  inFlight.set(key, lookup);
+  return lookup;
 }
 
 function cleanProviderSlug(slug) {
@@ -52,55 +156,211 @@ function cleanProviderSlug(slug) {
     .replace(/^hmm-/i, '')
     .replace(/^hse-/i, '')
     .replace(/^htv-/i, '')
+    .replace(/^hs-/i, '')
     .replace(/^hentaimama-/i, '')
     .replace(/^hentaisea-/i, '')
     .replace(/^hentaitv-/i, '')
     .replace(/^hentai-/i, '');
 }
 
+/**
+ * Work out which providers to ask for an episode, and with which worker episode ID
+ * Series in the database record which providers carry each episode - only those
+ * are queried, each with its own series slug. Unknown series or episodes the
+ * database doesn't list yet fall back to asking every enabled provider.
+ * @param {string} seriesId - Series ID from the video ID (canonical or provider)
+ * @param {number} episodeNum - Episode number
+ * @param {Array<string>} order - Enabled provider codes in priority order
+ * @returns {{ order: Array<string>, episodeIds: Object<string, string>, seriesId: string }}
+ *   seriesId is the canonical ID for series in the database
+ */
+function resolveEpisodeSources(seriesId, episodeNum, order) {
+  // Canonical hs- and legacy provider IDs both resolve to the merged database entry
+  const series = getFromDatabase(seriesId);
+  const fallbackId = `${cleanProviderSlug(series ? series.id : seriesId)}-episode-${episodeNum}`;
+  const episode = series ? (getEpisodesFromDatabase(seriesId) || []).find(ep => ep.number === episodeNum) : null;
+
+  const providers = episode?.providers?.length
+    ? order.filter(code => episode.providers.includes(code))
+    : order;
+
+  const episodeIds = {};
+  for (const code of providers) {
+    const providerSlug = series?.providerSlugs?.[code];
+    episodeIds[code] = providerSlug ? `${cleanProviderSlug(providerSlug)}-episode-${episodeNum}` : fallbackId;
+  }
+  return { order: providers, episodeIds, seriesId: series ? (series.canonicalId || series.id) : seriesId };
+}
+
+/**
+ * Query the enabled provider workers and collect their streams in priority order
+ * All workers are queried in parallel; results are read back in the user's order.
+ * With firstOnly, stops at the first provider (by priority) that has usable streams.
+ * @param {Array<string>} order - Provider codes in priority order
+ * @param {Object<string, string>} episodeIds - Worker episode ID per provider code
+ * @param {boolean} firstOnly - Only keep the preferred provider's streams
+ * @param {Function} prepare - Filters/sorts one provider's streams before they are used
+ * @param {string|null} seriesId - Series ID for the cache tags
+ * @returns {Promise<Array>} Worker stream objects
+ */
+async function fetchInPriorityOrder(order, episodeIds, firstOnly, prepare = streams => streams, seriesId = null) {
+  const pending = order.map(code => getProviderStreams(code, episodeIds[code], seriesId).catch(err => {
+    logger.debug(`[Stream] ${code} lookup failed: ${err.message}`);
+    return [];
+  }));
+
+  const all = [];
+  for (let i = 0; i < pending.length; i++) {
+    const streams = prepare(await pending[i]);
+    if (!streams.length) continue;
+    all.push(...streams);
+    if (firstOnly) {
+      logger.debug(`[Stream] Using preferred provider ${order[i]} (${streams.length} streams)`);
+      break;
+    }
+  }
+  return all;
+}
+
+/**
+ * Apply the user's quality preferences to one provider's streams
+ * Drops RAW and below-minimum streams, then sorts by resolution (highest first)
+ * @param {Array} streams - Worker stream objects
+ * @param {Object} userConfig - Parsed user config
+ * @returns {Array} Filtered and sorted streams
+ */
+function applyQualityFilters(streams, userConfig) {
+  let result = streams;
+  if (userConfig?.hideRaw) {
+    result = result.filter(s => !s.isRaw);
+  }
+  if (userConfig?.minQuality) {
+    result = filterByMinQuality(result, userConfig.minQuality);
+  }
+  return sortByQuality(result);
+}
+
+/**
+ * Move streams in the preferred resolution to the front (stable - keeps provider order)
+ * @param {Array} streams - Worker stream objects
+ * @param {string|null} preferredQuality - e.g. '1080p'
+ * @returns {Array} Reordered streams
+ */
+function preferResolution(streams, preferredQuality) {
+  if (!preferredQuality) return streams;
+  const preferred = streams.filter(s => getResolutionLabel(s) === preferredQuality);
+  const rest = streams.filter(s => getResolutionLabel(s) !== preferredQuality);
+  return [...preferred, ...rest];
+}
+
+// Video extensions worth reporting as behaviorHints.filename
+const VIDEO_EXTENSIONS = ['mp4', 'mkv', 'webm', 'avi', 'm3u8', 'mpd'];
+
+/**
+ * Build Stremio behaviorHints from a worker stream
+ * - bingeGroup keeps next-episode autoplay on the same provider/quality/RAW variant
+ * - proxyHeaders lets Referer-protected streams play directly (requires notWebReady)
+ * @param {Object} s - Worker stream object
+ * @param {string|null} resolution - Normalized resolution label
+ * @param {boolean} proxied - Stream goes through /video-proxy (headers handled server-side)
+ * @returns {Object} behaviorHints
+ */
+function buildBehaviorHints(s, resolution, proxied) {
+  const providerCode = Object.keys(PROVIDER_WORKERS).find(code => PROVIDER_WORKERS[code].name === s.provider) || 'source';
+  const hints = {
+    bingeGroup: `hentaistream-${providerCode}-${resolution || 'unknown'}${s.isRaw ? '-raw' : ''}`,
+  };
+
+  if (proxied) return hints;
+
+  let filename = null;
+  try {
+    filename = decodeURIComponent(new URL(s.url).pathname.split('/').pop() || '');
+  } catch {
+    // Malformed URL - no filename hint
+  }
+  const extension = filename && filename.includes('.') ? filename.split('.').pop().toLowerCase() : null;
+
+  hints.notWebReady = detectStreamType(s.url, extension).notWebReady;
+
+  const requestHeaders = { ...(s.headers || {}) };
+  if (s.referer) requestHeaders.Referer = s.referer;
+  if (Object.keys(requestHeaders).length > 0) {
+    hints.proxyHeaders = { request: requestHeaders };
+    // Stremio only applies proxyHeaders through its streaming server
+    hints.notWebReady = true;
+  }
+
+  if (Number.isFinite(s.size) && s.size > 0) {
+    hints.videoSize = s.size;
+  }
+
+  if (extension && VIDEO_EXTENSIONS.includes(extension)) {
+    hints.filename = filename;
+  }
+
+  return hints;
+}
+
+/**
+ * Remember the episode for the user's "Continue Watching" catalog (called once streams were found)
+ * Only series in the database are recorded (by canonical ID, so provider IDs don't split history)
+ */
+function recordWatch(userConfig, seriesId, episodeNum, clientIp) {
+  if (!userConfig?.userToken) return;
+  const series = getFromDatabase(seriesId);
+  if (!series) return;
+  userStore.recordWatch(userConfig.userToken, series.canonicalId || series.id, episodeNum, clientIp);
+}
+
 async function streamHandler(args) {
-  const { type, id } = args;
+  const { type, id, config: userConfig, clientIp } = args;
   if (type !== 'series' && type !== 'hentai') return { streams: [] };
 
   const { slug } = parser.parseVideoId(id);
   const episodeMatch = id.match(/:(\d+):(\d+)$/);
   const episodeNum = episodeMatch ? episodeMatch[2] : '1';
 
-  const baseSlug = cleanProviderSlug(slug);
-  const episodeId = `${baseSlug}-episode-${episodeNum}`;
-  logger.debug(`[Stream] ${episodeId}`);
+  // Disabled providers are skipped, the rest are ranked by the user's priority
+  // and narrowed to the providers that actually carry this episode
+  const { order, episodeIds, seriesId } = resolveEpisodeSources(slug, parseInt(episodeNum, 10), getProviderOrder(userConfig));
+  logger.debug(`[Stream] ${slug} episode ${episodeNum} → ${order.map(code => `${code}:${episodeIds[code]}`).join(', ') || 'no providers'}`);
 
-  const [hmm, hse, htv] = await Promise.allSettled([
-    fetchFromWorker(WORKER_HENTAIMAMA, episodeId, 'HentaiMama'),
-    fetchFromWorker(WORKER_HENTAISEA, episodeId, 'HentaiSea'),
-    fetchFromWorker(WORKER_HENTAITV, episodeId, 'HentaiTV'),
-  ]);
-
-  const all = [];
-  if (hmm.status === 'fulfilled' && hmm.value?.length) all.push(...hmm.value);
-  if (hse.status === 'fulfilled' && hse.value?.length) all.push(...hse.value);
-  if (htv.status === 'fulfilled' && htv.value?.length) all.push(...htv.value);
+  const fetched = await fetchInPriorityOrder(
+    order,
+    episodeIds,
+    Boolean(userConfig?.firstProviderOnly),
+    streams => applyQualityFilters(streams, userConfig),
+    seriesId
+  );
+  const all = preferResolution(fetched, userConfig?.preferredQuality);
 
   if (!all.length) return { streams: [] };
 
-  const baseUrl = config.server.baseUrl;
-
   const stremioStreams = all.map((s) => {
-    const q = s.quality && s.quality !== 'Unknown' ? ` - ${s.quality}` : '';
+    // Normalized label ("1080P", "Full HD" → "1080p"); generic "HD"/"SD" leave it out
+    const resolution = getResolutionLabel(s);
+    const q = resolution ? ` - ${resolution}` : '';
     const raw = s.isRaw ? ' - RAW' : '';
     let url = s.url;
+    const proxied = Boolean(s.needsProxy && s.proxyType === 'jwplayer' && s.jwplayerUrl);
 
-    if (s.needsProxy && s.proxyType === 'jwplayer' && s.jwplayerUrl) {
-      url = `${baseUrl}/video-proxy?jwplayer=${encodeURIComponent(s.jwplayerUrl)}`;
+    if (proxied) {
+      url = signVideoProxyUrl({ jwplayer: s.jwplayerUrl });
     }
 
     return {
       name: s.provider || 'Source',
       title: `Episode ${episodeNum}${q}${raw}`,
       url,
+      behaviorHints: url ? buildBehaviorHints(s, resolution, proxied) : undefined,
     };
   }).filter(x => Boolean(x.url));
 
+  if (stremioStreams.length) {
+    recordWatch(userConfig, slug, parseInt(episodeNum, 10), clientIp);
+  }
+
   return { streams: stremioStreams };
 }
 
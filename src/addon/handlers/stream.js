@@ -17,41 +17,8 @@ function getScraperLazy(name) {
   }
 }
 
-const { getOppaiStreamSlug } = require('../../utils/seriesNameMatcher');
-const config = require('../../config/env');
-
-/**
- * Extract search term from slug for fuzzy matching
- * "rance-01-hikari-o-motomete-the-animation-episode-1" -> "rance"
- * "enjo-kouhai-episode-1" -> "enjo kouhai"
- */
-function extractSearchTerm(slug) {
-  // Remove episode suffix
-  let clean = slug.replace(/-episode-\d+$/, '');
-  
-  // Remove common suffixes that may differ between providers
-  clean = clean
-    .replace(/-the-animation$/, '')
-    .replace(/-animation$/, '')
-    .replace(/-ova$/, '')
-    .replace(/-ona$/, '')
-    .replace(/-uncensored$/, '')
-    .replace(/-subbed$/, '')
-    .replace(/-dubbed$/, '');
-  
-  // Split by dash and take meaningful words
-  const words = clean.split('-').filter(w => w.length > 1);
-  
-  // For series with numbered titles like "rance-01", return just the name part
-  // But keep the number if it's part of the actual title
-  if (words.length >= 2 && /^\d+$/.test(words[1])) {
-    // Check if it looks like a version number (01, 02, etc.)
-    return words[0]; // Just return "rance"
-  }
-  
-  // Return first 3 words max for search (more specific = fewer false positives)
-  return words.slice(0, 3).join(' ');
-}
+const { getOppaiStreamSlug, extractSearchTerm } = require('../../utils/seriesNameMatcher');
+const { signVideoProxyUrl } = require('../../utils/urlSigner');
 
 /**
  * Extract multiple search terms for better cross-language matching
@@ -420,13 +387,11 @@ async function streamHandler(args) {
         let finalUrl = stream.url;
         if (stream.needsProxy && stream.proxyType === 'jwplayer' && stream.jwplayerUrl) {
           // HentaiSea: Use proxy with jwplayer URL to get fresh auth token each time
-          const baseUrl = config.server.baseUrl;
-          finalUrl = `${baseUrl}/video-proxy?jwplayer=${encodeURIComponent(stream.jwplayerUrl)}`;
+          finalUrl = signVideoProxyUrl({ jwplayer: stream.jwplayerUrl });
           logger.debug(`Stream: ${stream.provider} | ${titleLabel} -> PROXIED (jwplayer)`);
         } else if (stream.needsProxy) {
           // Generic proxy for other IP-restricted URLs
-          const baseUrl = config.server.baseUrl;
-          finalUrl = `${baseUrl}/video-proxy?episodeId=${encodeURIComponent(slug)}`;
+          finalUrl = signVideoProxyUrl({ episodeId: slug });
           logger.debug(`Stream: ${stream.provider} | ${titleLabel} -> PROXIED (episodeId)`);
         } else {
           // Log stream URL for debugging
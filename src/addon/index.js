@@ -73,5 +73,6 @@ module.exports = {
   catalogHandler: handleCatalog,
   metaHandler: handleMeta,
   streamHandler: handleStream,
-  getManifest: getManifestFresh
+  getManifest: getManifestFresh,
+  CATALOG_PAGE_SIZE: catalogHandler.CATALOG_PAGE_SIZE
 };
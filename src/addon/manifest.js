@@ -1,6 +1,7 @@
 const config = require('../config/env');
 const fs = require('fs');
 const path = require('path');
+const { SORT_OPTIONS } = require('../utils/catalogFilters');
 
 // Spam entries to filter out from both genres and studios
 const SPAM_ENTRIES = [
@@ -333,6 +334,28 @@ function getTimePeriodOptions() {
   return ["This Week", "This Month", "3 Months", "This Year"];
 }
 
+/**
+ * Get franchise options for the Franchises catalog ("Oni Chichi (10)")
+ * Read from the database when loaded, filter-options.json during startup
+ */
+function getFranchiseOptions() {
+  try {
+    const databaseLoader = require('../utils/databaseLoader');
+    
+    if (databaseLoader.isReady()) {
+      const franchises = databaseLoader.getFranchises();
+      if (franchises.length > 0) {
+        return franchises.map(f => `${f.name} (${f.count})`);
+      }
+    }
+  } catch (err) {
+    // Database not loaded yet (startup), fall back to file
+  }
+  
+  const options = loadFilterOptions();
+  return options?.franchises?.withCounts || [];
+}
+
 /**
  * Default studio options (fallback)
  */
@@ -429,6 +452,15 @@ function getBaseManifest() {
         extra: [{ name: 'skip' }, { name: 'genre', options: STUDIO_OPTIONS }],
         behaviorHints: { notForHome: true }
       },
+      // Franchises - sequels and spin-offs grouped, in release order
+      // NOTE: Uses getFranchiseOptions() directly - franchises come from the loaded database
+      {
+        type: 'hentai',
+        id: 'hentai-franchises',
+        name: 'Franchises',
+        extra: [{ name: 'skip' }, { name: 'genre', options: getFranchiseOptions() }],
+        behaviorHints: { notForHome: true }
+      },
       // Release Year - filter by year
       {
         type: 'hentai',
@@ -445,6 +477,40 @@ function getBaseManifest() {
         extra: [{ name: 'skip' }, { name: 'genre', options: DYNAMIC_GENRE_OPTIONS }],
         behaviorHints: { notForHome: true }
       },
+      // Recently Added - by when the addon discovered a series (not the provider's release date)
+      {
+        type: 'hentai',
+        id: 'hentai-recently-added',
+        name: 'Recently Added',
+        extra: [{ name: 'skip' }, { name: 'genre', options: DYNAMIC_GENRE_OPTIONS }],
+        behaviorHints: { notForHome: true }
+      },
+      // Discover - combinable sort + genre/studio/year filters
+      // Stremio only shows the genre dropdown, so it offers the sort orders too;
+      // other clients can combine "|"-separated segments (Vanilla|year:2020|sort:newest)
+      {
+        type: 'hentai',
+        id: 'hentai-discover',
+        name: 'Discover',
+        extra: [
+          { name: 'skip' },
+          { name: 'genre', options: [...SORT_OPTIONS, ...DYNAMIC_GENRE_OPTIONS] },
+          { name: 'sort', options: SORT_OPTIONS },
+          { name: 'studio', options: STUDIO_OPTIONS },
+          { name: 'year', options: YEAR_OPTIONS },
+          { name: 'franchise', options: getFranchiseOptions() }
+        ],
+        behaviorHints: { notForHome: true }
+      },
+      // Similar titles ("More like this") - genre carries the series ID,
+      // reached through the links on a series' detail page
+      {
+        type: 'hentai',
+        id: 'hentai-similar',
+        name: 'More Like This',
+        extra: [{ name: 'genre', isRequired: true }, { name: 'skip' }],
+        behaviorHints: { notForHome: true }
+      },
       // Search-only catalog (isRequired: true means this catalog ONLY handles search)
       // This ensures Stremio always routes search queries here
       // Hidden from catalog view but functional for search routing
@@ -0,0 +1,166 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+// Cache entry files are named by the MD5 of their key (other files in the directory are left alone)
+const ENTRY_FILE_REGEX = /^[0-9a-f]{32}\.json$/;
+
+/**
+ * Disk storage adapter - one JSON file per entry in the cache directory
+ * Survives restarts of a single instance; replicas each have their own directory
+ */
+class DiskAdapter {
+  constructor(options = {}) {
+    this.name = 'disk';
+    this.shared = false;
+    this.cacheDir = options.dir || path.join(process.cwd(), '.cache');
+
+    // Create the directory and drop expired entries (in the background)
+    this.ready = this._init();
+  }
+
+  /**
+   * Create the cache directory and remove expired or corrupted entries
+   */
+  async _init() {
+    try {
+      await fs.mkdir(this.cacheDir, { recursive: true });
+
+      const files = await fs.readdir(this.cacheDir);
+      let cleaned = 0;
+
+      for (const file of files) {
+        if (!ENTRY_FILE_REGEX.test(file)) continue;
+
+        const filePath = path.join(this.cacheDir, file);
+        try {
+          const entry = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+          if (Date.now() > this._staleUntil(entry)) {
+            await fs.unlink(filePath);
+            cleaned++;
+          }
+        } catch (e) {
+          // Corrupted file, remove it
+          await fs.unlink(filePath).catch(() => {});
+          cleaned++;
+        }
+      }
+
+      if (cleaned > 0) {
+        logger.info(`[Cache] Cleaned ${cleaned} expired disk cache entries`);
+      }
+    } catch (error) {
+      logger.warn(`[Cache] Disk cache init error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stale deadline of a stored entry (files written before the adapters used diskExpires)
+   */
+  _staleUntil(entry) {
+    return entry.staleUntil ?? entry.diskExpires ?? 0;
+  }
+
+  _getPath(key) {
+    return path.join(this.cacheDir, `${crypto.createHash('md5').update(key).digest('hex')}.json`);
+  }
+
+  async _readEntry(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async get(key) {
+    const filePath = this._getPath(key);
+    const entry = await this._readEntry(filePath);
+    if (!entry) return null;
+
+    const staleUntil = this._staleUntil(entry);
+    if (Date.now() > staleUntil) {
+      await fs.unlink(filePath).catch(() => {});
+      return null;
+    }
+    return { value: entry.value, expires: entry.expires, staleUntil, tags: entry.tags || [] };
+  }
+
+  async set(key, entry) {
+    await this.ready;
+    const data = {
+      key,
+      value: entry.value,
+      expires: entry.expires,
+      staleUntil: entry.staleUntil,
+      tags: entry.tags || [],
+      createdAt: new Date().toISOString()
+    };
+    await fs.writeFile(this._getPath(key), JSON.stringify(data), 'utf-8');
+  }
+
+  async del(key) {
+    await fs.unlink(this._getPath(key)).catch(() => {});
+  }
+
+  async keys(prefix = '') {
+    const now = Date.now();
+    const keys = [];
+    let files = [];
+    try {
+      files = await fs.readdir(this.cacheDir);
+    } catch (error) {
+      return keys;
+    }
+
+    for (const file of files) {
+      if (!ENTRY_FILE_REGEX.test(file)) continue;
+      const entry = await this._readEntry(path.join(this.cacheDir, file));
+      if (entry?.key?.startsWith(prefix) && now <= this._staleUntil(entry)) {
+        keys.push(entry.key);
+      }
+    }
+    return keys;
+  }
+
+  async clear() {
+    let files = [];
+    try {
+      files = await fs.readdir(this.cacheDir);
+    } catch (error) {
+      return;
+    }
+    for (const file of files) {
+      if (ENTRY_FILE_REGEX.test(file)) {
+        await fs.unlink(path.join(this.cacheDir, file)).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Remove the cache directory (database mode - the database has the data)
+   */
+  async destroy() {
+    await this.ready;
+    try {
+      if (fsSync.existsSync(this.cacheDir)) {
+        for (const file of await fs.readdir(this.cacheDir)) {
+          await fs.unlink(path.join(this.cacheDir, file));
+        }
+        await fs.rmdir(this.cacheDir);
+        logger.info('[Cache] Cleaned up .cache directory (database mode)');
+      }
+    } catch (err) {
+      // Directory not empty or other error, ignore
+      logger.debug(`[Cache] Could not remove .cache dir: ${err.message}`);
+    }
+  }
+
+  async close() {
+    // Nothing to release
+  }
+}
+
+module.exports = DiskAdapter;
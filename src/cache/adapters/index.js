@@ -0,0 +1,66 @@
+/**
+ * Cache Storage Adapters - the second tier behind CacheManager's in-process LRU
+ *
+ * Selected with CACHE_BACKEND (config.cache.backend):
+ * - memory: process-local map (nothing survives a restart)
+ * - disk:   JSON files in .cache/ (default, the original behaviour)
+ * - sqlite: one SQLite file - shared by replicas on the same host/volume
+ * - redis:  any Redis-protocol server - shared by replicas behind a load balancer
+ *
+ * Every adapter implements the same async interface (tests/cacheAdapters.test.js
+ * runs the contract against each of them):
+ *   name                    - backend name
+ *   shared                  - true if other processes see the same entries
+ *   get(key)                → { value, expires, staleUntil, tags } | null
+ *                             (null once staleUntil has passed)
+ *   set(key, entry)         - entry: { value, expires, staleUntil, tags } (ms timestamps,
+ *                             tags like "series:hs-..." for CacheManager.invalidateTags)
+ *   del(key)
+ *   keys(prefix)            → keys starting with prefix that have not passed staleUntil
+ *   clear()                 - remove every entry of this cache (not other data in a shared store)
+ *   close()                 - release connections / handles
+ *   destroy()               - optional: remove the store itself (local backends, see enableDatabaseMode)
+ *
+ * Freshness (expires) is only stored here - stale-while-revalidate and the
+ * background refresh bookkeeping stay in CacheManager, so they behave the same
+ * on every backend.
+ */
+
+const logger = require('../../utils/logger');
+
+const ADAPTERS = {
+  memory: () => require('./memory'),
+  disk: () => require('./disk'),
+  sqlite: () => require('./sqlite'),
+  redis: () => require('./redis')
+};
+
+/**
+ * Create a storage adapter
+ * Falls back to the memory adapter if the backend can't be created
+ * (unknown name, SQLite not available in this Node.js build)
+ * @param {string} backend - memory | disk | sqlite | redis
+ * @param {Object} options - Backend options (config.cache)
+ * @returns {Object} Storage adapter
+ */
+function createAdapter(backend, options = {}) {
+  const load = ADAPTERS[backend];
+  if (!load) {
+    logger.error(`[Cache] Unknown cache backend "${backend}" - using memory`);
+    return createAdapter('memory', options);
+  }
+
+  try {
+    const Adapter = load();
+    return new Adapter(options);
+  } catch (error) {
+    if (backend === 'memory') throw error;
+    logger.error(`[Cache] Could not create ${backend} cache backend: ${error.message} - using memory`);
+    return createAdapter('memory', options);
+  }
+}
+
+module.exports = {
+  createAdapter,
+  BACKENDS: Object.keys(ADAPTERS)
+};
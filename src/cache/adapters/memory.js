@@ -0,0 +1,52 @@
+const { LRUCache } = require('lru-cache');
+
+/**
+ * Memory storage adapter - entries live in this process only
+ * Bounded by entry count (config.cache.maxItems); entries are dropped once stale-expired
+ */
+class MemoryAdapter {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.shared = false;
+    this.entries = new LRUCache({ max: options.maxItems || 100 });
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (Date.now() > entry.staleUntil) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  async set(key, entry) {
+    const ttl = entry.staleUntil - Date.now();
+    if (ttl <= 0) return;
+    this.entries.set(key, { value: entry.value, expires: entry.expires, staleUntil: entry.staleUntil, tags: entry.tags || [] }, { ttl });
+  }
+
+  async del(key) {
+    this.entries.delete(key);
+  }
+
+  async keys(prefix = '') {
+    const now = Date.now();
+    const keys = [];
+    for (const [key, entry] of this.entries.entries()) {
+      if (key.startsWith(prefix) && now <= entry.staleUntil) keys.push(key);
+    }
+    return keys;
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  async close() {
+    // Nothing to release
+  }
+}
+
+module.exports = MemoryAdapter;
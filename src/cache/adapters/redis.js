@@ -0,0 +1,261 @@
+const net = require('net');
+const logger = require('../../utils/logger');
+
+// Commands that don't answer within this time fail (the cache treats them as a miss)
+const COMMAND_TIMEOUT_MS = 2000;
+
+// Keys fetched per SCAN round trip
+const SCAN_COUNT = 200;
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ * @param {Array<string|number>} args - Command and arguments
+ * @returns {Buffer}
+ */
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const str = String(arg);
+    out += `$${Buffer.byteLength(str)}\r\n${str}\r\n`;
+  }
+  return Buffer.from(out);
+}
+
+/**
+ * Parse one RESP reply from a buffer
+ * @param {Buffer} buffer - Received data
+ * @param {number} offset - Where the reply starts
+ * @returns {{ value: *, offset: number }|null} Reply (Error for error replies) and the offset after it, null if incomplete
+ */
+function parseReply(buffer, offset = 0) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: parseInt(line, 10), offset: next };
+    case '$': {
+      const length = parseInt(line, 10);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line, 10);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected RESP reply type "${type}"`);
+  }
+}
+
+/**
+ * Escape glob characters for SCAN MATCH
+ */
+function escapePattern(str) {
+  return str.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+/**
+ * Redis storage adapter - talks RESP to Redis (or KeyDB, Valkey, Dragonfly...) over one connection
+ * Entries are JSON strings with a PX expiry at their stale deadline, under a key prefix
+ * so clear() never touches other data in the same database
+ */
+class RedisAdapter {
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.shared = true;
+
+    const url = new URL(options.redisUrl || 'redis://127.0.0.1:6379');
+    this.host = url.hostname || '127.0.0.1';
+    this.port = parseInt(url.port) || 6379;
+    this.username = decodeURIComponent(url.username || '');
+    this.password = decodeURIComponent(url.password || '');
+    this.database = parseInt(url.pathname.slice(1)) || 0;
+    this.prefix = options.redisPrefix || 'hentaistream:cache:';
+
+    this.socket = null;
+    this.connecting = null;
+    this.buffer = Buffer.alloc(0);
+    // Commands waiting for their reply, in send order
+    this.pending = [];
+
+    logger.info(`[Cache] Redis cache backend: ${this.host}:${this.port}/${this.database}`);
+  }
+
+  /**
+   * Connect (once) and authenticate / select the database
+   * @returns {Promise<net.Socket>}
+   */
+  _connect() {
+    if (this.socket) return Promise.resolve(this.socket);
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      socket.setNoDelay(true);
+      socket.setTimeout(COMMAND_TIMEOUT_MS);
+
+      socket.once('connect', () => {
+        socket.setTimeout(0);
+        this.socket = socket;
+        this.connecting = null;
+
+        const setup = [];
+        if (this.password) {
+          setup.push(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]);
+        }
+        if (this.database) setup.push(['SELECT', this.database]);
+
+        Promise.all(setup.map(args => this._send(args)))
+          .then(() => resolve(socket))
+          .catch(error => {
+            this._disconnect(error);
+            reject(error);
+          });
+      });
+
+      socket.on('data', data => this._onData(data));
+      socket.on('timeout', () => socket.destroy(new Error('Redis connection timed out')));
+      socket.on('error', error => {
+        logger.debug(`[Cache] Redis connection error: ${error.message}`);
+      });
+      socket.on('close', () => {
+        if (this.connecting) {
+          this.connecting = null;
+          reject(new Error(`Could not connect to Redis at ${this.host}:${this.port}`));
+        }
+        if (this.socket === socket) this._disconnect(new Error('Redis connection closed'));
+      });
+    });
+
+    return this.connecting;
+  }
+
+  /**
+   * Drop the connection and fail the commands still waiting for a reply
+   */
+  _disconnect(error) {
+    if (this.socket) {
+      this.socket.destroy();
+      this.socket = null;
+    }
+    this.buffer = Buffer.alloc(0);
+    for (const command of this.pending.splice(0)) {
+      clearTimeout(command.timer);
+      command.reject(error);
+    }
+  }
+
+  _onData(data) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, data]) : data;
+
+    let reply;
+    try {
+      while (this.buffer.length > 0 && (reply = parseReply(this.buffer))) {
+        this.buffer = this.buffer.subarray(reply.offset);
+        const command = this.pending.shift();
+        if (!command) continue;
+        clearTimeout(command.timer);
+        if (reply.value instanceof Error) command.reject(reply.value);
+        else command.resolve(reply.value);
+      }
+    } catch (error) {
+      this._disconnect(error);
+    }
+  }
+
+  /**
+   * Write a command on the open connection
+   */
+  _send(args) {
+    return new Promise((resolve, reject) => {
+      const command = { resolve, reject, timer: null };
+      // A late reply would be matched to the next command - drop the connection instead
+      command.timer = setTimeout(() => {
+        this._disconnect(new Error(`Redis ${args[0]} timed out`));
+      }, COMMAND_TIMEOUT_MS);
+      this.pending.push(command);
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  /**
+   * Run a command, connecting first if needed
+   * @param {...(string|number)} args - Command and arguments
+   * @returns {Promise<*>} Reply
+   */
+  async command(...args) {
+    await this._connect();
+    return this._send(args);
+  }
+
+  async get(key) {
+    const raw = await this.command('GET', this.prefix + key);
+    if (raw === null) return null;
+    const entry = JSON.parse(raw);
+    if (Date.now() > entry.staleUntil) return null;
+    return { ...entry, tags: entry.tags || [] };
+  }
+
+  async set(key, entry) {
+    const ttl = Math.ceil(entry.staleUntil - Date.now());
+    if (ttl <= 0) return;
+    const data = { value: entry.value, expires: entry.expires, staleUntil: entry.staleUntil, tags: entry.tags || [] };
+    await this.command('SET', this.prefix + key, JSON.stringify(data), 'PX', ttl);
+  }
+
+  async del(key) {
+    await this.command('DEL', this.prefix + key);
+  }
+
+  async keys(prefix = '') {
+    const pattern = `${escapePattern(this.prefix + prefix)}*`;
+    const keys = new Set();
+    let cursor = '0';
+    do {
+      const [nextCursor, batch] = await this.command('SCAN', cursor, 'MATCH', pattern, 'COUNT', SCAN_COUNT);
+      for (const key of batch) keys.add(key.slice(this.prefix.length));
+      cursor = nextCursor;
+    } while (cursor !== '0');
+    return [...keys];
+  }
+
+  async clear() {
+    const keys = await this.keys('');
+    for (let i = 0; i < keys.length; i += SCAN_COUNT) {
+      await this.command('DEL', ...keys.slice(i, i + SCAN_COUNT).map(key => this.prefix + key));
+    }
+  }
+
+  async close() {
+    if (!this.socket) return;
+    try {
+      await this._send(['QUIT']);
+    } catch (error) {
+      // Closing anyway
+    }
+    this._disconnect(new Error('Redis connection closed'));
+  }
+}
+
+module.exports = RedisAdapter;
+module.exports.encodeCommand = encodeCommand;
+module.exports.parseReply = parseReply;
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+// How often stale-expired rows are deleted
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * Open a SQLite database with the built-in node:sqlite module (Node.js 22.5+)
+ * or the better-sqlite3 package - both have the exec/prepare/get/run/all API used here
+ * @param {string} filePath - Database file
+ * @returns {Object} Database handle
+ */
+function openDatabase(filePath) {
+  try {
+    const { DatabaseSync } = require('node:sqlite');
+    return new DatabaseSync(filePath);
+  } catch (error) {
+    if (error.code !== 'ERR_UNKNOWN_BUILTIN_MODULE' && error.code !== 'MODULE_NOT_FOUND') throw error;
+  }
+
+  try {
+    const Database = require('better-sqlite3');
+    return new Database(filePath);
+  } catch (error) {
+    if (error.code !== 'MODULE_NOT_FOUND') throw error;
+  }
+
+  throw new Error('SQLite cache needs Node.js 22.5+ (node:sqlite) or the better-sqlite3 package');
+}
+
+/**
+ * SQLite storage adapter - one table in a database file
+ * Replicas that mount the same file (same host or shared volume) share the cache
+ */
+class SqliteAdapter {
+  constructor(options = {}) {
+    this.name = 'sqlite';
+    this.shared = true;
+    this.filePath = options.sqlitePath || path.join(process.cwd(), '.cache', 'cache.sqlite');
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this.db = openDatabase(this.filePath);
+
+    // WAL lets several processes read while one writes; wait instead of failing on a lock
+    this.db.exec('PRAGMA journal_mode = WAL');
+    this.db.exec('PRAGMA busy_timeout = 5000');
+    this.db.exec(`CREATE TABLE IF NOT EXISTS cache_entries (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL,
+      expires INTEGER NOT NULL,
+      stale_until INTEGER NOT NULL,
+      tags TEXT NOT NULL DEFAULT '[]'
+    )`);
+
+    this.statements = {
+      get: this.db.prepare('SELECT value, expires, stale_until, tags FROM cache_entries WHERE key = ? AND stale_until >= ?'),
+      set: this.db.prepare('INSERT OR REPLACE INTO cache_entries (key, value, expires, stale_until, tags) VALUES (?, ?, ?, ?, ?)'),
+      del: this.db.prepare('DELETE FROM cache_entries WHERE key = ?'),
+      // substr() instead of LIKE - keys contain % and _
+      keys: this.db.prepare('SELECT key FROM cache_entries WHERE substr(key, 1, ?) = ? AND stale_until >= ?'),
+      clear: this.db.prepare('DELETE FROM cache_entries'),
+      prune: this.db.prepare('DELETE FROM cache_entries WHERE stale_until < ?')
+    };
+
+    this.prune();
+    this.pruneInterval = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+    this.pruneInterval.unref?.();
+
+    logger.info(`[Cache] SQLite cache backend: ${this.filePath}`);
+  }
+
+  /**
+   * Delete stale-expired rows
+   */
+  prune() {
+    try {
+      const result = this.statements.prune.run(Date.now());
+      if (result.changes > 0) {
+        logger.debug(`[Cache] Pruned ${result.changes} expired SQLite cache entries`);
+      }
+    } catch (error) {
+      logger.warn(`[Cache] SQLite prune error: ${error.message}`);
+    }
+  }
+
+  async get(key) {
+    const row = this.statements.get.get(key, Date.now());
+    if (!row) return null;
+    return {
+      value: JSON.parse(row.value),
+      expires: Number(row.expires),
+      staleUntil: Number(row.stale_until),
+      tags: JSON.parse(row.tags)
+    };
+  }
+
+  async set(key, entry) {
+    this.statements.set.run(key, JSON.stringify(entry.value), entry.expires, entry.staleUntil, JSON.stringify(entry.tags || []));
+  }
+
+  async del(key) {
+    this.statements.del.run(key);
+  }
+
+  async keys(prefix = '') {
+    return this.statements.keys.all(prefix.length, prefix, Date.now()).map(row => row.key);
+  }
+
+  async clear() {
+    this.statements.clear.run();
+  }
+
+  async close() {
+    clearInterval(this.pruneInterval);
+    this.db.close();
+  }
+}
+
+module.exports = SqliteAdapter;
@@ -1,277 +1,249 @@
 const lruCache = require('./lru');
+const { createAdapter } = require('./adapters');
 const config = require('../config/env');
 const logger = require('../utils/logger');
-const fs = require('fs').promises;
-const path = require('path');
-const crypto = require('crypto');
+
+// Tracked memory-tier tags before keys the LRU evicted are swept
+const MAX_MEMORY_TAG_ENTRIES = 1000;
 
 /**
  * Two-Tier Cache Manager with Stale-While-Revalidate
  * 
  * Features:
  * - Fast LRU in-memory cache (primary)
- * - Persistent disk cache (secondary) for surviving restarts
+ * - Pluggable storage backend (secondary): disk files for surviving restarts,
+ *   or SQLite / Redis shared between replicas (CACHE_BACKEND, see ./adapters)
  * - Stale-While-Revalidate: return stale data immediately, refresh in background
- * - Automatic disk cleanup on startup
+ * - Automatic cleanup of expired entries in the backend
+ * - Tags (provider, series ID, catalog ID) to invalidate related entries together
+ *
+ * Keys are namespaced by type: hentaistream:<namespace>:<id> (see key()).
  */
 class CacheManager {
-  constructor() {
-    this.lru = lruCache;
-    this.cacheDir = path.join(process.cwd(), '.cache');
-    this.diskEnabled = true;
+  /**
+   * @param {Object} options - { lru, store } to use instead of the shared LRU and the configured backend
+   */
+  constructor(options = {}) {
+    this.lru = options.lru || lruCache;
+    this.store = options.store || createAdapter(config.cache.backend, config.cache);
+    this.storeEnabled = true;
     this.staleWhileRevalidate = true;
     
     // Track pending background refreshes to prevent duplicate fetches
+    // (per process - with a shared backend each replica refreshes at most once per key)
     this.pendingRefreshes = new Map();
     
-    // TTL multipliers for disk cache (reduced since database has base data)
-    // With pre-bundled database, disk cache is mainly for:
+    // Tags of entries in the memory tier (key → tags); backend entries store their own
+    this.memoryTags = new Map();
+    
+    // TTL multipliers for the backend (reduced since database has base data)
+    // With pre-bundled database, the backend is mainly for:
     // - New releases not in database
     // - Fresh metadata lookups
     // - Episode streams
-    this.diskTTLMultiplier = 6; // Disk cache lives 6x longer than memory (was 24x)
+    this.storeTTLMultiplier = 6; // Stored entries live 6x longer than memory (was 24x)
     
-    // Database mode: when true, skip disk cache entirely (database has all data)
+    // Database mode: when true, skip local backends entirely (database has all data)
     this.databaseMode = false;
     
-    // Initialize disk cache directory
-    this._initDiskCache();
+    // Lookup results for get()/wrap() (exported on /metrics)
+    this.stats = { memoryHits: 0, backendHits: 0, staleHits: 0, misses: 0 };
     
-    logger.info('Two-tier cache manager initialized (memory + disk + SWR)');
+    logger.info(`Two-tier cache manager initialized (memory + ${this.store.name} + SWR)`);
   }
   
   /**
-   * Enable database mode - disables disk caching since database has all data
+   * Enable database mode - disables local backends (memory/disk) since database has all data
+   * Shared backends stay on: they let replicas reuse each other's streams and metadata
    * Call this when the pre-bundled database is ready
    */
   enableDatabaseMode() {
     this.databaseMode = true;
-    this.diskEnabled = false;
-    logger.info('[Cache] Database mode enabled - disk cache disabled (database has all data)');
     
-    // Clean up .cache directory if it exists (was created before database mode enabled)
-    this._cleanupCacheDir().catch(err => {
-      logger.debug(`[Cache] Could not cleanup cache dir: ${err.message}`);
-    });
-  }
-  
-  /**
-   * Cleanup the .cache directory when in database mode
-   */
-  async _cleanupCacheDir() {
-    try {
-      const fsSync = require('fs');
-      if (fsSync.existsSync(this.cacheDir)) {
-        const files = await fs.readdir(this.cacheDir);
-        // Only delete if empty or only has our files
-        for (const file of files) {
-          const filePath = path.join(this.cacheDir, file);
-          await fs.unlink(filePath);
-        }
-        await fs.rmdir(this.cacheDir);
-        logger.info('[Cache] Cleaned up .cache directory (database mode)');
-      }
-    } catch (err) {
-      // Directory not empty or other error, ignore
-      logger.debug(`[Cache] Could not remove .cache dir: ${err.message}`);
-    }
-  }
-  
-  /**
-   * Check if database mode is enabled
-   */
-  isDatabaseMode() {
-    return this.databaseMode;
-  }
-  
-  /**
-   * Initialize disk cache directory and cleanup old entries
-   */
-  async _initDiskCache() {
-    // Skip disk cache initialization if in database mode
-    if (this.databaseMode) {
-      logger.info('[Cache] Skipping disk cache init (database mode)');
+    if (this.store.shared) {
+      logger.info(`[Cache] Database mode enabled - keeping shared ${this.store.name} backend`);
       return;
     }
     
-    try {
-      await fs.mkdir(this.cacheDir, { recursive: true });
-      
-      // Cleanup expired entries on startup
-      const files = await fs.readdir(this.cacheDir);
-      let cleaned = 0;
-      
-      for (const file of files) {
-        if (!file.endsWith('.json')) continue;
-        
-        try {
-          const filePath = path.join(this.cacheDir, file);
-          const content = await fs.readFile(filePath, 'utf-8');
-          const entry = JSON.parse(content);
-          
-          // Remove if expired
-          if (entry.diskExpires && Date.now() > entry.diskExpires) {
-            await fs.unlink(filePath);
-            cleaned++;
-          }
-        } catch (e) {
-          // Corrupted file, remove it
-          try {
-            await fs.unlink(path.join(this.cacheDir, file));
-            cleaned++;
-          } catch (unlinkErr) {
-            // Ignore
-          }
-        }
-      }
-      
-      if (cleaned > 0) {
-        logger.info(`[Cache] Cleaned ${cleaned} expired disk cache entries`);
-      }
-    } catch (error) {
-      logger.warn(`[Cache] Disk cache init error: ${error.message}`);
-      this.diskEnabled = false;
+    this.storeEnabled = false;
+    logger.info(`[Cache] Database mode enabled - ${this.store.name} backend disabled (database has all data)`);
+    
+    // Clean up the backend's files (.cache directory created before database mode was enabled)
+    if (this.store.destroy) {
+      this.store.destroy().catch(err => {
+        logger.debug(`[Cache] Could not clean up ${this.store.name} backend: ${err.message}`);
+      });
     }
   }
   
   /**
-   * Hash a cache key for disk storage
+   * Check if database mode is enabled
    */
-  _hashKey(key) {
-    return crypto.createHash('md5').update(key).digest('hex');
+  isDatabaseMode() {
+    return this.databaseMode;
   }
   
   /**
-   * Get disk cache file path for a key
+   * Get the backend if it is shared between processes and enabled (used by the slug registry)
+   * @returns {Object|null} Storage adapter
    */
-  _getDiskPath(key) {
-    return path.join(this.cacheDir, `${this._hashKey(key)}.json`);
+  getSharedStore() {
+    return this.storeEnabled && this.store.shared ? this.store : null;
   }
   
   /**
-   * Get value from disk cache
+   * Get value from the backend
+   * Backend errors (Redis down, locked SQLite file) count as a miss
    */
-  async _getDisk(key) {
-    if (!this.diskEnabled) return null;
+  async _getStored(key) {
+    if (!this.storeEnabled) return null;
     
     try {
-      const filePath = this._getDiskPath(key);
-      const content = await fs.readFile(filePath, 'utf-8');
-      const entry = JSON.parse(content);
+      const entry = await this.store.get(key);
+      if (!entry) return null;
       
       return {
         value: entry.value,
         expires: entry.expires,
-        diskExpires: entry.diskExpires,
+        staleUntil: entry.staleUntil,
+        tags: entry.tags || [],
         isStale: Date.now() > entry.expires
       };
     } catch (error) {
+      logger.debug(`[Cache] ${this.store.name} read error for ${key}: ${error.message}`);
       return null;
     }
   }
   
   /**
-   * Set value in disk cache
+   * Set value in the backend
    */
-  async _setDisk(key, value, memoryTTL) {
-    if (!this.diskEnabled) return;
+  async _setStored(key, value, memoryTTL, tags) {
+    if (!this.storeEnabled) return;
     
     try {
-      const diskTTL = memoryTTL * this.diskTTLMultiplier;
-      const entry = {
-        key,
+      const now = Date.now();
+      await this.store.set(key, {
         value,
-        expires: Date.now() + (memoryTTL * 1000),
-        diskExpires: Date.now() + (diskTTL * 1000),
-        createdAt: new Date().toISOString()
-      };
-      
-      const filePath = this._getDiskPath(key);
-      await fs.writeFile(filePath, JSON.stringify(entry), 'utf-8');
+        expires: now + (memoryTTL * 1000),
+        staleUntil: now + (memoryTTL * this.storeTTLMultiplier * 1000),
+        tags
+      });
     } catch (error) {
-      logger.debug(`[Cache] Disk write error for ${key}: ${error.message}`);
+      logger.debug(`[Cache] ${this.store.name} write error for ${key}: ${error.message}`);
     }
   }
   
   /**
-   * Delete from disk cache
+   * Delete from the backend
    */
-  async _delDisk(key) {
-    if (!this.diskEnabled) return;
+  async _delStored(key) {
+    if (!this.storeEnabled) return;
     
     try {
-      const filePath = this._getDiskPath(key);
-      await fs.unlink(filePath);
+      await this.store.del(key);
     } catch (error) {
-      // File doesn't exist, ignore
+      logger.debug(`[Cache] ${this.store.name} delete error for ${key}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Remember the tags of an entry put in the memory tier
+   * Keys the LRU has evicted since are dropped once the map grows
+   */
+  _setMemoryTags(key, tags) {
+    if (!tags || tags.length === 0) {
+      this.memoryTags.delete(key);
+      return;
+    }
+    this.memoryTags.set(key, tags);
+    
+    if (this.memoryTags.size > MAX_MEMORY_TAG_ENTRIES) {
+      for (const trackedKey of this.memoryTags.keys()) {
+        if (!this.lru.has(trackedKey)) this.memoryTags.delete(trackedKey);
+      }
     }
   }
 
   /**
-   * Get value from cache (memory first, then disk)
+   * Get value from cache (memory first, then backend)
    */
   async get(key) {
     // 1. Check memory cache
     const memoryValue = this.lru.get(key);
     if (memoryValue !== null) {
+      this.stats.memoryHits++;
       return memoryValue;
     }
     
-    // 2. Check disk cache
-    const diskEntry = await this._getDisk(key);
-    if (diskEntry) {
+    // 2. Check backend
+    const storedEntry = await this._getStored(key);
+    if (storedEntry) {
+      this.stats[storedEntry.isStale ? 'staleHits' : 'backendHits']++;
       // Restore to memory cache
-      this.lru.set(key, diskEntry.value, config.cache.ttl.catalog);
-      return diskEntry.value;
+      this.lru.set(key, storedEntry.value, config.cache.ttl.catalog);
+      this._setMemoryTags(key, storedEntry.tags);
+      return storedEntry.value;
     }
     
+    this.stats.misses++;
     return null;
   }
 
   /**
-   * Set value in cache (both memory and disk)
+   * Set value in cache (both memory and backend)
+   * @param {string} key - Cache key (see key())
+   * @param {*} value - Value (JSON-serializable)
+   * @param {number} ttl - Seconds until the entry is stale
+   * @param {Array<string>} tags - Tags for invalidateTags() (see tag())
    */
-  async set(key, value, ttl) {
+  async set(key, value, ttl, tags = []) {
     this.lru.set(key, value, ttl);
-    await this._setDisk(key, value, ttl);
+    this._setMemoryTags(key, tags);
+    await this._setStored(key, value, ttl, tags);
     return true;
   }
 
   /**
-   * Delete key from cache (both memory and disk)
+   * Check if a key is cached in either tier (stale backend entries count)
+   */
+  async has(key) {
+    return this.lru.has(key) || (await this._getStored(key)) !== null;
+  }
+
+  /**
+   * Delete key from cache (both memory and backend)
    */
   async del(key) {
     this.lru.del(key);
-    await this._delDisk(key);
+    this.memoryTags.delete(key);
+    await this._delStored(key);
     return true;
   }
 
   /**
-   * Flush all cache (memory only, preserves disk for disaster recovery)
+   * Flush all cache (memory only, preserves the backend for disaster recovery)
    */
   async flush() {
     this.lru.flush();
-    logger.info('Memory cache flushed (disk cache preserved)');
+    this.memoryTags.clear();
+    logger.info(`Memory cache flushed (${this.store.name} cache preserved)`);
     return true;
   }
   
   /**
-   * Flush all cache including disk
+   * Flush all cache including the backend (for every replica if it is shared)
    */
   async flushAll() {
     this.lru.flush();
+    this.memoryTags.clear();
     
-    if (this.diskEnabled) {
+    if (this.storeEnabled) {
       try {
-        const files = await fs.readdir(this.cacheDir);
-        for (const file of files) {
-          if (file.endsWith('.json')) {
-            await fs.unlink(path.join(this.cacheDir, file));
-          }
-        }
-        logger.info('All cache flushed (memory + disk)');
+        await this.store.clear();
+        logger.info(`All cache flushed (memory + ${this.store.name})`);
       } catch (error) {
-        logger.warn(`[Cache] Disk flush error: ${error.message}`);
+        logger.warn(`[Cache] ${this.store.name} flush error: ${error.message}`);
       }
     }
     
@@ -285,6 +257,20 @@ class CacheManager {
     return `hentaistream:${type}:${id}`;
   }
 
+  /**
+   * Generate a cache tag ('provider', 'series' or 'catalog' + ID)
+   */
+  tag(kind, id) {
+    return `${kind}:${id}`;
+  }
+
+  /**
+   * Get the namespace (type) of a cache key
+   */
+  namespaceOf(key) {
+    return key.split(':')[1] || '';
+  }
+
   /**
    * Get TTL for specific cache type
    */
@@ -296,28 +282,37 @@ class CacheManager {
    * Cache wrapper with stale-while-revalidate support
    * 
    * Returns cached data immediately (even if stale), and refreshes in background
+   * @param {string} key - Cache key (see key())
+   * @param {number} ttl - Seconds until the entry is stale
+   * @param {Function} fetchFunction - Async function returning fresh data (null/undefined isn't cached)
+   * @param {Array<string>} tags - Tags for invalidateTags() (see tag())
    */
-  async wrap(key, ttl, fetchFunction) {
+  async wrap(key, ttl, fetchFunction, tags = []) {
     // 1. Check memory cache (always fresh)
     const memoryValue = this.lru.get(key);
     if (memoryValue !== null) {
+      this.stats.memoryHits++;
       return memoryValue;
     }
     
-    // 2. Check disk cache (may be stale)
-    const diskEntry = await this._getDisk(key);
+    // 2. Check backend (may be stale)
+    const storedEntry = await this._getStored(key);
     
-    if (diskEntry) {
-      if (!diskEntry.isStale) {
-        // Fresh from disk - use it and restore to memory
-        this.lru.set(key, diskEntry.value, ttl);
-        return diskEntry.value;
+    if (storedEntry) {
+      if (!storedEntry.isStale) {
+        // Fresh from backend - use it and restore to memory
+        this.stats.backendHits++;
+        this.lru.set(key, storedEntry.value, ttl);
+        this._setMemoryTags(key, storedEntry.tags);
+        return storedEntry.value;
       }
       
-      // Stale but still within disk TTL - use SWR pattern
-      if (this.staleWhileRevalidate && Date.now() < diskEntry.diskExpires) {
+      // Stale but still within backend TTL - use SWR pattern
+      if (this.staleWhileRevalidate && Date.now() < storedEntry.staleUntil) {
+        this.stats.staleHits++;
         // Restore stale value to memory
-        this.lru.set(key, diskEntry.value, ttl);
+        this.lru.set(key, storedEntry.value, ttl);
+        this._setMemoryTags(key, storedEntry.tags);
         
         // Trigger background refresh (only if not already pending)
         if (!this.pendingRefreshes.has(key)) {
@@ -329,7 +324,7 @@ class CacheManager {
           fetchFunction()
             .then(freshData => {
               if (freshData) {
-                this.set(key, freshData, ttl);
+                this.set(key, freshData, ttl, tags);
                 logger.debug(`[Cache] SWR: Background refresh complete for ${key}`);
               }
             })
@@ -341,15 +336,16 @@ class CacheManager {
             });
         }
         
-        return diskEntry.value;
+        return storedEntry.value;
       }
     }
 
     // 3. No cache or expired - fetch fresh data
+    this.stats.misses++;
     try {
       const data = await fetchFunction();
       if (data) {
-        await this.set(key, data, ttl);
+        await this.set(key, data, ttl, tags);
       }
       return data;
     } catch (error) {
@@ -361,11 +357,11 @@ class CacheManager {
   /**
    * Pre-warm cache with data (useful for startup)
    */
-  async prewarm(key, ttl, fetchFunction) {
+  async prewarm(key, ttl, fetchFunction, tags = []) {
     try {
       const data = await fetchFunction();
       if (data) {
-        await this.set(key, data, ttl);
+        await this.set(key, data, ttl, tags);
         return true;
       }
     } catch (error) {
@@ -374,20 +370,177 @@ class CacheManager {
     return false;
   }
   
+  /**
+   * Read every backend entry under a key prefix
+   * Loads each entry, so this is for admin/update paths - not request handling
+   * @returns {Promise<Map<string, Object>>} Key → entry (see _getStored)
+   */
+  async _scanStored(prefix) {
+    const entries = new Map();
+    if (!this.storeEnabled) return entries;
+    
+    try {
+      for (const key of await this.store.keys(prefix)) {
+        const entry = await this._getStored(key);
+        if (entry) entries.set(key, entry);
+      }
+    } catch (error) {
+      logger.warn(`[Cache] ${this.store.name} scan error: ${error.message}`);
+    }
+    return entries;
+  }
+
+  /**
+   * List cache entries with their tags, TTL and staleness
+   * @param {Object} options - { namespace, tag, limit }
+   * @returns {Promise<Array<Object>>} Entries sorted by key:
+   *   { key, namespace, tags, memoryTTL, expiresIn, staleFor, isStale } - seconds;
+   *   memoryTTL is null if the entry isn't in memory, expiresIn/staleFor if it isn't in the backend
+   */
+  async listEntries({ namespace = null, tag = null, limit = 100 } = {}) {
+    const prefix = namespace ? this.key(namespace, '') : '';
+    const now = Date.now();
+    const entries = new Map();
+    
+    for (const key of this.lru.keys()) {
+      if (!key.startsWith(prefix)) continue;
+      const remaining = this.lru.getRemainingTTL(key);
+      if (remaining <= 0) continue;
+      entries.set(key, {
+        key,
+        namespace: this.namespaceOf(key),
+        tags: this.memoryTags.get(key) || [],
+        memoryTTL: Number.isFinite(remaining) ? Math.round(remaining / 1000) : null,
+        expiresIn: null,
+        staleFor: null,
+        isStale: false
+      });
+    }
+    
+    for (const [key, stored] of await this._scanStored(prefix)) {
+      const entry = entries.get(key) || { key, namespace: this.namespaceOf(key), memoryTTL: null };
+      entry.tags = stored.tags;
+      entry.expiresIn = Math.round((stored.expires - now) / 1000);
+      entry.staleFor = Math.round((stored.staleUntil - now) / 1000);
+      // Memory copies of stale entries are served stale too (until the background refresh lands)
+      entry.isStale = stored.isStale;
+      entries.set(key, entry);
+    }
+    
+    return [...entries.values()]
+      .filter(entry => !tag || entry.tags.includes(tag))
+      .sort((a, b) => a.key.localeCompare(b.key))
+      .slice(0, limit);
+  }
+
+  /**
+   * Count entries per namespace
+   * @returns {Promise<Object>} Namespace → { memory, backend }
+   */
+  async getNamespaces() {
+    const namespaces = {};
+    const count = (key, tier) => {
+      const namespace = this.namespaceOf(key);
+      namespaces[namespace] = namespaces[namespace] || { memory: 0, backend: 0 };
+      namespaces[namespace][tier]++;
+    };
+    
+    for (const key of this.lru.keys()) {
+      if (this.lru.getRemainingTTL(key) > 0) count(key, 'memory');
+    }
+    if (this.storeEnabled) {
+      try {
+        for (const key of await this.store.keys('')) count(key, 'backend');
+      } catch (error) {
+        logger.warn(`[Cache] ${this.store.name} keys error: ${error.message}`);
+      }
+    }
+    return namespaces;
+  }
+
+  /**
+   * Delete every entry carrying any of the tags (both tiers)
+   * @param {Array<string>} tags - Tags (see tag())
+   * @returns {Promise<number>} Entries deleted
+   */
+  async invalidateTags(tags) {
+    const wanted = new Set(tags);
+    const hasTag = entryTags => (entryTags || []).some(entryTag => wanted.has(entryTag));
+    const keys = new Set();
+    
+    for (const [key, entryTags] of this.memoryTags) {
+      if (!hasTag(entryTags)) continue;
+      if (this.lru.has(key)) keys.add(key);
+      else this.memoryTags.delete(key);
+    }
+    for (const [key, stored] of await this._scanStored('')) {
+      if (hasTag(stored.tags)) keys.add(key);
+    }
+    
+    for (const key of keys) {
+      await this.del(key);
+    }
+    if (keys.size > 0) {
+      logger.info(`[Cache] Invalidated ${keys.size} entries tagged ${[...wanted].join(', ')}`);
+    }
+    return keys.size;
+  }
+
+  /**
+   * Delete every entry in a namespace (both tiers)
+   * @param {string} namespace - Key namespace (see key())
+   * @returns {Promise<number>} Entries deleted
+   */
+  async invalidateNamespace(namespace) {
+    const prefix = this.key(namespace, '');
+    const keys = new Set([...this.lru.keys()].filter(key => key.startsWith(prefix)));
+    
+    if (this.storeEnabled) {
+      try {
+        for (const key of await this.store.keys(prefix)) keys.add(key);
+      } catch (error) {
+        logger.warn(`[Cache] ${this.store.name} keys error: ${error.message}`);
+      }
+    }
+    
+    for (const key of keys) {
+      await this.del(key);
+    }
+    if (keys.size > 0) {
+      logger.info(`[Cache] Invalidated ${keys.size} entries in namespace ${namespace}`);
+    }
+    return keys.size;
+  }
+  
   /**
    * Get cache statistics
    */
   getStats() {
     return {
+      ...this.stats,
       memorySize: this.lru.size(),
       pendingRefreshes: this.pendingRefreshes.size,
-      diskEnabled: this.diskEnabled,
+      backend: this.store.name,
+      backendShared: this.store.shared,
+      backendEnabled: this.storeEnabled,
       staleWhileRevalidate: this.staleWhileRevalidate
     };
   }
+
+  /**
+   * Close the backend (connections, database handles) on shutdown
+   */
+  async close() {
+    try {
+      await this.store.close();
+    } catch (error) {
+      logger.warn(`[Cache] ${this.store.name} close error: ${error.message}`);
+    }
+  }
 }
 
 // Singleton instance
 const cacheManager = new CacheManager();
 
 module.exports = cacheManager;
+module.exports.CacheManager = CacheManager;
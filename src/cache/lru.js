@@ -76,6 +76,17 @@ class LRUCacheWrapper {
   has(key) {
     return this.cache.has(key);
   }
+
+  keys() {
+    return [...this.cache.keys()];
+  }
+
+  /**
+   * Milliseconds until an entry expires (0 if missing or expired)
+   */
+  getRemainingTTL(key) {
+    return this.cache.getRemainingTTL(key);
+  }
 }
 
 // Singleton instance
@@ -8,6 +8,9 @@
  * 3. Store discovered slugs in memory + disk for persistence
  * 
  * With the pre-bundled database, most lookups hit the database and skip disk entirely.
+ *
+ * With a shared cache backend (CACHE_BACKEND=sqlite|redis) discovered slugs are
+ * also written there, and lookup() checks it, so replicas share their discoveries.
  */
 
 const fs = require('fs');
@@ -23,6 +26,18 @@ function getDatabase() {
   return databaseLoader;
 }
 
+// Lazy load the cache manager (shared backend)
+let cacheManager = null;
+function getCache() {
+  if (!cacheManager) {
+    cacheManager = require('./index');
+  }
+  return cacheManager;
+}
+
+// How long discovered slugs stay in the shared backend
+const SHARED_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
 class SlugRegistry {
   constructor() {
     // In-memory cache: Map<key, realSlug>
@@ -111,9 +126,24 @@ class SlugRegistry {
       this.cache.set(key, realSlug);
       this.stats.stores++;
       logger.debug(`[SlugRegistry] Stored: ${key} -> ${realSlug}`);
+      this._setShared(key, realSlug);
     }
   }
 
+  /**
+   * Write a slug to the shared cache backend (in the background)
+   * @private
+   */
+  _setShared(key, realSlug) {
+    const cache = getCache();
+    const store = cache.getSharedStore();
+    if (!store) return;
+
+    const now = Date.now();
+    store.set(cache.key('slug', key), { value: realSlug, expires: now + SHARED_TTL_MS, staleUntil: now + SHARED_TTL_MS })
+      .catch(err => logger.debug(`[SlugRegistry] Shared store write error: ${err.message}`));
+  }
+
   /**
    * Store multiple episode slugs for a series at once
    * @param {string} provider - Provider prefix
@@ -139,12 +169,62 @@ class SlugRegistry {
    * @returns {string|null} Real slug if found, null otherwise
    */
   get(provider, seriesSlug, episodeNum) {
+    const slug = this._getLocal(provider, seriesSlug, episodeNum);
+    if (slug) {
+      this.stats.hits++;
+      return slug;
+    }
+    
+    this.stats.misses++;
+    return null;
+  }
+
+  /**
+   * Get a real episode slug, including slugs other replicas discovered
+   * Priority: 1) Memory cache 2) Pre-bundled database 3) Shared cache backend 4) null (miss)
+   * @param {string} provider - Provider prefix
+   * @param {string} seriesSlug - Normalized series slug
+   * @param {number|string} episodeNum - Episode number
+   * @returns {Promise<string|null>} Real slug if found, null otherwise
+   */
+  async lookup(provider, seriesSlug, episodeNum) {
+    const slug = this._getLocal(provider, seriesSlug, episodeNum);
+    if (slug) {
+      this.stats.hits++;
+      return slug;
+    }
+    
+    const cache = getCache();
+    const store = cache.getSharedStore();
+    if (store) {
+      const key = this.makeKey(provider, seriesSlug, episodeNum);
+      try {
+        const entry = await store.get(cache.key('slug', key));
+        if (entry?.value) {
+          this.stats.hits++;
+          this.cache.set(key, entry.value);
+          logger.debug(`[SlugRegistry] SHARED HIT: ${key} -> ${entry.value}`);
+          return entry.value;
+        }
+      } catch (error) {
+        logger.debug(`[SlugRegistry] Shared store read error: ${error.message}`);
+      }
+    }
+    
+    this.stats.misses++;
+    return null;
+  }
+
+  /**
+   * Get a slug from memory or the pre-bundled database (no stats)
+   * @private
+   */
+  _getLocal(provider, seriesSlug, episodeNum) {
     const key = this.makeKey(provider, seriesSlug, episodeNum);
     
     // 1. Check runtime memory cache first (fastest)
     const memorySlug = this.cache.get(key);
     if (memorySlug) {
-      this.stats.hits++;
       logger.debug(`[SlugRegistry] MEMORY HIT: ${key} -> ${memorySlug}`);
       return memorySlug;
     }
@@ -152,14 +232,12 @@ class SlugRegistry {
     // 2. Check pre-bundled database (no disk I/O, very fast)
     const dbSlug = this._getFromDatabase(provider, seriesSlug, episodeNum);
     if (dbSlug) {
-      this.stats.hits++;
       // Also store in memory for faster future lookups
       this.cache.set(key, dbSlug);
       logger.debug(`[SlugRegistry] DB HIT: ${key} -> ${dbSlug}`);
       return dbSlug;
     }
     
-    this.stats.misses++;
     return null;
   }
   
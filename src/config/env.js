@@ -1,4 +1,5 @@
 require('dotenv').config();
+const path = require('path');
 
 module.exports = {
   server: {
@@ -18,10 +19,18 @@ module.exports = {
   
   cache: {
     maxItems: parseInt(process.env.CACHE_MAX_ITEMS) || 100, // Reduced for 512MB limit
+    // Second tier behind the in-memory LRU: memory | disk | sqlite | redis (see cache/adapters)
+    // sqlite and redis are shared, so replicas behind a load balancer see each other's entries
+    backend: (process.env.CACHE_BACKEND || 'disk').toLowerCase(),
+    dir: process.env.CACHE_DIR || path.join(process.cwd(), '.cache'), // disk backend + slug registry file
+    sqlitePath: process.env.CACHE_SQLITE_PATH || path.join(process.cwd(), '.cache', 'cache.sqlite'),
+    redisUrl: process.env.REDIS_URL || 'redis://127.0.0.1:6379', // redis://[user:password@]host:port[/db]
+    redisPrefix: process.env.CACHE_REDIS_PREFIX || 'hentaistream:cache:',
     ttl: {
       catalog: parseInt(process.env.CACHE_TTL_CATALOG) || 1800, // 30 min (was 1h) - database has data anyway
       meta: parseInt(process.env.CACHE_TTL_META) || 3600, // 1h (was 2h) - database has data anyway
       stream: parseInt(process.env.CACHE_TTL_STREAM) || 180, // 3 min (was 5 min) - streams expire quickly
+      streamNegative: parseInt(process.env.CACHE_TTL_STREAM_NEGATIVE) || 30, // 30s - provider had no streams / worker failed
       search: parseInt(process.env.CACHE_TTL_SEARCH) || 600, // 10 min (was 15 min)
     },
   },
@@ -37,6 +46,42 @@ module.exports = {
     level: process.env.LOG_LEVEL || 'info',
   },
   
+  proxy: {
+    // HMAC secret for /video-proxy and /image-proxy URLs (see utils/urlSigner.js for rotation)
+    signingSecret: process.env.PROXY_SIGNING_SECRET || '',
+    // Old secrets still accepted during rotation (comma-separated)
+    previousSecrets: (process.env.PROXY_SIGNING_SECRETS_PREVIOUS || '').split(',').map(s => s.trim()).filter(Boolean),
+    videoTtl: parseInt(process.env.PROXY_VIDEO_TTL) || 21600, // 6 hours - enough to finish an episode
+    imageTtl: parseInt(process.env.PROXY_IMAGE_TTL) || 604800, // 7 days - posters live in Stremio's library
+  },
+  
+  circuitBreaker: {
+    failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD) || 3, // consecutive failures before opening
+    cooldownMs: parseInt(process.env.CIRCUIT_BREAKER_COOLDOWN_MS) || 60000, // 1 min before a half-open probe
+  },
+  
+  users: {
+    // Opt-in favourites / watch history store (ut= token in the path config)
+    storePath: process.env.USER_STORE_PATH || path.join(process.cwd(), 'data', 'users.json'),
+    maxUsers: parseInt(process.env.USER_STORE_MAX_USERS) || 10000, // new users are refused beyond this
+    inactiveDays: parseInt(process.env.USER_STORE_INACTIVE_DAYS) || 180, // idle users are dropped to make room (only when full)
+    maxNewUsersPerIp: parseInt(process.env.USER_MAX_NEW_PER_IP) || 5, // new tokens per client IP per hour
+    maxFavourites: parseInt(process.env.USER_MAX_FAVOURITES) || 500,
+    maxHistory: parseInt(process.env.USER_MAX_HISTORY) || 100, // series per user
+  },
+  
+  admin: {
+    // Required for every /admin route (X-Admin-Token header, or a session cookie from POST /admin/login)
+    token: process.env.ADMIN_TOKEN || '',
+    sessionTtl: parseInt(process.env.ADMIN_SESSION_TTL) || 43200, // 12 hours
+    auditPath: process.env.ADMIN_AUDIT_PATH || path.join(process.cwd(), 'data', 'admin-audit.json'),
+    maxAuditEntries: parseInt(process.env.ADMIN_AUDIT_MAX_ENTRIES) || 1000, // oldest entries are dropped beyond this
+  },
+  
+  tracing: {
+    maxRequests: parseInt(process.env.REQUEST_TRACE_LIMIT) || 200, // recent request span trees kept for /admin/requests
+  },
+  
   rateLimit: {
     enabled: process.env.RATE_LIMIT_ENABLED === 'true',
     maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
@@ -1323,8 +1323,8 @@ class HentaiTVScraper {
       .replace(/-episode-\d+$/, '')
       .replace(/-the-animation$/, '');
     
-    // Step 1: Check the slug registry (instant O(1) lookup)
-    const cachedSlug = slugRegistry.get('htv', cleanSlug, episodeNum);
+    // Step 1: Check the slug registry (memory/database, then the shared cache backend)
+    const cachedSlug = await slugRegistry.lookup('htv', cleanSlug, episodeNum);
     if (cachedSlug) {
       logger.info(`[HentaiTV] Slug registry HIT: ${cleanSlug}:${episodeNum} -> ${cachedSlug}`);
       return cachedSlug;
@@ -3,17 +3,28 @@ const path = require('path');
 // Note: We no longer use stremio-addon-sdk's serveHTTP/getRouter to bypass the 8KB manifest limit
 const config = require('./config/env');
 const logger = require('./utils/logger');
-const { parseConfig, encodeConfig, DEFAULT_CONFIG } = require('./utils/configParser');
+const { parseConfig, encodeConfig, getExpandedBlacklist, DEFAULT_CONFIG } = require('./utils/configParser');
+const { genreMatcher } = require('./utils/genreMatcher');
 const { GENRE_OPTIONS, STUDIO_OPTIONS } = require('./addon/manifest');
 
 // Import handlers directly (no SDK builder)
-const { catalogHandler, metaHandler, streamHandler, getManifest } = require('./addon');
+const { catalogHandler, metaHandler, streamHandler, getManifest, CATALOG_PAGE_SIZE } = require('./addon');
 
 // Import optimized HTTP client and cache for pre-warming
 const httpClient = require('./utils/httpClient');
 const cache = require('./cache');
 const slugRegistry = require('./cache/slugRegistry');
 const databaseLoader = require('./utils/databaseLoader');
+const circuitBreakers = require('./utils/circuitBreaker');
+const { requireSignature } = require('./utils/urlSigner');
+const { handleVideoProxy } = require('./utils/videoProxy');
+const { userStore, isValidToken, UserLimitError } = require('./utils/userStore');
+const changeLog = require('./utils/changeLog');
+const { buildAtomFeed, buildRssFeed } = require('./utils/changeFeed');
+const { registry: metricsRegistry, metrics } = require('./utils/metrics');
+const requestContext = require('./utils/requestContext');
+const adminAuth = require('./utils/adminAuth');
+const { auditLog } = require('./utils/auditLog');
 
 // Track manifest prewarm status to avoid duplicate prewarming
 let manifestPrewarmTriggered = false;
@@ -32,9 +43,10 @@ async function initializeDatabase() {
       
       // Enable database mode on cache systems - no disk caching needed!
       // Database already has all metadata, so disk cache is unnecessary
+      // (a shared SQLite/Redis backend stays on for replicas)
       cache.enableDatabaseMode();
       slugRegistry.enableDatabaseMode();
-      logger.info('🚀 Database mode enabled - disk caching disabled (database is the cache)');
+      logger.info('🚀 Database mode enabled - local disk caching disabled (database is the cache)');
     } else {
       logger.warn('⚠️ No pre-bundled database available. Will scrape on demand.');
     }
@@ -85,17 +97,20 @@ async function prewarmCatalogsOnManifest() {
         cache.prewarm(
           cache.key('catalog', `hmm-popular-page-${page}`),
           cache.getTTL('catalog'),
-          () => hentaimamaScraper.getCatalog(page, null, 'popular')
+          () => hentaimamaScraper.getCatalog(page, null, 'popular'),
+          [cache.tag('provider', 'hmm')]
         ),
         cache.prewarm(
           cache.key('catalog', `hse-popular-page-${page}`),
           cache.getTTL('catalog'),
-          () => hentaiseaScraper.getTrending(page)
+          () => hentaiseaScraper.getTrending(page),
+          [cache.tag('provider', 'hse')]
         ),
         cache.prewarm(
           cache.key('catalog', `htv-popular-page-${page}`),
           cache.getTTL('catalog'),
-          () => hentaitvScraper.getCatalog(page, null, 'popular')
+          () => hentaitvScraper.getCatalog(page, null, 'popular'),
+          [cache.tag('provider', 'htv')]
         )
       ];
       
@@ -114,17 +129,20 @@ async function prewarmCatalogsOnManifest() {
         cache.prewarm(
           cache.key('catalog', `hmm-recent-page-${page}`),
           cache.getTTL('catalog'),
-          () => hentaimamaScraper.getCatalog(page, null, 'recent')
+          () => hentaimamaScraper.getCatalog(page, null, 'recent'),
+          [cache.tag('provider', 'hmm')]
         ),
         cache.prewarm(
           cache.key('catalog', `hse-recent-page-${page}`),
           cache.getTTL('catalog'),
-          () => hentaiseaScraper.getCatalog(page, null, 'recent')
+          () => hentaiseaScraper.getCatalog(page, null, 'recent'),
+          [cache.tag('provider', 'hse')]
         ),
         cache.prewarm(
           cache.key('catalog', `htv-recent-page-${page}`),
           cache.getTTL('catalog'),
-          () => hentaitvScraper.getCatalog(page, null, 'recent')
+          () => hentaitvScraper.getCatalog(page, null, 'recent'),
+          [cache.tag('provider', 'htv')]
         )
       ];
       
@@ -196,6 +214,31 @@ setInterval(() => {
   }
 }, 60000); // Check every minute
 
+// Stremio resource of an addon route (with or without a config prefix), 'other' for the rest
+const STREMIO_RESOURCE_REGEX = /^\/(?:[^/]+\/)?(manifest\.json$|catalog\/|meta\/|stream\/)/;
+
+function getStremioResource(reqPath) {
+  const match = reqPath.match(STREMIO_RESOURCE_REGEX);
+  if (!match) return 'other';
+  return match[1] === 'manifest.json' ? 'manifest' : match[1].slice(0, -1);
+}
+
+// Request ID (X-Request-Id) and span tree for every request - first, so all later logs carry it
+app.use(requestContext.middleware());
+
+// Request count and latency per Stremio resource (before the limiter so rejections count too)
+app.use((req, res, next) => {
+  if (req.path === '/metrics') return next();
+  
+  const resource = getStremioResource(req.path);
+  const endTimer = metrics.httpDuration.startTimer({ resource });
+  res.on('finish', () => {
+    endTimer();
+    metrics.httpRequests.inc({ resource, status: res.statusCode });
+  });
+  next();
+});
+
 function getClientIP(req) {
   return req.headers['x-forwarded-for']?.split(',')[0]?.trim() || 
          req.ip || 
@@ -205,7 +248,7 @@ function getClientIP(req) {
 
 app.use((req, res, next) => {
   // Skip rate limiting for simple endpoints
-  if (req.path === '/health' || req.path === '/manifest.json' || req.path.startsWith('/public')) {
+  if (req.path === '/health' || req.path === '/metrics' || req.path === '/manifest.json' || req.path.startsWith('/public')) {
     return next();
   }
   
@@ -215,6 +258,7 @@ app.use((req, res, next) => {
   // Check total concurrent requests
   if (totalActiveRequests >= MAX_TOTAL_CONCURRENT) {
     logger.warn(`[RateLimit] Server busy: ${totalActiveRequests}/${MAX_TOTAL_CONCURRENT} requests`);
+    metrics.rateLimitRejections.inc({ reason: 'server_busy' });
     return res.status(503).json({ error: 'Server busy. Please retry in a moment.' });
   }
   
@@ -223,6 +267,7 @@ app.use((req, res, next) => {
     // Obscure IP for privacy (show only hash)
     const ipHash = ip.split('.').pop() || ip.slice(-4);
     logger.warn(`[RateLimit] Too many requests from client ***.${ipHash}: ${currentForIP}/${MAX_CONCURRENT_PER_IP}`);
+    metrics.rateLimitRejections.inc({ reason: 'per_ip' });
     return res.status(429).json({ error: 'Too many concurrent requests. Please wait.' });
   }
   
@@ -267,7 +312,8 @@ app.use(express.json());
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Headers', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.header('Access-Control-Expose-Headers', requestContext.REQUEST_ID_HEADER);
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
   }
@@ -291,11 +337,158 @@ app.get('/health', (req, res) => {
     uptime: process.uptime(),
     env: config.server.env,
     version: config.addon.version,
+    workers: circuitBreakers.getStates(),
   };
 
   res.json(health);
 });
 
+// Values other modules already track, read when /metrics is scraped
+const collectedMetrics = {
+  cacheLookups: metricsRegistry.counter('hentaistream_cache_lookups_total', 'CacheManager lookups by result (memory_hit, backend_hit, stale, miss)', ['result']),
+  cacheEntries: metricsRegistry.gauge('hentaistream_cache_memory_entries', 'Entries in the in-memory cache tier'),
+  cachePendingRefreshes: metricsRegistry.gauge('hentaistream_cache_pending_refreshes', 'Stale-while-revalidate refreshes in progress'),
+  slugLookups: metricsRegistry.counter('hentaistream_slug_registry_lookups_total', 'Slug registry lookups by result (hit, miss)', ['result']),
+  slugStores: metricsRegistry.counter('hentaistream_slug_registry_stores_total', 'Slugs stored in the slug registry'),
+  slugEntries: metricsRegistry.gauge('hentaistream_slug_registry_entries', 'Slugs held in memory by the slug registry'),
+  workerCircuitOpen: metricsRegistry.gauge('hentaistream_worker_circuit_open', 'Stream worker circuit breaker state (1 = open or half-open)', ['provider']),
+  databaseSeries: metricsRegistry.gauge('hentaistream_database_series', 'Series in the loaded database by provider (all = total)', ['provider']),
+  databaseBuildTime: metricsRegistry.gauge('hentaistream_database_build_timestamp_seconds', 'Build time of the loaded database'),
+  databaseAge: metricsRegistry.gauge('hentaistream_database_age_seconds', 'Seconds since the loaded database was built'),
+  processMemory: metricsRegistry.gauge('hentaistream_process_memory_bytes', 'Process memory by type (rss, heap_used)', ['type']),
+  uptime: metricsRegistry.gauge('hentaistream_process_uptime_seconds', 'Seconds since the process started')
+};
+
+metricsRegistry.addCollector(() => {
+  const cacheStats = cache.getStats();
+  collectedMetrics.cacheLookups.set({ result: 'memory_hit' }, cacheStats.memoryHits);
+  collectedMetrics.cacheLookups.set({ result: 'backend_hit' }, cacheStats.backendHits);
+  collectedMetrics.cacheLookups.set({ result: 'stale' }, cacheStats.staleHits);
+  collectedMetrics.cacheLookups.set({ result: 'miss' }, cacheStats.misses);
+  collectedMetrics.cacheEntries.set({}, cacheStats.memorySize);
+  collectedMetrics.cachePendingRefreshes.set({}, cacheStats.pendingRefreshes);
+  
+  const slugStats = slugRegistry.getStats();
+  collectedMetrics.slugLookups.set({ result: 'hit' }, slugStats.hits);
+  collectedMetrics.slugLookups.set({ result: 'miss' }, slugStats.misses);
+  collectedMetrics.slugStores.set({}, slugStats.stores);
+  collectedMetrics.slugEntries.set({}, slugStats.size);
+  
+  for (const [provider, state] of Object.entries(circuitBreakers.getStates())) {
+    collectedMetrics.workerCircuitOpen.set({ provider }, state.state === circuitBreakers.STATES.CLOSED ? 0 : 1);
+  }
+  
+  const dbStats = databaseLoader.getStats();
+  if (dbStats) {
+    collectedMetrics.databaseSeries.set({ provider: 'all' }, dbStats.totalSeries || 0);
+    for (const [provider, count] of Object.entries(dbStats.byProvider || {})) {
+      collectedMetrics.databaseSeries.set({ provider }, count);
+    }
+  }
+  const buildDate = databaseLoader.getBuildDate();
+  if (buildDate) {
+    collectedMetrics.databaseBuildTime.set({}, Math.floor(buildDate.getTime() / 1000));
+    collectedMetrics.databaseAge.set({}, Math.floor((Date.now() - buildDate.getTime()) / 1000));
+  }
+  
+  const mem = process.memoryUsage();
+  collectedMetrics.processMemory.set({ type: 'rss' }, mem.rss);
+  collectedMetrics.processMemory.set({ type: 'heap_used' }, mem.heapUsed);
+  collectedMetrics.uptime.set({}, Math.floor(process.uptime()));
+});
+
+// Prometheus metrics endpoint
+app.get('/metrics', async (req, res) => {
+  try {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(await metricsRegistry.render());
+  } catch (error) {
+    logger.error(`[Metrics] Render failed: ${error.message}`);
+    res.status(500).send('# metrics unavailable\n');
+  }
+});
+
+// ============ ADMIN ACCESS ============
+// Every /admin route needs ADMIN_TOKEN (see utils/adminAuth.js)
+
+const ADMIN_SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// Audit state-changing admin requests and rejected attempts (runs before the auth check)
+app.use('/admin', (req, res, next) => {
+  const startTime = Date.now();
+  const action = `${req.method} ${req.originalUrl.split('?')[0]}`;
+  
+  // Keep the error message of failed actions for the log
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (body && body.error) res.locals.auditError = body.error;
+    return json(body);
+  };
+  
+  res.on('finish', () => {
+    const rejected = res.statusCode === 401 || res.statusCode === 403;
+    if (ADMIN_SAFE_METHODS.has(req.method) && !rejected) return;
+    
+    auditLog.record({
+      action,
+      caller: {
+        ip: getClientIP(req),
+        auth: req.admin?.method || null,
+        session: req.admin?.sessionId?.slice(0, 8) || null,
+        userAgent: (req.get('User-Agent') || '').slice(0, 200)
+      },
+      params: { ...req.query, ...(req.body && typeof req.body === 'object' ? req.body : {}) },
+      outcome: {
+        status: res.statusCode,
+        success: res.statusCode < 400,
+        error: res.locals.auditError || null
+      },
+      durationMs: Date.now() - startTime,
+      requestId: requestContext.getRequestId()
+    });
+  });
+  
+  next();
+});
+
+// Browser sign-in: { token } → session cookie + CSRF token for state-changing requests
+app.post('/admin/login', (req, res) => {
+  if (!adminAuth.isEnabled()) {
+    return res.status(403).json({ error: 'Admin routes are disabled (ADMIN_TOKEN not set)' });
+  }
+  if (!adminAuth.checkToken(req.body?.token)) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+  
+  const session = adminAuth.createSession();
+  req.admin = { method: 'login', sessionId: session.sessionId };
+  adminAuth.setSessionCookie(req, res, session);
+  res.json({ success: true, csrfToken: session.csrfToken, expiresAt: session.expiresAt });
+});
+
+app.post('/admin/logout', (req, res) => {
+  adminAuth.clearSessionCookie(res);
+  res.json({ success: true });
+});
+
+app.use('/admin', adminAuth.requireAdmin);
+
+// Current session and its CSRF token (for admin pages after a reload)
+app.get('/admin/session', (req, res) => {
+  res.json({
+    method: req.admin.method,
+    expiresAt: req.admin.expiresAt || null,
+    csrfToken: req.admin.method === 'session' ? adminAuth.csrfTokenFor(req.admin.sessionId) : null
+  });
+});
+
+// Audit log, newest first (?limit=100&action=/admin/cache&since=2025-01-01T00:00:00Z)
+app.get('/admin/audit', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, config.admin.maxAuditEntries);
+  const entries = auditLog.list({ limit, action: req.query.action || null, since: req.query.since || null });
+  res.json({ count: entries.length, entries });
+});
+
 // Memory stats endpoint for monitoring
 app.get('/admin/memory', (req, res) => {
   const mem = process.memoryUsage();
@@ -397,14 +590,85 @@ app.post('/admin/cache/clear', async (req, res) => {
   }
 });
 
-// Also allow GET for easy browser access
-app.get('/admin/cache/clear', async (req, res) => {
+// Cache inspection: entry counts per namespace (key type: meta, stream, catalog, search...)
+app.get('/admin/cache', async (req, res) => {
   try {
-    await cache.flushAll();
-    logger.info('[Admin] All caches cleared via API');
-    res.json({ success: true, message: 'All caches cleared (memory + disk)' });
+    res.json({ stats: cache.getStats(), namespaces: await cache.getNamespaces() });
   } catch (error) {
-    logger.error(`[Admin] Cache clear failed: ${error.message}`);
+    logger.error(`[Admin] Cache inspection failed: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List cache entries with tags, TTL and staleness (?namespace=meta&tag=series:hs-...&limit=100)
+app.get('/admin/cache/keys', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const entries = await cache.listEntries({
+      namespace: req.query.namespace || null,
+      tag: req.query.tag || null,
+      limit
+    });
+    res.json({ count: entries.length, entries });
+  } catch (error) {
+    logger.error(`[Admin] Cache key listing failed: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete cache entries by key, tag or namespace (JSON body or query string)
+app.post('/admin/cache/invalidate', async (req, res) => {
+  const { key, tag, namespace } = { ...req.query, ...(req.body || {}) };
+  if (!key && !tag && !namespace) {
+    return res.status(400).json({ success: false, error: 'Give a key, tag or namespace' });
+  }
+  
+  try {
+    let deleted = 0;
+    if (key) {
+      const existed = await cache.has(key);
+      await cache.del(key);
+      deleted += existed ? 1 : 0;
+    }
+    if (tag) deleted += await cache.invalidateTags([tag]);
+    if (namespace) deleted += await cache.invalidateNamespace(namespace);
+    
+    logger.info(`[Admin] Invalidated ${deleted} cache entries (${JSON.stringify({ key, tag, namespace })})`);
+    res.json({ success: true, deleted });
+  } catch (error) {
+    logger.error(`[Admin] Cache invalidation failed: ${error.message}`);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Rebuild a catalog's cached pages: { catalog: 'hentai-top-rated', genre, pages }
+// Warms the pages every user without black/whitelists gets (database or scraper-backed)
+app.post('/admin/cache/warm', async (req, res) => {
+  const { catalog, genre, pages } = { ...req.query, ...(req.body || {}) };
+  if (!catalog) {
+    return res.status(400).json({ success: false, error: 'Give a catalog ID' });
+  }
+  
+  try {
+    const pageCount = Math.min(Math.max(parseInt(pages) || 1, 1), 10);
+    const catalogTag = cache.tag('catalog', catalog);
+    const invalidated = await cache.invalidateTags([catalogTag]);
+    
+    // Same pages Stremio requests
+    let items = 0;
+    for (let page = 0; page < pageCount; page++) {
+      const extra = { skip: page * CATALOG_PAGE_SIZE };
+      if (genre) extra.genre = genre;
+      const result = await catalogHandler({ type: 'hentai', id: catalog, extra, config: parseConfig({}) });
+      items += result.metas?.length || 0;
+      if (!result.metas?.length) break;
+    }
+    
+    const cached = (await cache.listEntries({ tag: catalogTag, limit: Infinity })).length;
+    logger.info(`[Admin] Warmed catalog ${catalog}: ${items} items, ${cached} cache entries`);
+    res.json({ success: true, catalog, invalidated, items, cached });
+  } catch (error) {
+    logger.error(`[Admin] Catalog warm failed: ${error.message}`);
     res.status(500).json({ success: false, error: error.message });
   }
 });
@@ -417,6 +681,34 @@ let lastIncrementalUpdate = null;
 let incrementalUpdateInProgress = false;
 let nextScheduledUpdate = null;
 
+/**
+ * Drop the cache entries an update made outdated
+ * Entries of changed series go by their series tags (canonical and provider IDs);
+ * catalog pages and search results list series, so those namespaces are cleared
+ * @param {Object|null} changes - Change log run of the update (null = nothing changed)
+ * @returns {Promise<number>} Entries deleted
+ */
+async function invalidateUpdatedSeries(changes) {
+  if (!changes) return 0;
+  
+  const tags = new Set();
+  for (const id of changeLog.getChangedSeriesIds(changes)) {
+    tags.add(cache.tag('series', id));
+    const series = databaseLoader.resolveId(id);
+    if (!series) continue;
+    tags.add(cache.tag('series', series.id));
+    for (const [code, slug] of Object.entries(series.providerSlugs || {})) {
+      tags.add(cache.tag('series', `${code}-${slug}`));
+    }
+  }
+  
+  let invalidated = await cache.invalidateTags([...tags]);
+  for (const namespace of ['catalog', 'search']) {
+    invalidated += await cache.invalidateNamespace(namespace);
+  }
+  return invalidated;
+}
+
 /**
  * Run incremental database update
  * Adds new content from providers and updates filter counts
@@ -437,7 +729,8 @@ async function runIncrementalDatabaseUpdate() {
     const { runIncrementalUpdate } = require('../scripts/update-database');
     
     // Run the update (this modifies data/catalog.json and filter-options.json)
-    await runIncrementalUpdate();
+    // The cache is left alone - only what the update changed is invalidated below
+    const { changes } = await runIncrementalUpdate({ clearCache: false });
     
     // Reload the database into memory
     logger.info('[IncrementalUpdate] Reloading database into memory...');
@@ -452,12 +745,15 @@ async function runIncrementalDatabaseUpdate() {
       success: true,
       totalSeries: stats?.totalSeries || 0
     };
+    metrics.updateDuration.set({}, duration / 1000);
+    metrics.updateRuns.inc({ result: 'success' });
+    metrics.updateLastRun.set({}, Math.floor(Date.now() / 1000));
     
     logger.info(`[IncrementalUpdate] Update completed in ${duration}ms. Database now has ${stats?.totalSeries || 0} series`);
     
-    // Clear manifest/catalog caches to reflect new counts
-    await cache.flushAll();
-    logger.info('[IncrementalUpdate] Caches cleared to reflect updated counts');
+    // Invalidate the changed series (and catalog/search lists) instead of the whole cache
+    const invalidated = await invalidateUpdatedSeries(changes);
+    logger.info(`[IncrementalUpdate] Invalidated ${invalidated} cache entries for ${changes ? changeLog.getChangedSeriesIds(changes).length : 0} changed series`);
     
     return { success: true, duration, totalSeries: stats?.totalSeries || 0 };
   } catch (error) {
@@ -467,6 +763,9 @@ async function runIncrementalDatabaseUpdate() {
       success: false,
       error: error.message
     };
+    metrics.updateDuration.set({}, (Date.now() - startTime) / 1000);
+    metrics.updateRuns.inc({ result: 'failure' });
+    metrics.updateLastRun.set({}, Math.floor(Date.now() / 1000));
     return { success: false, error: error.message };
   } finally {
     incrementalUpdateInProgress = false;
@@ -529,16 +828,9 @@ app.post('/admin/update', async (req, res) => {
   }
 });
 
-// Allow GET for easy browser access
-app.get('/admin/update', async (req, res) => {
-  try {
-    logger.info('[Admin] Manual incremental update triggered via API (GET)');
-    const result = await runIncrementalDatabaseUpdate();
-    res.json(result);
-  } catch (error) {
-    logger.error(`[Admin] Update failed: ${error.message}`);
-    res.status(500).json({ success: false, error: error.message });
-  }
+// State-changing actions used to have GET variants - links and crawlers must not trigger them
+app.get(['/admin/cache/clear', '/admin/update', '/admin/memory/gc'], (req, res) => {
+  res.set('Allow', 'POST').status(405).json({ error: 'Use POST' });
 });
 
 // Status endpoint to check update status
@@ -547,7 +839,27 @@ app.get('/admin/update/status', (req, res) => {
     lastUpdate: lastIncrementalUpdate,
     updateInProgress: incrementalUpdateInProgress,
     nextScheduledUpdate: nextScheduledUpdate?.toISOString() || null,
-    database: databaseLoader.isReady() ? databaseLoader.getStats() : null
+    database: databaseLoader.isReady() ? databaseLoader.getStats() : null,
+    workers: circuitBreakers.getStates()
+  });
+});
+
+// Recent requests (newest first) - IDs for /admin/requests/:id
+app.get('/admin/requests', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, config.tracing.maxRequests);
+  res.json({ requests: requestContext.listTraces(limit) });
+});
+
+// Span tree of a recent request (ID from the X-Request-Id response header or a log line)
+app.get('/admin/requests/:id', (req, res) => {
+  const trace = requestContext.getTrace(req.params.id);
+  if (!trace) {
+    return res.status(404).json({ error: 'Unknown or expired request ID' });
+  }
+  res.json({
+    ...trace,
+    // Proxy hits linked to this request, each with its own spans
+    linked: trace.linkedRequests.map(id => requestContext.getTrace(id)).filter(Boolean)
   });
 });
 
@@ -564,6 +876,104 @@ app.get('/api/options', (req, res) => {
   });
 });
 
+// Genre blacklist expansion preview for the configure page
+// e.g. /api/genre-expansion?genres=bdsm,ntr → { expansions: { bdsm: ['sm', 'bondage', ...] } }
+app.get('/api/genre-expansion', (req, res) => {
+  const genres = String(req.query.genres || '')
+    .split(',')
+    .map(g => g.trim().toLowerCase())
+    .filter(Boolean)
+    .slice(0, 50);
+
+  const expansions = {};
+  for (const genre of genres) {
+    const normalized = genreMatcher.normalize(genre);
+    // Only the EXTRA tags - the genre itself is hidden either way
+    expansions[genre] = genreMatcher.expandGenre(genre)
+      .filter(tag => genreMatcher.normalize(tag) !== normalized);
+  }
+
+  res.json({ expansions });
+});
+
+// User favourites for the configure page (opt-in, see utils/userStore.js)
+// GET    /api/user/:token/favourites     → { favourites: [{ id, name, poster, addedAt }] }
+// POST   /api/user/:token/favourites     body { id } (any series ID, stored as canonical hs- ID)
+// DELETE /api/user/:token/favourites/:id
+app.use('/api/user/:token', (req, res, next) => {
+  if (!isValidToken(req.params.token)) {
+    return res.status(400).json({ error: 'Invalid user token' });
+  }
+  next();
+});
+
+app.get('/api/user/:token/favourites', (req, res) => {
+  const favourites = userStore.getFavourites(req.params.token).map(fav => {
+    const item = databaseLoader.resolveId(fav.id);
+    return { id: fav.id, name: item?.name || null, poster: item?.poster || null, addedAt: fav.addedAt };
+  });
+  res.json({ favourites });
+});
+
+app.post('/api/user/:token/favourites', (req, res) => {
+  const id = typeof req.body?.id === 'string' ? req.body.id.trim() : '';
+  const canonicalId = id ? databaseLoader.getCanonicalId(id) : null;
+  if (!canonicalId) {
+    return res.status(404).json({ error: 'Unknown series' });
+  }
+
+  let added;
+  try {
+    added = userStore.addFavourite(req.params.token, canonicalId, getClientIP(req));
+  } catch (error) {
+    if (!(error instanceof UserLimitError)) throw error;
+    return res.status(error.status).json({ error: error.message });
+  }
+  res.status(added ? 201 : 200).json({ id: canonicalId, added });
+});
+
+app.delete('/api/user/:token/favourites/:id', (req, res) => {
+  // Accept provider IDs too - favourites are stored by canonical ID
+  const canonicalId = databaseLoader.getCanonicalId(req.params.id) || req.params.id;
+  const removed = userStore.removeFavourite(req.params.token, canonicalId);
+  if (!removed) {
+    return res.status(404).json({ error: 'Not a favourite' });
+  }
+  res.json({ id: canonicalId, removed });
+});
+
+// Catalog update feeds (new series / episodes from the daily update, see utils/changeLog.js)
+app.get('/feed.atom', (req, res) => {
+  res.type('application/atom+xml').send(buildAtomFeed(changeLog.getRuns(), config.server.baseUrl));
+});
+
+app.get('/feed.rss', (req, res) => {
+  res.type('application/rss+xml').send(buildRssFeed(changeLog.getRuns(), config.server.baseUrl));
+});
+
+// Structured change log of the incremental updates
+// /api/changes?since=2025-01-01T00:00:00Z → { since, runs: [...] } (runs after `since`, newest first)
+// format=atom (or Accept: application/atom+xml) returns the same runs as an Atom feed
+app.get('/api/changes', (req, res) => {
+  let since = null;
+  if (req.query.since) {
+    since = new Date(req.query.since);
+    if (isNaN(since.getTime())) {
+      return res.status(400).json({ error: 'Invalid since (expected an ISO 8601 date)' });
+    }
+  }
+
+  const runs = changeLog.getRunsSince(since);
+  const wantsAtom = req.query.format === 'atom' ||
+    (!req.query.format && req.accepts(['application/json', 'application/atom+xml']) === 'application/atom+xml');
+
+  if (wantsAtom) {
+    const selfPath = `/api/changes?${new URLSearchParams({ ...(since && { since: since.toISOString() }), format: 'atom' })}`;
+    return res.type('application/atom+xml').send(buildAtomFeed(runs, config.server.baseUrl, selfPath));
+  }
+  res.json({ since: since ? since.toISOString() : null, runs });
+});
+
 // Configure page routes
 app.get('/configure', (req, res) => {
   res.sendFile(path.join(__dirname, '..', 'public', 'configure.html'));
@@ -579,7 +989,8 @@ app.get('/', (req, res) => {
 });
 
 // Image proxy endpoint to handle hanime-cdn images (they require Referer header)
-app.get('/image-proxy', async (req, res) => {
+// Only signed URLs from the meta handler are accepted (see utils/urlSigner.js)
+app.get('/image-proxy', requireSignature('/image-proxy'), async (req, res) => {
   try {
     const imageUrl = req.query.url;
     if (!imageUrl || !imageUrl.startsWith('https://hanime-cdn.com/')) {
@@ -606,154 +1017,9 @@ app.get('/image-proxy', async (req, res) => {
   }
 });
 
-// Video proxy endpoint for HentaiSea (IP-restricted videos)
-// This fetches a FRESH authenticated URL and proxies the video
-// NOTE: axios and cheerio are already imported at top of file
-const videoProxyAxios = require('axios');
-const videoProxyCheerio = require('cheerio');
-
-app.get('/video-proxy', async (req, res) => {
-  try {
-    const episodeId = req.query.episodeId;
-    const jwplayerUrl = req.query.jwplayer;
-    
-    if (!episodeId && !jwplayerUrl) {
-      return res.status(400).send('Missing episodeId or jwplayer URL');
-    }
-
-    const range = req.headers.range;
-    
-    let videoUrl;
-    
-    // If we have a jwplayer URL, fetch fresh auth token from it
-    if (jwplayerUrl) {
-      logger.debug(`Video proxy: Fetching fresh auth from jwplayer...`);
-      
-      try {
-        const jwResponse = await videoProxyAxios.get(jwplayerUrl, {
-          headers: {
-            'Referer': 'https://hentaisea.com/',
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-          }
-        });
-        
-        // Extract fresh authenticated URL
-        const fileMatch = jwResponse.data.match(/"file"\s*:\s*"([^"]+)"/);
-        if (fileMatch) {
-          videoUrl = fileMatch[1].replace(/\\\//g, '/');
-          logger.debug(`Video proxy: Got fresh URL`);
-        }
-      } catch (err) {
-        logger.error(`Video proxy: Failed to get jwplayer auth: ${err.message}`);
-        return res.status(500).send('Failed to get video authentication');
-      }
-    } 
-    // If we have an episode ID, fetch the episode page and get jwplayer URL
-    else if (episodeId) {
-      logger.debug(`Video proxy: Fetching episode ${episodeId}...`);
-      
-      const slug = episodeId.replace(/^hse-/, '');
-      const episodeUrl = `https://hentaisea.com/episodes/${slug}/`;
-      
-      try {
-        const epResponse = await videoProxyAxios.get(episodeUrl, {
-          headers: {
-            'Referer': 'https://hentaisea.com/',
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-          }
-        });
-        
-        const $ = videoProxyCheerio.load(epResponse.data);
-        
-        // Find the play button to get post ID
-        const playBtn = $('a.activador, a[data-num], .dooplay_player_option').first();
-        const postId = playBtn.attr('data-post') || $('[data-post]').first().attr('data-post');
-        const nume = playBtn.attr('data-nume') || playBtn.attr('data-num') || '1';
-        
-        if (postId) {
-          // Get the player via AJAX
-          const ajaxResponse = await videoProxyAxios.post('https://hentaisea.com/wp-admin/admin-ajax.php', 
-            `action=doo_player_ajax&post=${postId}&nume=${nume}&type=movie`,
-            {
-              headers: {
-                'Content-Type': 'application/x-www-form-urlencoded',
-                'Referer': episodeUrl,
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-                'X-Requested-With': 'XMLHttpRequest'
-              }
-            }
-          );
-          
-          const responseData = typeof ajaxResponse.data === 'string' ? ajaxResponse.data : JSON.stringify(ajaxResponse.data);
-          
-          // Look for jwplayer URL
-          const jwMatch = responseData.match(/https:\/\/hentaisea\.com\/jwplayer\/\?[^"'\s<>]+/);
-          if (jwMatch) {
-            const jwUrl = jwMatch[0].replace(/\\u0026/g, '&').replace(/&amp;/g, '&');
-            
-            // Fetch jwplayer page for fresh auth
-            const jwResponse = await videoProxyAxios.get(jwUrl, {
-              headers: {
-                'Referer': 'https://hentaisea.com/',
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-              }
-            });
-            
-            const fileMatch = jwResponse.data.match(/"file"\s*:\s*"([^"]+)"/);
-            if (fileMatch) {
-              videoUrl = fileMatch[1].replace(/\\\//g, '/');
-              logger.debug(`Video proxy: Got fresh URL from episode`);
-            }
-          }
-        }
-      } catch (err) {
-        logger.error(`Video proxy: Failed to fetch episode: ${err.message}`);
-        return res.status(500).send('Failed to fetch episode');
-      }
-    }
-    
-    if (!videoUrl) {
-      return res.status(404).send('Could not find video URL');
-    }
-    
-    // Now proxy the actual video
-    logger.debug(`Video proxy: Streaming video...`);
-    
-    const videoResponse = await videoProxyAxios({
-      method: 'get',
-      url: videoUrl,
-      responseType: 'stream',
-      headers: {
-        'Referer': 'https://hentaisea.com/',
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-        ...(range ? { 'Range': range } : {})
-      },
-    });
-
-    // Forward relevant headers
-    const headers = {
-      'Content-Type': videoResponse.headers['content-type'] || 'video/mp4',
-      'Accept-Ranges': 'bytes',
-    };
-    
-    if (videoResponse.headers['content-length']) {
-      headers['Content-Length'] = videoResponse.headers['content-length'];
-    }
-    if (videoResponse.headers['content-range']) {
-      headers['Content-Range'] = videoResponse.headers['content-range'];
-    }
-    
-    // Set status based on whether it's a range request
-    const status = videoResponse.status === 206 ? 206 : 200;
-    
-    res.writeHead(status, headers);
-    videoResponse.data.pipe(res);
-    
-  } catch (error) {
-    logger.error('Video proxy error:', error.message);
-    res.status(500).send('Error fetching video');
-  }
-});
+// Video proxy for HentaiSea (IP-restricted videos, see utils/videoProxy.js)
+// Only signed URLs from the stream handler (or rewritten playlists) are accepted
+app.get('/video-proxy', requireSignature('/video-proxy'), handleVideoProxy);
 
 // Landing page (fallback - but prefer configure)
 app.get('/landing', (req, res) => {
@@ -830,7 +1096,7 @@ app.get('/manifest.json', async (req, res) => {
       // Add config to each catalog's extra params so it's included in requests
       manifest.catalogs = manifest.catalogs.map(cat => ({
         ...cat,
-        extraSupported: ['search', 'skip', 'genre', 'bg', 'bs', 'providers']
+        extraSupported: ['search', 'skip', 'genre', 'sort', 'studio', 'year', 'franchise', 'bg', 'bs', 'gx', 'wg', 'ws', 'providers', 'order', 'first', 'minq', 'prefq', 'noraw']
       }));
     }
     
@@ -890,7 +1156,7 @@ app.get('/:config/manifest.json', async (req, res) => {
         return {
           ...cat,
           extra: cat.extra.map(ext => {
-            if (ext.name === 'genre' && ext.options && cat.id !== 'hentai-studios' && cat.id !== 'hentai-years') {
+            if (ext.name === 'genre' && ext.options && cat.id !== 'hentai-studios' && cat.id !== 'hentai-years' && cat.id !== 'hentai-franchises') {
               // Filter out blacklisted genres from options
               const filteredOptions = ext.options.filter(opt => 
                 !userConfig.blacklistGenres.some(bg => 
@@ -905,6 +1171,26 @@ app.get('/:config/manifest.json', async (req, res) => {
       });
     }
     
+    // Hierarchy-aware blacklist: also drop synonyms/child genres (exact match - aliases like "sm" are short)
+    if (userConfig.expandBlacklistGenres && userConfig.blacklistGenres.length > 0) {
+      const expanded = getExpandedBlacklist(userConfig);
+      manifest.catalogs = manifest.catalogs.map(cat => {
+        if (!cat.extra) return cat;
+        return {
+          ...cat,
+          extra: cat.extra.map(ext => {
+            if (ext.name === 'genre' && ext.options && cat.id !== 'hentai-studios' && cat.id !== 'hentai-years' && cat.id !== 'hentai-franchises') {
+              const filteredOptions = ext.options.filter(opt =>
+                !expanded.has(genreMatcher.normalize(opt.replace(/\s*\(\d+\)$/, '')))
+              );
+              return { ...ext, options: filteredOptions };
+            }
+            return ext;
+          })
+        };
+      });
+    }
+    
     // Filter out blacklisted studios from Studios catalog dropdown
     if (userConfig.blacklistStudios && userConfig.blacklistStudios.length > 0) {
       manifest.catalogs = manifest.catalogs.map(cat => {
@@ -926,6 +1212,76 @@ app.get('/:config/manifest.json', async (req, res) => {
       });
     }
     
+    // Whitelists: only offer the whitelisted genres/studios in the dropdowns
+    // Options are compared without count suffix and separators ("Big Boobs (91)" = "big-boobs")
+    const normalizeOption = str => str.replace(/\s*\(\d+\)$/, '').toLowerCase().replace(/[\s-]+/g, '');
+    
+    if (userConfig.whitelistGenres && userConfig.whitelistGenres.length > 0) {
+      const allowed = userConfig.whitelistGenres.map(normalizeOption);
+      manifest.catalogs = manifest.catalogs.map(cat => {
+        if (!cat.extra || cat.id === 'hentai-studios' || cat.id === 'hentai-years' || cat.id === 'hentai-monthly' || cat.id === 'hentai-franchises') return cat;
+        return {
+          ...cat,
+          extra: cat.extra.map(ext => {
+            if (ext.name === 'genre' && ext.options) {
+              // Keep the Discover catalog's sort options
+              return { ...ext, options: ext.options.filter(opt => opt.startsWith('Sort: ') || allowed.includes(normalizeOption(opt))) };
+            }
+            return ext;
+          })
+        };
+      });
+    }
+    
+    if (userConfig.whitelistStudios && userConfig.whitelistStudios.length > 0) {
+      const allowed = userConfig.whitelistStudios.map(normalizeOption);
+      manifest.catalogs = manifest.catalogs.map(cat => {
+        if (cat.id !== 'hentai-studios' || !cat.extra) return cat;
+        return {
+          ...cat,
+          extra: cat.extra.map(ext => {
+            if (ext.name === 'genre' && ext.options) {
+              // Substring matching like shouldIncludeSeries - studio names vary between providers
+              const filteredOptions = ext.options.filter(opt => {
+                const normalized = normalizeOption(opt);
+                return allowed.some(ws => normalized.includes(ws) || ws.includes(normalized));
+              });
+              return { ...ext, options: filteredOptions };
+            }
+            return ext;
+          })
+        };
+      });
+    }
+    
+    // Per-user catalogs only exist for users who opted in with a token
+    if (userConfig.userToken) {
+      manifest.catalogs = [
+        {
+          type: 'hentai',
+          id: 'hentai-new-for-you',
+          name: 'New for You',
+          extra: [{ name: 'skip' }],
+          behaviorHints: { notForHome: true }
+        },
+        {
+          type: 'hentai',
+          id: 'hentai-continue',
+          name: 'Continue Watching',
+          extra: [{ name: 'skip' }],
+          behaviorHints: { notForHome: true }
+        },
+        {
+          type: 'hentai',
+          id: 'hentai-favourites',
+          name: 'Favourites',
+          extra: [{ name: 'skip' }],
+          behaviorHints: { notForHome: true }
+        },
+        ...manifest.catalogs
+      ];
+    }
+    
     // Remove counts from filter options if showCounts is disabled
     if (userConfig.showCounts === false) {
       manifest.catalogs = manifest.catalogs.map(cat => {
@@ -1101,7 +1457,7 @@ app.get('/stream/:type/:id.json', async (req, res) => {
     const userConfig = parseConfig(req.query);
     const { type, id } = req.params;
     
-    const result = await streamHandler({ type, id, config: userConfig });
+    const result = await streamHandler({ type, id, config: userConfig, clientIp: getClientIP(req) });
     res.json(result);
   } catch (error) {
     logger.error('Stream error:', error);
@@ -1118,7 +1474,7 @@ app.get('/:config/stream/:type/:id.json', async (req, res) => {
     );
     const { type, id } = req.params;
     
-    const result = await streamHandler({ type, id, config: userConfig });
+    const result = await streamHandler({ type, id, config: userConfig, clientIp: getClientIP(req) });
     res.json(result);
   } catch (error) {
     logger.error('Stream error:', error);
@@ -1179,17 +1535,20 @@ const server = app.listen(config.server.port, async () => {
         cache.prewarm(
           cache.key('catalog', 'hmm-page-1'),
           cache.getTTL('catalog'),
-          () => hentaimamaScraper.getCatalog(1, null, 'popular')
+          () => hentaimamaScraper.getCatalog(1, null, 'popular'),
+          [cache.tag('provider', 'hmm')]
         ),
         cache.prewarm(
           cache.key('catalog', 'hse-page-1'),
           cache.getTTL('catalog'),
-          () => hentaiseaScraper.getTrending(1)
+          () => hentaiseaScraper.getTrending(1),
+          [cache.tag('provider', 'hse')]
         ),
         cache.prewarm(
           cache.key('catalog', 'htv-page-1'),
           cache.getTTL('catalog'),
-          () => hentaitvScraper.getCatalog(1, null, 'popular')
+          () => hentaitvScraper.getCatalog(1, null, 'popular'),
+          [cache.tag('provider', 'htv')]
         ),
       ];
       
@@ -1221,6 +1580,13 @@ process.on('SIGTERM', async () => {
     logger.warn(`Slug registry shutdown error: ${error.message}`);
   }
   
+  // Write pending favourites/watch history and audit entries
+  userStore.shutdown();
+  auditLog.shutdown();
+  
+  // Close the cache backend (Redis connection / SQLite handle)
+  await cache.close();
+  
   // Close HTTP client connection pools
   try {
     await httpClient.closeAll();
@@ -1245,6 +1611,13 @@ process.on('SIGINT', async () => {
     logger.warn(`Slug registry shutdown error: ${error.message}`);
   }
   
+  // Write pending favourites/watch history and audit entries
+  userStore.shutdown();
+  auditLog.shutdown();
+  
+  // Close the cache backend (Redis connection / SQLite handle)
+  await cache.close();
+  
   // Close HTTP client connection pools
   try {
     await httpClient.closeAll();
@@ -0,0 +1,205 @@
+/**
+ * Admin Auth - token / session checks and CSRF protection for /admin routes
+ *
+ * Every /admin route needs ADMIN_TOKEN (config.admin.token), sent either way:
+ * - scripts and curl: X-Admin-Token: <token> (or Authorization: Bearer <token>)
+ * - browsers: POST /admin/login with the token sets a signed session cookie
+ *   (HttpOnly, SameSite=Strict, Path=/admin). State-changing requests with the
+ *   cookie also need the session's CSRF token in X-CSRF-Token (or a _csrf field),
+ *   returned by the login and by GET /admin/session.
+ *
+ * Session cookie: <expiry (unix seconds)>.<random id>.<base64url HMAC-SHA256>
+ * The HMAC key is derived from the admin token, so changing the token ends
+ * every session. Without ADMIN_TOKEN the admin routes are disabled.
+ */
+
+const crypto = require('crypto');
+const config = require('../config/env');
+const logger = require('./logger');
+
+const SESSION_COOKIE = 'hs_admin';
+const TOKEN_HEADER = 'X-Admin-Token';
+const CSRF_HEADER = 'X-CSRF-Token';
+
+// Methods that don't change anything (no CSRF check)
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+if (!config.admin.token) {
+  logger.warn('[AdminAuth] ADMIN_TOKEN not set - /admin routes are disabled');
+}
+
+function hmac(key, payload) {
+  return crypto.createHmac('sha256', key).update(payload).digest('base64url');
+}
+
+/**
+ * Constant-time string comparison (hashing first evens out the lengths)
+ */
+function safeEqual(a, b) {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+function sessionKey() {
+  return hmac(config.admin.token, 'admin-session');
+}
+
+/**
+ * Check if admin access is configured
+ * @returns {boolean}
+ */
+function isEnabled() {
+  return Boolean(config.admin.token);
+}
+
+/**
+ * Check a presented admin token
+ * @param {string} token
+ * @returns {boolean}
+ */
+function checkToken(token) {
+  return isEnabled() && typeof token === 'string' && token.length > 0 && safeEqual(token, config.admin.token);
+}
+
+/**
+ * CSRF token of a session
+ * @param {string} sessionId - Random session ID (from the cookie)
+ */
+function csrfTokenFor(sessionId) {
+  return hmac(sessionKey(), `csrf.${sessionId}`);
+}
+
+/**
+ * Create a signed session
+ * @returns {{ cookie: string, sessionId: string, csrfToken: string, expiresAt: string }}
+ */
+function createSession() {
+  const exp = Math.floor(Date.now() / 1000) + config.admin.sessionTtl;
+  const sessionId = crypto.randomBytes(16).toString('base64url');
+  const payload = `${exp}.${sessionId}`;
+  return {
+    cookie: `${payload}.${hmac(sessionKey(), payload)}`,
+    sessionId,
+    csrfToken: csrfTokenFor(sessionId),
+    expiresAt: new Date(exp * 1000).toISOString()
+  };
+}
+
+/**
+ * Verify a session cookie
+ * @param {string} cookie - Cookie value
+ * @returns {{ sessionId: string, expiresAt: string }|null}
+ */
+function verifySession(cookie) {
+  if (!isEnabled() || typeof cookie !== 'string') return null;
+
+  const [exp, sessionId, sig] = cookie.split('.');
+  if (!exp || !sessionId || !sig) return null;
+
+  const expSeconds = parseInt(exp, 10);
+  if (!Number.isFinite(expSeconds) || expSeconds < Date.now() / 1000) return null;
+  if (!safeEqual(sig, hmac(sessionKey(), `${exp}.${sessionId}`))) return null;
+
+  return { sessionId, expiresAt: new Date(expSeconds * 1000).toISOString() };
+}
+
+/**
+ * Read a cookie from the request (no cookie-parser here)
+ */
+function getCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    if (part.slice(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Token from the X-Admin-Token or Authorization: Bearer header
+ */
+function getHeaderToken(req) {
+  const header = req.get(TOKEN_HEADER);
+  if (header) return header;
+  const authorization = req.get('Authorization') || '';
+  return authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+}
+
+/**
+ * Identify the caller of an admin request
+ * @returns {{ method: 'token'|'session', sessionId?: string, expiresAt?: string }|null}
+ */
+function authenticate(req) {
+  const headerToken = getHeaderToken(req);
+  if (headerToken) {
+    return checkToken(headerToken) ? { method: 'token' } : null;
+  }
+
+  const session = verifySession(getCookie(req, SESSION_COOKIE));
+  return session ? { method: 'session', ...session } : null;
+}
+
+/**
+ * Set the session cookie on a response
+ */
+function setSessionCookie(req, res, session) {
+  res.cookie(SESSION_COOKIE, session.cookie, {
+    httpOnly: true,
+    sameSite: 'strict',
+    path: '/admin',
+    maxAge: config.admin.sessionTtl * 1000,
+    // Behind Render's proxy the app itself only sees http
+    secure: req.secure || req.get('X-Forwarded-Proto') === 'https'
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: '/admin' });
+}
+
+/**
+ * Express middleware for /admin routes
+ * Sets req.admin ({ method, sessionId }) for the route handlers and the audit log
+ */
+function requireAdmin(req, res, next) {
+  if (!isEnabled()) {
+    return res.status(403).json({ error: 'Admin routes are disabled (ADMIN_TOKEN not set)' });
+  }
+
+  const caller = authenticate(req);
+  if (!caller) {
+    return res.status(401).json({ error: `Admin token required (${TOKEN_HEADER} header or POST /admin/login)` });
+  }
+  req.admin = caller;
+
+  // Cookies are sent by the browser on its own - session requests must prove they come from our page
+  if (caller.method === 'session' && !SAFE_METHODS.has(req.method)) {
+    const csrfToken = req.get(CSRF_HEADER) || req.body?._csrf;
+    if (!csrfToken || !safeEqual(csrfToken, csrfTokenFor(caller.sessionId))) {
+      return res.status(403).json({ error: `Missing or invalid CSRF token (${CSRF_HEADER} header)` });
+    }
+  }
+
+  next();
+}
+
+module.exports = {
+  TOKEN_HEADER,
+  CSRF_HEADER,
+  isEnabled,
+  checkToken,
+  createSession,
+  verifySession,
+  csrfTokenFor,
+  authenticate,
+  setSessionCookie,
+  clearSessionCookie,
+  requireAdmin
+};
@@ -0,0 +1,161 @@
+/**
+ * Audit Log - who did what on the admin routes, and how it went
+ *
+ * server.js records every state-changing /admin request and every rejected
+ * attempt (bad token, missing CSRF token) with the caller, the parameters
+ * (secrets removed) and the outcome. GET /admin/audit reads it back.
+ *
+ * Entries live in memory and are written to a JSON file (ADMIN_AUDIT_PATH)
+ * shortly after each change, via a temp file and rename like the user store.
+ *
+ * File format:
+ *   { version: 1, entries: [{ at, action, caller: { ip, auth, session, userAgent },
+ *                             params, outcome: { status, success, error }, durationMs, requestId }] }
+ * Entries are newest first; the oldest are dropped beyond config.admin.maxAuditEntries.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/env');
+const logger = require('./logger');
+
+// Delay before changes are written to disk (batches bursts of admin calls)
+const SAVE_DELAY_MS = 2000;
+
+// Parameters never written to the log
+const SECRET_PARAMS = new Set(['token', '_csrf', 'password']);
+
+// Longest parameter value kept (warm/invalidate params are short; anything longer is noise)
+const MAX_PARAM_LENGTH = 200;
+
+/**
+ * Copy request parameters without secrets, with long values cut
+ * @param {Object} params - Query and body parameters
+ * @returns {Object}
+ */
+function sanitizeParams(params) {
+  const result = {};
+  for (const [name, value] of Object.entries(params || {})) {
+    if (SECRET_PARAMS.has(name)) continue;
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    result[name] = text && text.length > MAX_PARAM_LENGTH ? `${text.slice(0, MAX_PARAM_LENGTH)}...` : value;
+  }
+  return result;
+}
+
+class AuditLog {
+  constructor(options = {}) {
+    this.filePath = options.filePath || config.admin.auditPath;
+    this.maxEntries = options.maxEntries || config.admin.maxAuditEntries;
+
+    // Newest first (loaded on first use)
+    this.entries = null;
+    this.saveTimer = null;
+  }
+
+  /**
+   * Load the log from disk (once)
+   */
+  load() {
+    if (this.entries) return;
+    this.entries = [];
+
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        this.entries = Array.isArray(data.entries) ? data.entries.slice(0, this.maxEntries) : [];
+      }
+    } catch (error) {
+      logger.error(`[AuditLog] Failed to load ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write the log to disk after SAVE_DELAY_MS (changes in between are batched)
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, SAVE_DELAY_MS);
+    // Don't keep the process alive just to save
+    this.saveTimer.unref?.();
+  }
+
+  /**
+   * Write the log to disk now
+   */
+  save() {
+    if (!this.entries) return;
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ version: 1, entries: this.entries }));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      logger.error(`[AuditLog] Failed to save ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write pending entries before the process exits
+   */
+  shutdown() {
+    if (this.saveTimer) this.save();
+  }
+
+  /**
+   * Record an admin action
+   * @param {Object} entry - { action, caller, params, outcome, durationMs, requestId }
+   * @returns {Object} Stored entry
+   */
+  record(entry) {
+    this.load();
+
+    const stored = {
+      at: new Date().toISOString(),
+      action: entry.action,
+      caller: entry.caller,
+      params: sanitizeParams(entry.params),
+      outcome: entry.outcome,
+      durationMs: entry.durationMs ?? null,
+      requestId: entry.requestId || null
+    };
+    this.entries.unshift(stored);
+    if (this.entries.length > this.maxEntries) this.entries.length = this.maxEntries;
+
+    logger.info(`[AuditLog] ${stored.action} by ${stored.caller?.auth || 'unauthenticated'} (${stored.caller?.ip}) → ${stored.outcome?.status}`);
+    this.scheduleSave();
+    return stored;
+  }
+
+  /**
+   * Recent entries, newest first
+   * @param {Object} options - { limit, action (substring), since (ISO date) }
+   * @returns {Array<Object>}
+   */
+  list({ limit = 100, action = null, since = null } = {}) {
+    this.load();
+
+    const sinceTime = since ? Date.parse(since) : NaN;
+    return this.entries
+      .filter(entry => !action || entry.action.includes(action))
+      .filter(entry => Number.isNaN(sinceTime) || Date.parse(entry.at) >= sinceTime)
+      .slice(0, limit);
+  }
+}
+
+// Singleton instance
+const auditLog = new AuditLog();
+
+module.exports = {
+  auditLog,
+  AuditLog,
+  sanitizeParams
+};
@@ -0,0 +1,94 @@
+/**
+ * Canonical Series IDs - one provider-independent `hs-` ID per series
+ *
+ * The same show exists as hmm-…, hse-… and htv-… IDs. Catalogs expose the
+ * canonical ID so Stremio library entries, watch progress and links don't
+ * split across providers; the legacy provider IDs are still accepted and
+ * mapped to the canonical entry (see databaseLoader.resolveId).
+ *
+ * Once assigned, a canonical ID is never regenerated - it lives in Stremio
+ * libraries, so database updates keep the stored value.
+ */
+
+const CANONICAL_PREFIX = 'hs-';
+
+// Slug source priority (same as the rating priority: HentaiMama > HentaiTV > HentaiSea)
+const SLUG_PRIORITY = ['hmm', 'htv', 'hse'];
+
+/**
+ * Check if an ID is a canonical series ID
+ * @param {string} id
+ * @returns {boolean}
+ */
+function isCanonicalId(id) {
+  return typeof id === 'string' && id.startsWith(CANONICAL_PREFIX);
+}
+
+/**
+ * Pick the provider and slug a series' canonical ID is derived from
+ * @param {Object} item - Deduplicated catalog entry
+ * @returns {{ provider: string, slug: string }}
+ */
+function getCanonicalSource(item) {
+  const providerSlugs = item.providerSlugs || {};
+  for (const provider of SLUG_PRIORITY) {
+    if (providerSlugs[provider]) {
+      return { provider, slug: providerSlugs[provider] };
+    }
+  }
+
+  const provider = item.id.split('-')[0];
+  return { provider, slug: item.id.replace(`${provider}-`, '') };
+}
+
+function sourceRank(provider) {
+  const index = SLUG_PRIORITY.indexOf(provider);
+  return index === -1 ? SLUG_PRIORITY.length : index;
+}
+
+/**
+ * Assign canonical IDs to every catalog entry that doesn't have one yet
+ * Entries keep their provider `id`; the canonical ID goes into `canonicalId`.
+ * If two different series would get the same ID, the one whose slug comes from
+ * the lower priority provider (then the higher provider ID) is suffixed with its
+ * provider code (hs-slug-htv) - independent of catalog order.
+ * Only the database scripts call this: the IDs are stored in the database and
+ * existing ones are never reassigned.
+ * @param {Array} catalog - Deduplicated catalog (modified in place)
+ * @returns {number} Number of newly assigned IDs
+ */
+function assignCanonicalIds(catalog) {
+  const used = new Set();
+  for (const item of catalog) {
+    if (item.canonicalId) used.add(item.canonicalId);
+  }
+
+  const pending = catalog
+    .filter(item => !item.canonicalId && item.id)
+    .map(item => ({ item, ...getCanonicalSource(item) }))
+    .sort((a, b) => sourceRank(a.provider) - sourceRank(b.provider) || a.item.id.localeCompare(b.item.id));
+
+  let assigned = 0;
+  for (const { item, provider, slug } of pending) {
+    let canonicalId = `${CANONICAL_PREFIX}${slug}`;
+    if (used.has(canonicalId)) {
+      canonicalId = `${CANONICAL_PREFIX}${slug}-${provider}`;
+    }
+    // Still taken (same slug and provider) - fall back to the unique provider ID
+    if (used.has(canonicalId)) {
+      canonicalId = `${CANONICAL_PREFIX}${item.id}`;
+    }
+
+    item.canonicalId = canonicalId;
+    used.add(canonicalId);
+    assigned++;
+  }
+
+  return assigned;
+}
+
+module.exports = {
+  CANONICAL_PREFIX,
+  isCanonicalId,
+  assignCanonicalIds
+};
@@ -2,6 +2,10 @@ const logger = require('./logger');
 const ratingNormalizer = require('./ratingNormalizer');
 const { getMostRecentDate } = require('./dateParser');
 const { selectBestDescription, isPromotionalDescription } = require('./descriptionHelper');
+const { sortByRelease } = require('./franchise');
+
+// Matches ranked for a filtered search before the filter runs (bounds the work per query)
+const FILTERED_SEARCH_CANDIDATES = 1000;
 
 // Lazy load database to avoid circular dependencies
 let databaseLoader = null;
@@ -12,6 +16,31 @@ function getDatabase() {
   return databaseLoader;
 }
 
+/**
+ * Get the release time of a series' newest episode (ms, 0 if unknown)
+ * Falls back to lastUpdated when no episode has a release date
+ */
+function getNewestEpisodeTime(item) {
+  let newest = 0;
+  for (const ep of item.episodes || []) {
+    const time = ep.released ? new Date(ep.released).getTime() : 0;
+    if (time > newest) newest = time;
+  }
+  if (!newest && item.lastUpdated) {
+    newest = new Date(item.lastUpdated).getTime() || 0;
+  }
+  return newest;
+}
+
+/**
+ * Get when the addon discovered a series (ms)
+ * addedAt is set by the incremental update; everything else came with the full build
+ */
+function getDiscoveredTime(item, buildTime) {
+  const addedAt = item.addedAt ? new Date(item.addedAt).getTime() : NaN;
+  return isNaN(addedAt) ? buildTime : addedAt;
+}
+
 /**
  * Get catalog from pre-bundled database
  * Much faster than scraping - instant load for historical content
@@ -21,7 +50,8 @@ function getDatabase() {
  * @param {string} options.genre - Filter by genre
  * @param {number} options.skip - Items to skip (pagination)
  * @param {number} options.limit - Items to return
- * @param {string} options.sortBy - Sort order ('popular', 'recent', 'rating')
+ * @param {string} options.sortBy - Sort order ('popular', 'recent', 'rating', 'added', ...)
+ * @param {Function} options.filter - Optional predicate (e.g. user black/whitelists), applied before pagination
  * @returns {Array|null} Array of series or null if database not ready
  */
 function getCatalogFromDatabase(options = {}) {
@@ -31,7 +61,7 @@ function getCatalogFromDatabase(options = {}) {
     return null;
   }
   
-  const { provider = null, genre = null, skip = 0, limit = 30, sortBy = 'popular', studio = null, year = null } = options;
+  const { provider = null, genre = null, skip = 0, limit = 30, sortBy = 'popular', studio = null, year = null, franchise = null, filter = null } = options;
   
   // Get base catalog (all or by provider)
   let items = provider ? db.getByProvider(provider) : db.getCatalog();
@@ -44,8 +74,9 @@ function getCatalogFromDatabase(options = {}) {
   // Genre comes as display name like "3D", "Action", etc.
   // Match items where any genre starts with the search term (case-insensitive)
   // e.g., "3D" matches "3D Hentai", "3D Works", "3d", etc.
-  if (genre) {
-    const genreNormalized = genre.toLowerCase().trim();
+  // Several genres (array) must all match
+  for (const singleGenre of (Array.isArray(genre) ? genre : [genre]).filter(Boolean)) {
+    const genreNormalized = singleGenre.toLowerCase().trim();
     items = items.filter(item => {
       if (!item.genres || !Array.isArray(item.genres)) return false;
       return item.genres.some(g => {
@@ -56,7 +87,7 @@ function getCatalogFromDatabase(options = {}) {
                gLower.startsWith(genreNormalized + '-');   // "3d-" matches "3d-something"
       });
     });
-    logger.debug(`[Aggregator] Genre filter "${genre}" matched ${items.length} items`);
+    logger.debug(`[Aggregator] Genre filter "${singleGenre}" matched ${items.length} items`);
   }
   
   // Filter by studio if specified (BEFORE pagination!)
@@ -71,6 +102,13 @@ function getCatalogFromDatabase(options = {}) {
     logger.debug(`[Aggregator] Studio filter "${studio}" matched ${items.length} items`);
   }
   
+  // Filter by franchise if specified (case-insensitive, exact)
+  if (franchise) {
+    const franchiseLower = franchise.toLowerCase().trim();
+    items = items.filter(item => item.franchise && item.franchise.toLowerCase() === franchiseLower);
+    logger.debug(`[Aggregator] Franchise filter "${franchise}" matched ${items.length} items`);
+  }
+  
   // Filter by year if specified (BEFORE pagination!)
   // Includes series with year field OR episodes released in that year
   if (year) {
@@ -109,6 +147,13 @@ function getCatalogFromDatabase(options = {}) {
     }
   }
   
+  // Apply caller-supplied filter (BEFORE pagination!)
+  // Strict filters like whitelists would otherwise leave pages nearly empty
+  if (typeof filter === 'function') {
+    items = items.filter(filter);
+    logger.debug(`[Aggregator] Custom filter matched ${items.length} items`);
+  }
+  
   // Sort based on sortBy option
   switch (sortBy) {
     case 'recent':
@@ -125,6 +170,39 @@ function getCatalogFromDatabase(options = {}) {
         return ratingB - ratingA;
       });
       break;
+    case 'newest': {
+      // Newest episode release (falls back to lastUpdated)
+      const newest = new Map(items.map(item => [item, getNewestEpisodeTime(item)]));
+      items.sort((a, b) => newest.get(b) - newest.get(a));
+      break;
+    }
+    case 'episodes':
+      items.sort((a, b) => {
+        const countDiff = (b.episodes?.length || 0) - (a.episodes?.length || 0);
+        return countDiff !== 0 ? countDiff : (b.rating || 0) - (a.rating || 0);
+      });
+      break;
+    case 'alphabetical':
+      items.sort((a, b) => (a.name || '').toLowerCase().localeCompare((b.name || '').toLowerCase()));
+      break;
+    case 'release':
+      // Oldest release first (franchise order)
+      items = sortByRelease(items);
+      break;
+    case 'added': {
+      // Discovery time, newest first (ties - e.g. the whole initial build - by newest episode)
+      const buildTime = db.getBuildDate()?.getTime() || 0;
+      const discovered = new Map(items.map(item => [item, getDiscoveredTime(item, buildTime)]));
+      const newest = new Map(items.map(item => [item, getNewestEpisodeTime(item)]));
+      items.sort((a, b) => (discovered.get(b) - discovered.get(a)) || (newest.get(b) - newest.get(a)));
+      break;
+    }
+    case 'votes':
+      items.sort((a, b) => {
+        const voteDiff = (b.voteCount || 0) - (a.voteCount || 0);
+        return voteDiff !== 0 ? voteDiff : (b.rating || 0) - (a.rating || 0);
+      });
+      break;
     case 'popular':
     default:
       // Popular = by view count (HTV) or rating (HMM) or metadata score
@@ -173,7 +251,58 @@ function getDatabaseBuildDate() {
 function getFromDatabase(id) {
   const db = getDatabase();
   if (!db.isReady()) return null;
-  return db.getById(id);
+  // Canonical hs- IDs and legacy provider IDs both map to the merged entry
+  return db.resolveId(id);
+}
+
+/**
+ * Get the canonical hs- ID for a series ID (null if not in the database)
+ */
+function getCanonicalIdFromDatabase(id) {
+  const db = getDatabase();
+  if (!db.isReady()) return null;
+  return db.getCanonicalId(id);
+}
+
+/**
+ * Get a series' episodes merged across providers (each with a `providers` array)
+ * Returns null if the series isn't in the database
+ */
+function getEpisodesFromDatabase(id) {
+  const db = getDatabase();
+  if (!db.isReady()) return null;
+  return db.getMergedEpisodes(id);
+}
+
+/**
+ * Get a series' similar titles ("More like this"), best first
+ * Returns null if the series isn't in the database
+ */
+function getSimilarFromDatabase(id) {
+  const db = getDatabase();
+  if (!db.isReady()) return null;
+  return db.getSimilar(id);
+}
+
+/**
+ * Get every entry of a series' franchise (the series included), oldest release first
+ * Returns null if the series isn't in the database, [] if it has no franchise
+ */
+function getFranchiseFromDatabase(id) {
+  const db = getDatabase();
+  if (!db.isReady()) return null;
+  const item = db.resolveId(id);
+  if (!item) return null;
+  return db.getByFranchise(item.franchise);
+}
+
+/**
+ * Get every franchise with its entry count (for catalog filter options)
+ */
+function getFranchisesFromDatabase() {
+  const db = getDatabase();
+  if (!db.isReady()) return [];
+  return db.getFranchises();
 }
 
 /**
@@ -186,11 +315,13 @@ function isDatabaseReady() {
 
 /**
  * Search the database with relevance scoring
- * Partial matches work, but exact/closer matches are scored higher
+ * Partial, misspelled and romaji-variant matches work, but exact/closer matches are scored higher
  * 
- * @param {string} query - Search query (will be lowercased)
+ * @param {string} query - Search query (normalized by the search index)
  * @param {Object} options - Search options
  * @param {number} options.limit - Max results to return (default: 50)
+ * @param {Function} options.filter - Optional predicate applied before the limit;
+ *   with an empty query, every series passing it is returned (highest rated first)
  * @returns {Array} Sorted array of matching series (best matches first)
  */
 function searchDatabase(query, options = {}) {
@@ -200,105 +331,33 @@ function searchDatabase(query, options = {}) {
     return null;
   }
   
-  const { limit = 50 } = options;
-  const queryLower = query.toLowerCase().trim();
-  
-  if (!queryLower) {
+  const { limit = 50, filter = null } = options;
+  const hasQuery = Boolean(query && query.trim());
+  if (!hasQuery && !filter) {
     return [];
   }
   
-  // Get all items from database
-  const allItems = db.getCatalog();
-  if (!allItems || allItems.length === 0) {
-    return [];
+  let matches;
+  let total;
+  if (hasQuery) {
+    // Inverted index built at load time (fuzzy, romaji-normalized, alternate titles)
+    // Filtered searches rank more matches, since the filter drops some of them
+    const indexed = db.searchIndex(query, { limit: filter ? Math.max(limit, FILTERED_SEARCH_CANDIDATES) : limit });
+    matches = indexed.results.map(r => r.item);
+    total = indexed.total;
+  } else {
+    matches = [...db.getCatalog()].sort((a, b) => (b.rating || 0) - (a.rating || 0));
   }
   
-  // Score each item based on how well it matches the query
-  const scored = [];
-  
-  for (const item of allItems) {
-    const name = (item.name || '').toLowerCase();
-    const description = (item.description || '').toLowerCase();
-    const studio = (item.studio || '').toLowerCase();
-    const genres = (item.genres || []).map(g => g.toLowerCase());
-    
-    let score = 0;
-    
-    // TITLE MATCHING (highest priority)
-    if (name === queryLower) {
-      // Exact title match = highest score
-      score += 1000;
-    } else if (name.startsWith(queryLower)) {
-      // Title starts with query (e.g., "mama" matches "mama no tomo")
-      score += 500;
-    } else if (name.includes(queryLower)) {
-      // Title contains query anywhere
-      score += 200;
-    }
-    
-    // WORD-LEVEL MATCHING (for multi-word queries)
-    const queryWords = queryLower.split(/\s+/);
-    const nameWords = name.split(/\s+/);
-    
-    // Check if all query words appear in title (in any order)
-    const allWordsMatch = queryWords.every(qw => 
-      nameWords.some(nw => nw.includes(qw))
-    );
-    if (allWordsMatch && queryWords.length > 1) {
-      score += 150;
-    }
-    
-    // Check for individual word matches
-    for (const qw of queryWords) {
-      if (nameWords.some(nw => nw === qw)) {
-        score += 50; // Exact word match
-      } else if (nameWords.some(nw => nw.startsWith(qw))) {
-        score += 25; // Word starts with query word
-      }
-    }
-    
-    // STUDIO MATCHING (medium priority)
-    if (studio === queryLower) {
-      score += 300;
-    } else if (studio.includes(queryLower)) {
-      score += 100;
-    }
-    
-    // GENRE MATCHING (lower priority)
-    for (const genre of genres) {
-      if (genre === queryLower) {
-        score += 80;
-      } else if (genre.includes(queryLower)) {
-        score += 30;
-      }
-    }
-    
-    // DESCRIPTION MATCHING (lowest priority, just for discovery)
-    if (description.includes(queryLower)) {
-      score += 10;
-    }
-    
-    // Only include items with a score > 0
-    if (score > 0) {
-      scored.push({ item, score });
-    }
+  if (filter) {
+    matches = matches.filter(filter);
+    total = matches.length;
   }
+  const items = matches.slice(0, limit);
   
-  // Sort by score (highest first), then by rating as tiebreaker
-  scored.sort((a, b) => {
-    if (b.score !== a.score) {
-      return b.score - a.score;
-    }
-    // Tiebreaker: higher rated content first
-    return (b.item.rating || 0) - (a.item.rating || 0);
-  });
-  
-  // Return just the items, limited
-  const results = scored.slice(0, limit).map(s => s.item);
-  
-  logger.info(`[Aggregator] Database search "${query}" found ${scored.length} matches, returning top ${results.length}`);
+  logger.info(`[Aggregator] Database search "${query}" found ${total} matches, returning top ${items.length}`);
   
-  return results;
+  return items;
 }
 
 /**
@@ -729,6 +788,7 @@ module.exports = {
   aggregateCatalogs,
   normalizeName,
   similarity,
+  levenshteinDistance,
   isDuplicate,
   calculateAverageRating,
   calculateMetadataScore,
@@ -736,6 +796,11 @@ module.exports = {
   // Database integration (new)
   getCatalogFromDatabase,
   getFromDatabase,
+  getEpisodesFromDatabase,
+  getCanonicalIdFromDatabase,
+  getSimilarFromDatabase,
+  getFranchiseFromDatabase,
+  getFranchisesFromDatabase,
   isDatabaseReady,
   getNewestDatabaseDate,
   getDatabaseBuildDate,
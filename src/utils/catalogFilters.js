@@ -0,0 +1,90 @@
+/**
+ * Catalog Filters - combinable sort + genre/studio/year filters for the Discover catalog
+ *
+ * Stremio's Discover UI only offers the single `genre` dropdown, so everything is
+ * encoded into one token: "|"-separated segments, in any order.
+ *   Vanilla                                  → genre
+ *   Sort: Most Votes                         → sort order (dropdown option)
+ *   Vanilla|year:2020|studio:Queen Bee|sort:newest
+ *   franchise:Oni Chichi|sort:newest         → one franchise's entries
+ *   genre:Vanilla|genre:Comedy               → both genres required
+ * Clients that send separate `sort`, `studio`, `year` and `franchise` extras are supported too.
+ */
+
+// Dropdown options for the Discover catalog (first = default)
+const SORT_OPTIONS = ['Sort: Top Rated', 'Sort: Newest Episode', 'Sort: Most Episodes', 'Sort: A-Z', 'Sort: Most Votes'];
+
+// Normalized sort names → getCatalogFromDatabase sortBy
+const SORT_ALIASES = {
+  toprated: 'rating',
+  rating: 'rating',
+  newestepisode: 'newest',
+  newest: 'newest',
+  recent: 'newest',
+  mostepisodes: 'episodes',
+  episodes: 'episodes',
+  az: 'alphabetical',
+  alphabetical: 'alphabetical',
+  name: 'alphabetical',
+  mostvotes: 'votes',
+  votes: 'votes',
+  votecount: 'votes'
+};
+
+// key:value segment
+const SEGMENT_REGEX = /^(sort|genre|studio|year|franchise)\s*:\s*(.+)$/i;
+
+function normalizeSortName(value) {
+  return value.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Parse the Discover catalog's extras into sort + filters
+ * @param {Object} extra - Catalog extra args ({ genre, sort, studio, year, franchise })
+ * @returns {{ sortBy: string, genres: Array<string>, studio: string|null, year: string|null, franchise: string|null }}
+ */
+function parseDiscoverFilters(extra = {}) {
+  const filters = { sortBy: 'rating', genres: [], studio: null, year: null, franchise: null };
+
+  const segments = extra.genre ? String(extra.genre).split('|') : [];
+  for (const key of ['sort', 'studio', 'year', 'franchise']) {
+    if (extra[key]) segments.push(`${key}:${extra[key]}`);
+  }
+
+  for (const rawSegment of segments) {
+    // Drop count suffixes like " (91)" from dropdown options
+    const segment = rawSegment.replace(/\s*\(\d+\)$/, '').trim();
+    if (!segment) continue;
+
+    // Unprefixed segments (and unknown prefixes like "Re:Zero") are genres
+    const keyMatch = segment.match(SEGMENT_REGEX);
+    const key = keyMatch ? keyMatch[1].toLowerCase() : 'genre';
+    const value = keyMatch ? keyMatch[2].trim() : segment;
+
+    switch (key) {
+      case 'sort': {
+        const sortBy = SORT_ALIASES[normalizeSortName(value)];
+        if (sortBy) filters.sortBy = sortBy;
+        break;
+      }
+      case 'studio':
+        filters.studio = value;
+        break;
+      case 'year':
+        if (/^\d{4}$/.test(value)) filters.year = value;
+        break;
+      case 'franchise':
+        filters.franchise = value;
+        break;
+      default:
+        filters.genres.push(value);
+    }
+  }
+
+  return filters;
+}
+
+module.exports = {
+  SORT_OPTIONS,
+  parseDiscoverFilters
+};
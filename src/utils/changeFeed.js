@@ -0,0 +1,151 @@
+/**
+ * Change Feeds - Atom and RSS views of the update change log (utils/changeLog.js)
+ *
+ * Every change of a run becomes one feed item ("New series", "New episodes",
+ * "Updated", "Fixed", "Removed"), so feed readers can show them individually.
+ */
+
+// Items per feed (newest runs first)
+const MAX_ITEMS = 100;
+
+const FEED_TITLE = 'HentaiStream - Catalog Updates';
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Flatten change log runs into feed items, newest first
+ * @param {Array} runs - Change log runs (newest first)
+ * @param {string} baseUrl - Addon base URL (for links of removed series)
+ * @returns {Array<{ id: string, title: string, summary: string, link: string, updated: string }>}
+ */
+function getFeedItems(runs, baseUrl) {
+  const items = [];
+  const detailLink = id => `stremio:///detail/hentai/${encodeURIComponent(id)}`;
+
+  for (const run of runs) {
+    for (const series of run.newSeries || []) {
+      items.push({
+        id: `${run.runAt}:new-series:${series.id}`,
+        title: `New series: ${series.name}`,
+        summary: `${series.name} was added to the catalog.`,
+        link: detailLink(series.id),
+        updated: run.runAt
+      });
+    }
+    for (const change of run.newEpisodes || []) {
+      const episodes = [...(change.episodes || [])].sort((a, b) => a - b);
+      items.push({
+        id: `${run.runAt}:new-episodes:${change.id}`,
+        title: `New episode${episodes.length === 1 ? '' : 's'}: ${change.name}`,
+        summary: `${change.name}: episode${episodes.length === 1 ? '' : 's'} ${episodes.join(', ')} added.`,
+        link: detailLink(change.id),
+        updated: run.runAt
+      });
+    }
+    for (const change of run.metadataChanges || []) {
+      const fields = (change.changes || []).map(c => c.field);
+      items.push({
+        id: `${run.runAt}:updated:${change.id}`,
+        title: `Updated: ${change.name}`,
+        summary: `${change.name}: ${fields.join(', ')} changed.`,
+        link: detailLink(change.id),
+        updated: run.runAt
+      });
+    }
+    (run.fixes || []).forEach((fix, index) => {
+      items.push({
+        id: `${run.runAt}:fixed:${fix.id}:${index}`,
+        title: `Fixed: ${fix.name}`,
+        summary: `${fix.name}: ${fix.reason}.`,
+        link: detailLink(fix.id),
+        updated: run.runAt
+      });
+    });
+    for (const series of run.removed || []) {
+      items.push({
+        id: `${run.runAt}:removed:${series.id}`,
+        title: `Removed: ${series.name || series.id}`,
+        summary: `${series.name || series.id} was removed from the catalog (${series.reason || 'broken entry'}).`,
+        link: baseUrl,
+        updated: run.runAt
+      });
+    }
+  }
+
+  return items.slice(0, MAX_ITEMS);
+}
+
+/**
+ * Build an Atom feed of the change log
+ * @param {Array} runs - Change log runs (newest first)
+ * @param {string} baseUrl - Addon base URL
+ * @param {string} selfPath - Path the feed is served at
+ * @returns {string} Atom XML
+ */
+function buildAtomFeed(runs, baseUrl, selfPath = '/feed.atom') {
+  const items = getFeedItems(runs, baseUrl);
+  const updated = runs[0]?.runAt || new Date(0).toISOString();
+
+  const entries = items.map(item => `  <entry>
+    <id>tag:hentaistream,${escapeXml(item.id)}</id>
+    <title>${escapeXml(item.title)}</title>
+    <link href="${escapeXml(item.link)}"/>
+    <updated>${escapeXml(item.updated)}</updated>
+    <summary>${escapeXml(item.summary)}</summary>
+  </entry>`).join('\n');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(baseUrl + selfPath)}</id>
+  <title>${FEED_TITLE}</title>
+  <link rel="self" href="${escapeXml(baseUrl + selfPath)}"/>
+  <link href="${escapeXml(baseUrl)}"/>
+  <updated>${escapeXml(updated)}</updated>
+  <author><name>HentaiStream</name></author>
+${entries}
+</feed>
+`;
+}
+
+/**
+ * Build an RSS 2.0 feed of the change log
+ * @param {Array} runs - Change log runs (newest first)
+ * @param {string} baseUrl - Addon base URL
+ * @returns {string} RSS XML
+ */
+function buildRssFeed(runs, baseUrl) {
+  const items = getFeedItems(runs, baseUrl);
+  const toRfc822 = iso => new Date(iso).toUTCString();
+
+  const entries = items.map(item => `    <item>
+      <guid isPermaLink="false">${escapeXml(item.id)}</guid>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.link)}</link>
+      <pubDate>${escapeXml(toRfc822(item.updated))}</pubDate>
+      <description>${escapeXml(item.summary)}</description>
+    </item>`).join('\n');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0">
+  <channel>
+    <title>${FEED_TITLE}</title>
+    <link>${escapeXml(baseUrl)}</link>
+    <description>Series and episodes added to the HentaiStream catalog by the daily update</description>
+${runs[0] ? `    <lastBuildDate>${escapeXml(toRfc822(runs[0].runAt))}</lastBuildDate>\n` : ''}${entries}
+  </channel>
+</rss>
+`;
+}
+
+module.exports = {
+  getFeedItems,
+  buildAtomFeed,
+  buildRssFeed
+};
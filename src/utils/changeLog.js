@@ -0,0 +1,250 @@
+/**
+ * Change Log - what each incremental database update changed
+ *
+ * runIncrementalUpdate (scripts/update-database.js) snapshots the catalog before
+ * it changes anything, diffs it against the saved catalog and appends the result
+ * as one run to data/changelog.json, next to catalog.json:
+ *   { version: 1, runs: [{ runAt,
+ *       newSeries: [{ id, name }],
+ *       newEpisodes: [{ id, name, episodes: [numbers] }],
+ *       metadataChanges: [{ id, name, changes: [{ field, from, to }] }],
+ *       fixes: [{ id, name, reason }],       // cleanup / RAW / rating / date fixes
+ *       removed: [{ id, name, reason }] }] }
+ * Runs are newest first; IDs are canonical hs- IDs where the series has one.
+ *
+ * The server reads it for the "New for you" catalog, /api/changes and the feeds.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const CHANGELOG_PATH = path.join(__dirname, '..', '..', 'data', 'changelog.json');
+
+// Runs kept in the file (one per day with the midnight update)
+const MAX_RUNS = 90;
+
+// Metadata fields compared between runs (episodes are diffed separately)
+const TRACKED_FIELDS = ['name', 'description', 'genres', 'studio', 'year', 'rating', 'voteCount', 'poster'];
+
+// Fields listed as changed without their (long) old and new values
+const VALUELESS_FIELDS = new Set(['description']);
+
+// Loaded change log (reloaded when the file changes)
+let cached = null;
+let cachedMtime = 0;
+
+/**
+ * Read the change log from disk
+ * @param {string} filePath - Change log file
+ * @returns {{ version: number, runs: Array }}
+ */
+function readChangeLog(filePath = CHANGELOG_PATH) {
+  try {
+    if (fs.existsSync(filePath)) {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      return { version: 1, runs: Array.isArray(data.runs) ? data.runs : [] };
+    }
+  } catch (error) {
+    logger.error(`[ChangeLog] Failed to read ${filePath}: ${error.message}`);
+  }
+  return { version: 1, runs: [] };
+}
+
+/**
+ * Check if a run changed anything worth recording
+ * @param {Object} run - Change log run
+ * @returns {boolean}
+ */
+function hasChanges(run) {
+  return (run.newSeries?.length || 0) > 0 ||
+         (run.newEpisodes?.length || 0) > 0 ||
+         (run.metadataChanges?.length || 0) > 0 ||
+         (run.fixes?.length || 0) > 0 ||
+         (run.removed?.length || 0) > 0;
+}
+
+function comparableValue(field, value) {
+  if (value === undefined || value === null || value === '') return null;
+  // Genre order differs between providers and scrapes
+  if (field === 'genres' && Array.isArray(value)) return JSON.stringify([...value].sort());
+  return JSON.stringify(value);
+}
+
+/**
+ * Snapshot the parts of a catalog the change log compares
+ * Take it before the update mutates any entries
+ * @param {Array} catalog - Catalog entries
+ * @returns {Map<string, Object>} Provider ID → { canonicalId, name, fields, episodes }
+ */
+function snapshotCatalog(catalog) {
+  const snapshot = new Map();
+  for (const item of catalog) {
+    const fields = {};
+    for (const field of TRACKED_FIELDS) {
+      // Copy arrays (genres) - the update modifies entries in place
+      const value = item[field] ?? null;
+      fields[field] = Array.isArray(value) ? [...value] : value;
+    }
+    snapshot.set(item.id, {
+      canonicalId: item.canonicalId || null,
+      name: item.name,
+      fields,
+      episodes: new Set((item.episodes || []).map(ep => ep.number))
+    });
+  }
+  return snapshot;
+}
+
+/**
+ * Diff a catalog snapshot against the updated catalog into a change log run
+ * @param {Map} before - snapshotCatalog() of the catalog before the update
+ * @param {Array} catalog - Updated catalog (canonical IDs assigned)
+ * @param {Object} details - { removed: [{ id, reason }], fixes: [{ id, reason }] } by provider ID
+ * @returns {Object} Change log run
+ */
+function diffCatalog(before, catalog, details = {}) {
+  const run = { runAt: new Date().toISOString(), newSeries: [], newEpisodes: [], metadataChanges: [], fixes: [], removed: [] };
+  const describe = item => ({ id: item.canonicalId || item.id, name: item.name });
+  const after = new Map(catalog.map(item => [item.id, item]));
+
+  for (const item of catalog) {
+    const previous = before.get(item.id);
+    if (!previous) {
+      run.newSeries.push(describe(item));
+      continue;
+    }
+
+    const episodes = (item.episodes || [])
+      .map(ep => ep.number)
+      .filter(number => number !== undefined && !previous.episodes.has(number));
+    if (episodes.length > 0) {
+      run.newEpisodes.push({ ...describe(item), episodes });
+    }
+
+    const changes = [];
+    for (const field of TRACKED_FIELDS) {
+      if (comparableValue(field, previous.fields[field]) === comparableValue(field, item[field])) continue;
+      changes.push(VALUELESS_FIELDS.has(field)
+        ? { field }
+        : { field, from: previous.fields[field], to: item[field] ?? null });
+    }
+    if (changes.length > 0) {
+      run.metadataChanges.push({ ...describe(item), changes });
+    }
+  }
+
+  const removedReasons = new Map((details.removed || []).map(entry => [entry.id, entry.reason]));
+  for (const [id, previous] of before) {
+    if (after.has(id)) continue;
+    run.removed.push({ id: previous.canonicalId || id, name: previous.name, reason: removedReasons.get(id) || 'removed' });
+  }
+
+  // Fixes to series added in this run are part of adding them
+  for (const fix of details.fixes || []) {
+    const item = after.get(fix.id);
+    if (item && before.has(fix.id)) run.fixes.push({ ...describe(item), reason: fix.reason });
+  }
+
+  return run;
+}
+
+/**
+ * Add a run to the change log (newest first, oldest runs dropped beyond MAX_RUNS)
+ * Runs without changes are not recorded
+ * @param {Object} run - Change log run (see diffCatalog)
+ * @param {string} filePath - Change log file
+ * @returns {boolean} True if the run was recorded
+ */
+function appendRun(run, filePath = CHANGELOG_PATH) {
+  if (!hasChanges(run)) return false;
+
+  const changeLog = readChangeLog(filePath);
+  changeLog.runs.unshift(run);
+  changeLog.runs.length = Math.min(changeLog.runs.length, MAX_RUNS);
+
+  fs.writeFileSync(filePath, JSON.stringify(changeLog, null, 2));
+  return true;
+}
+
+/**
+ * Get the recorded runs, newest first
+ * Re-reads the file after an update rewrote it
+ * @returns {Array}
+ */
+function getRuns() {
+  let mtime = 0;
+  try {
+    mtime = fs.statSync(CHANGELOG_PATH).mtimeMs;
+  } catch {
+    // No change log yet
+  }
+
+  if (!cached || mtime !== cachedMtime) {
+    cached = readChangeLog();
+    cachedMtime = mtime;
+  }
+  return cached.runs;
+}
+
+/**
+ * Get the runs recorded after a point in time
+ * @param {Date|null} since - Only runs after this time (null = all)
+ * @returns {Array} Runs, newest first
+ */
+function getRunsSince(since) {
+  const runs = getRuns();
+  if (!since) return runs;
+  const sinceTime = since.getTime();
+  return runs.filter(run => new Date(run.runAt).getTime() > sinceTime);
+}
+
+/**
+ * Get the episode numbers a set of series gained after given times
+ * @param {Map<string, number>} since - Series ID → time (ms) from which new episodes count
+ * @returns {Map<string, { lastRunAt: string, episodes: Array<number> }>} Series ID → new episodes
+ */
+function getNewEpisodesSince(since) {
+  const result = new Map();
+  for (const run of getRuns()) {
+    const runTime = new Date(run.runAt).getTime();
+    for (const change of run.newEpisodes || []) {
+      if (!since.has(change.id) || runTime <= since.get(change.id)) continue;
+
+      // Runs are newest first, so the first one seen is the latest
+      if (!result.has(change.id)) {
+        result.set(change.id, { lastRunAt: run.runAt, episodes: [] });
+      }
+      const entry = result.get(change.id);
+      for (const episode of change.episodes || []) {
+        if (!entry.episodes.includes(episode)) entry.episodes.push(episode);
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Get the IDs of every series a run touched (new, new episodes, changed, fixed or removed)
+ * @param {Object} run - Change log run
+ * @returns {Array<string>} Unique series IDs
+ */
+function getChangedSeriesIds(run) {
+  const ids = new Set();
+  for (const list of [run.newSeries, run.newEpisodes, run.metadataChanges, run.fixes, run.removed]) {
+    for (const change of list || []) ids.add(change.id);
+  }
+  return [...ids];
+}
+
+module.exports = {
+  CHANGELOG_PATH,
+  readChangeLog,
+  snapshotCatalog,
+  diffCatalog,
+  appendRun,
+  getRuns,
+  getRunsSince,
+  getNewEpisodesSince,
+  getChangedSeriesIds
+};
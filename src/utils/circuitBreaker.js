@@ -0,0 +1,149 @@
+/**
+ * Circuit Breaker - Stops waiting on workers that are down
+ *
+ * One breaker per worker URL:
+ * 1. CLOSED - requests flow normally, consecutive failures/timeouts are counted
+ * 2. OPEN - after too many consecutive failures, requests are skipped for a cool-down
+ * 3. HALF_OPEN - after the cool-down, a single probe request is let through;
+ *    success closes the circuit again, failure re-opens it for another cool-down
+ */
+
+const config = require('../config/env');
+const logger = require('./logger');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+class CircuitBreaker {
+  /**
+   * @param {string} name - Display name (e.g. "HentaiMama")
+   * @param {Object} options - { failureThreshold, cooldownMs }
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 3;
+    this.cooldownMs = options.cooldownMs || 60000;
+
+    this.state = STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+
+    this.stats = {
+      successes: 0,
+      failures: 0,
+      rejected: 0,
+      lastFailureAt: null,
+      lastFailureReason: null
+    };
+  }
+
+  /**
+   * Check if a request may go through (moves OPEN → HALF_OPEN after the cool-down)
+   * @returns {boolean}
+   */
+  allowRequest() {
+    if (this.state === STATES.OPEN && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = STATES.HALF_OPEN;
+      logger.info(`[CircuitBreaker] ${this.name} half-open, probing`);
+    }
+
+    if (this.state === STATES.CLOSED) return true;
+
+    // Half-open: only one probe at a time
+    if (this.state === STATES.HALF_OPEN && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return true;
+    }
+
+    this.stats.rejected++;
+    return false;
+  }
+
+  /**
+   * Record a successful request
+   */
+  recordSuccess() {
+    this.stats.successes++;
+    this.consecutiveFailures = 0;
+    this.probeInFlight = false;
+
+    if (this.state !== STATES.CLOSED) {
+      logger.info(`[CircuitBreaker] ${this.name} recovered, closing circuit`);
+      this.state = STATES.CLOSED;
+      this.openedAt = null;
+    }
+  }
+
+  /**
+   * Record a failed request (error, timeout or 5xx)
+   * @param {string} reason - Short description for the status endpoints
+   */
+  recordFailure(reason) {
+    this.stats.failures++;
+    this.stats.lastFailureAt = new Date().toISOString();
+    this.stats.lastFailureReason = reason;
+    this.consecutiveFailures++;
+    this.probeInFlight = false;
+
+    if (this.state === STATES.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      if (this.state !== STATES.OPEN) {
+        logger.warn(`[CircuitBreaker] ${this.name} open for ${Math.round(this.cooldownMs / 1000)}s after ${this.consecutiveFailures} failures (${reason})`);
+      }
+      this.state = STATES.OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Get breaker state for /health and /admin/update/status
+   */
+  getState() {
+    return {
+      name: this.name,
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      retryAt: this.state === STATES.OPEN ? new Date(this.openedAt + this.cooldownMs).toISOString() : null,
+      ...this.stats
+    };
+  }
+}
+
+class CircuitBreakerRegistry {
+  constructor() {
+    // Map<workerUrl, CircuitBreaker>
+    this.breakers = new Map();
+  }
+
+  /**
+   * Get (or create) the breaker for a worker URL
+   * @param {string} url - Worker URL
+   * @param {string} name - Display name, used when the breaker is created
+   * @returns {CircuitBreaker}
+   */
+  get(url, name) {
+    if (!this.breakers.has(url)) {
+      this.breakers.set(url, new CircuitBreaker(name || url, config.circuitBreaker));
+    }
+    return this.breakers.get(url);
+  }
+
+  /**
+   * Get all breaker states, keyed by display name
+   */
+  getStates() {
+    const states = {};
+    for (const breaker of this.breakers.values()) {
+      states[breaker.name] = breaker.getState();
+    }
+    return states;
+  }
+}
+
+// Export singleton instance
+module.exports = new CircuitBreakerRegistry();
+module.exports.CircuitBreaker = CircuitBreaker;
+module.exports.STATES = STATES;
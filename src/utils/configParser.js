@@ -2,18 +2,53 @@
  * Configuration Parser
  * Handles encoding/decoding of addon configuration from URL query parameters
  * 
- * Format: ?providers=hmm,hse&bg=tentacle,ntr&en=1
+ * Format: ?providers=hmm,hse&bg=tentacle,ntr&wg=vanilla,romance&en=1
  * Example: ?bg=tentacle,ntr&providers=hmm,hse&en=1
+ * 
+ * Blacklists (bg/bs) hide matching series, whitelists (wg/ws) hide everything
+ * that does NOT match. Both can be combined - the blacklist always wins.
+ * 
+ * order=htv,hmm ranks stream providers (unlisted ones follow in default order),
+ * first=1 only returns streams from the highest ranked provider that has any
+ * minq=720p drops lower resolutions, prefq=1080p lists that resolution first,
+ * noraw=1 hides RAW (unsubbed) streams
+ * 
+ * gx=1 expands blacklisted genres to their synonyms and child genres
+ * (e.g. bg=bdsm&gx=1 also hides bondage, femdom, slave)
+ * 
+ * ut=<token> opts in to the Favourites / Continue Watching catalogs
+ * (random token generated by the configure page, see utils/userStore.js)
  */
 
+const { genreMatcher } = require('./genreMatcher');
+const { getResolutionLabel } = require('./quality');
+const { isValidToken } = require('./userStore');
+
+const PROVIDER_CODES = ['hmm', 'hse', 'htv'];
+
 const DEFAULT_CONFIG = {
   // All providers enabled by default
   providers: ['hmm', 'hse', 'htv'],
+  // Stream provider priority (empty = default order hmm, hse, htv)
+  providerOrder: [],
+  // Return every provider's streams by default (first=1 keeps only the preferred one)
+  firstProviderOnly: false,
+  // Stream quality preferences (null = no preference)
+  minQuality: null,
+  preferredQuality: null,
+  hideRaw: false,
   // No blacklists by default
   blacklistGenres: [],
   blacklistStudios: [],
+  // Exact genre blacklist matching by default (gx=1 enables hierarchy expansion)
+  expandBlacklistGenres: false,
+  // No whitelists by default (empty = show everything)
+  whitelistGenres: [],
+  whitelistStudios: [],
   // Show counts on filter options by default
-  showCounts: true
+  showCounts: true,
+  // No per-user catalogs by default (ut=<token> opts in)
+  userToken: null
 };
 
 /**
@@ -40,6 +75,29 @@ function parseConfig(query) {
       }
     }
 
+    // Provider priority
+    if (query.order) {
+      const order = query.order.split(',').map(p => p.trim().toLowerCase());
+      config.providerOrder = order.filter((p, idx) => PROVIDER_CODES.includes(p) && order.indexOf(p) === idx);
+    }
+
+    if (query.first === '1' || query.first === 'true') {
+      config.firstProviderOnly = true;
+    }
+
+    // Stream quality (normalized, e.g. "720" → "720p"; unknown values are ignored)
+    if (query.minq) {
+      config.minQuality = getResolutionLabel(query.minq);
+    }
+
+    if (query.prefq) {
+      config.preferredQuality = getResolutionLabel(query.prefq);
+    }
+
+    if (query.noraw === '1' || query.noraw === 'true') {
+      config.hideRaw = true;
+    }
+
     // Blacklist genres
     if (query.bg || query.blacklist_genres) {
       const value = query.bg || query.blacklist_genres;
@@ -52,10 +110,32 @@ function parseConfig(query) {
       config.blacklistStudios = value.split(',').map(s => s.trim().toLowerCase());
     }
 
+    // Hierarchy-aware genre blacklist
+    if (query.gx === '1' || query.gx === 'true') {
+      config.expandBlacklistGenres = true;
+    }
+
+    // Whitelist genres ("only show")
+    if (query.wg || query.whitelist_genres) {
+      const value = query.wg || query.whitelist_genres;
+      config.whitelistGenres = value.split(',').map(g => g.trim().toLowerCase()).filter(Boolean);
+    }
+
+    // Whitelist studios ("only show")
+    if (query.ws || query.whitelist_studios) {
+      const value = query.ws || query.whitelist_studios;
+      config.whitelistStudios = value.split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+    }
+
     // Show counts toggle (default true, only set when explicitly disabled)
     if (query.showCounts === '0' || query.showCounts === 'false') {
       config.showCounts = false;
     }
+
+    // User token (malformed tokens are ignored rather than failing the whole config)
+    if (isValidToken(query.ut)) {
+      config.userToken = query.ut;
+    }
   } catch (error) {
     console.error('Error parsing config:', error.message);
     return { ...DEFAULT_CONFIG };
@@ -79,6 +159,28 @@ function encodeConfig(config) {
     params.set('providers', config.providers.join(','));
   }
 
+  // Provider priority
+  if (config.providerOrder && config.providerOrder.length > 0) {
+    params.set('order', config.providerOrder.join(','));
+  }
+
+  if (config.firstProviderOnly) {
+    params.set('first', '1');
+  }
+
+  // Stream quality
+  if (config.minQuality) {
+    params.set('minq', config.minQuality);
+  }
+
+  if (config.preferredQuality) {
+    params.set('prefq', config.preferredQuality);
+  }
+
+  if (config.hideRaw) {
+    params.set('noraw', '1');
+  }
+
   // Blacklist genres (slugified)
   if (config.blacklistGenres && config.blacklistGenres.length > 0) {
     const genres = config.blacklistGenres.map(g => g.toLowerCase().replace(/\s+/g, '-')).join(',');
@@ -91,6 +193,26 @@ function encodeConfig(config) {
     params.set('bs', studios);
   }
 
+  if (config.expandBlacklistGenres) {
+    params.set('gx', '1');
+  }
+
+  // Whitelist genres (slugified)
+  if (config.whitelistGenres && config.whitelistGenres.length > 0) {
+    const genres = config.whitelistGenres.map(g => g.toLowerCase().replace(/\s+/g, '-')).join(',');
+    params.set('wg', genres);
+  }
+
+  // Whitelist studios (slugified)
+  if (config.whitelistStudios && config.whitelistStudios.length > 0) {
+    const studios = config.whitelistStudios.map(s => s.toLowerCase().replace(/\s+/g, '-')).join(',');
+    params.set('ws', studios);
+  }
+
+  if (config.userToken) {
+    params.set('ut', config.userToken);
+  }
+
   return params.toString();
 }
 
@@ -101,6 +223,57 @@ function normalizeForComparison(str) {
   return str.toLowerCase().replace(/[\s-]+/g, '');
 }
 
+/**
+ * Check if a studio name matches a configured studio entry
+ * Substring matching in both directions - studio names vary between providers
+ * (e.g., "Studio ABC" vs "ABC Animation")
+ */
+function studioMatches(studio, configured) {
+  const normalizedStudio = normalizeForComparison(studio);
+  const normalizedConfigured = normalizeForComparison(configured);
+  return normalizedStudio.includes(normalizedConfigured) || normalizedConfigured.includes(normalizedStudio);
+}
+
+// Expanded blacklist sets per parsed config - shouldIncludeSeries runs once per series
+const expandedBlacklistCache = new WeakMap();
+
+/**
+ * Get the hierarchy-expanded genre blacklist for a config
+ * Contains every blacklisted genre plus its synonyms and child genres,
+ * normalized with genreMatcher.normalize()
+ * @param {Object} config - Configuration object
+ * @returns {Set<string>} Normalized genre tags to hide
+ */
+function getExpandedBlacklist(config) {
+  if (expandedBlacklistCache.has(config)) {
+    return expandedBlacklistCache.get(config);
+  }
+
+  const expanded = new Set();
+  for (const blacklisted of config.blacklistGenres || []) {
+    for (const tag of genreMatcher.expandGenre(blacklisted)) {
+      expanded.add(genreMatcher.normalize(tag));
+    }
+  }
+
+  expandedBlacklistCache.set(config, expanded);
+  return expanded;
+}
+
+/**
+ * Check if the config has any per-series filters (blacklists or whitelists)
+ * Lets callers skip the filter pass entirely for default configs
+ * @param {Object} config - Configuration object
+ * @returns {boolean}
+ */
+function hasSeriesFilters(config) {
+  if (!config) return false;
+  return (config.blacklistGenres?.length || 0) > 0 ||
+         (config.blacklistStudios?.length || 0) > 0 ||
+         (config.whitelistGenres?.length || 0) > 0 ||
+         (config.whitelistStudios?.length || 0) > 0;
+}
+
 /**
  * Check if a series should be filtered out based on config
  * @param {Object} series - Series object with genres, studio
@@ -110,7 +283,13 @@ function normalizeForComparison(str) {
 function shouldIncludeSeries(series, config) {
   // Check genre blacklist using EXACT matching to prevent false positives
   // e.g., blacklisting "3" should NOT block "3D", blacklisting "nurse" should NOT block "nurses"
-  if (config.blacklistGenres && config.blacklistGenres.length > 0 && series.genres) {
+  // With expandBlacklistGenres, synonyms and child genres are hidden as well (still exact per tag)
+  if (config.expandBlacklistGenres && config.blacklistGenres && config.blacklistGenres.length > 0 && series.genres) {
+    const expanded = getExpandedBlacklist(config);
+    if (series.genres.some(g => expanded.has(genreMatcher.normalize(g)))) {
+      return false;
+    }
+  } else if (config.blacklistGenres && config.blacklistGenres.length > 0 && series.genres) {
     const seriesGenres = series.genres.map(g => normalizeForComparison(g));
     for (const blacklisted of config.blacklistGenres) {
       const normalizedBlacklisted = normalizeForComparison(blacklisted);
@@ -124,13 +303,32 @@ function shouldIncludeSeries(series, config) {
   // Check studio blacklist - use substring matching for flexibility
   // Studio names can vary (e.g., "Studio ABC" vs "ABC Animation")
   if (config.blacklistStudios && config.blacklistStudios.length > 0 && series.studio) {
-    const normalizedStudio = normalizeForComparison(series.studio);
-    for (const blacklisted of config.blacklistStudios) {
-      const normalizedBlacklisted = normalizeForComparison(blacklisted);
-      // For studios, substring matching is acceptable and useful
-      if (normalizedStudio.includes(normalizedBlacklisted) || normalizedBlacklisted.includes(normalizedStudio)) {
-        return false;
-      }
+    // For studios, substring matching is acceptable and useful
+    if (config.blacklistStudios.some(blacklisted => studioMatches(series.studio, blacklisted))) {
+      return false;
+    }
+  }
+
+  // Check genre whitelist - series needs at least ONE whitelisted genre (exact match)
+  // Series without genres can't prove they match, so they are hidden
+  if (config.whitelistGenres && config.whitelistGenres.length > 0) {
+    if (!series.genres || series.genres.length === 0) {
+      return false;
+    }
+    const seriesGenres = series.genres.map(g => normalizeForComparison(g));
+    const whitelisted = config.whitelistGenres.map(g => normalizeForComparison(g));
+    if (!seriesGenres.some(g => whitelisted.includes(g))) {
+      return false;
+    }
+  }
+
+  // Check studio whitelist - same substring matching as the blacklist
+  if (config.whitelistStudios && config.whitelistStudios.length > 0) {
+    if (!series.studio) {
+      return false;
+    }
+    if (!config.whitelistStudios.some(whitelisted => studioMatches(series.studio, whitelisted))) {
+      return false;
     }
   }
 
@@ -159,6 +357,19 @@ function getEnabledScrapers(config, scrapers) {
   return enabled;
 }
 
+/**
+ * Get enabled providers in the user's priority order
+ * Providers listed in providerOrder come first, the rest keep the default order
+ * @param {Object} config - Configuration object
+ * @returns {Array<string>} Provider codes, e.g. ['htv', 'hmm', 'hse']
+ */
+function getProviderOrder(config) {
+  const enabled = config?.providers?.length ? config.providers : DEFAULT_CONFIG.providers;
+  const ranked = (config?.providerOrder || []).filter(p => enabled.includes(p));
+  const rest = PROVIDER_CODES.filter(p => enabled.includes(p) && !ranked.includes(p));
+  return [...ranked, ...rest];
+}
+
 /**
  * Check if a title looks like English (not Japanese)
  * @param {string} title - Title to check
@@ -197,7 +408,10 @@ module.exports = {
   parseConfig,
   encodeConfig,
   shouldIncludeSeries,
+  hasSeriesFilters,
+  getExpandedBlacklist,
   getEnabledScrapers,
+  getProviderOrder,
   isEnglishTitle,
   selectBestTitle
 };
@@ -9,6 +9,11 @@ const fs = require('fs');
 const path = require('path');
 const zlib = require('zlib');
 const logger = require('./logger');
+const { mergeEpisodeLists, getEpisodeListProvider } = require('./episodeMerger');
+const { isCanonicalId } = require('./canonicalId');
+const { SearchIndex } = require('./searchIndex');
+const { computeSimilarSeries } = require('./similarity');
+const { assignFranchises, sortByRelease } = require('./franchise');
 
 // Paths to database files
 const DATA_DIR = path.join(__dirname, '..', '..', 'data');
@@ -97,8 +102,10 @@ function createEmptyDatabase() {
     stats: { totalSeries: 0, byProvider: {} },
     _indices: {
       byId: new Map(),
+      byCanonicalId: new Map(),
       bySlug: new Map(),
-      byProvider: new Map()
+      byProvider: new Map(),
+      byFranchise: new Map()
     }
   };
 }
@@ -109,13 +116,35 @@ function createEmptyDatabase() {
 function buildIndices(db) {
   db._indices = {
     byId: new Map(),
+    byCanonicalId: new Map(),
     bySlug: new Map(),
-    byProvider: new Map()
+    byProvider: new Map(),
+    byFranchise: new Map()
   };
   
+  // Canonical IDs come from the database scripts only - assigning them here would
+  // make collision suffixes depend on load order. Entries without one keep their provider ID.
+  const missingIds = (db.catalog || []).filter(item => !item.canonicalId).length;
+  if (missingIds > 0) {
+    logger.warn(`${missingIds} series have no canonical ID - run scripts/update-database.js to assign them`);
+  }
+  
+  // Databases built before franchises existed get them detected on load
+  if (!(db.catalog || []).some(item => item.franchise)) {
+    const franchises = assignFranchises(db.catalog || []);
+    logger.debug(`Detected ${franchises} franchises missing from the database`);
+  }
+  
+  // Same for "More like this" (a few seconds for the full catalog - at load, never on a request)
+  if ((db.catalog || []).length > 0 && !db.catalog.some(item => Array.isArray(item.similar))) {
+    const withMatches = computeSimilarSeries(db.catalog);
+    logger.info(`Computed similar titles for ${withMatches} series missing from the database`);
+  }
+  
   for (const item of db.catalog || []) {
     // Index by full ID
     db._indices.byId.set(item.id, item);
+    if (item.canonicalId) db._indices.byCanonicalId.set(item.canonicalId, item);
     
     // Index by slug (ID without provider prefix)
     const slug = extractSlug(item.id);
@@ -130,9 +159,25 @@ function buildIndices(db) {
       db._indices.byProvider.set(provider, []);
     }
     db._indices.byProvider.get(provider).push(item);
+    
+    // Index by franchise
+    if (item.franchise) {
+      if (!db._indices.byFranchise.has(item.franchise)) {
+        db._indices.byFranchise.set(item.franchise, []);
+      }
+      db._indices.byFranchise.get(item.franchise).push(item);
+    }
+  }
+  
+  // Franchise entries in release order
+  for (const [franchise, items] of db._indices.byFranchise) {
+    db._indices.byFranchise.set(franchise, sortByRelease(items));
   }
   
-  logger.debug(`Built indices: ${db._indices.byId.size} IDs, ${db._indices.bySlug.size} slugs`);
+  // Full-text search index (replaces a linear scan per search)
+  db._indices.search = new SearchIndex(db.catalog || []);
+  
+  logger.debug(`Built indices: ${db._indices.byId.size} IDs, ${db._indices.bySlug.size} slugs, ${db._indices.search.vocabulary.length} search terms`);
 }
 
 /**
@@ -151,6 +196,36 @@ function getById(id) {
   return database._indices?.byId?.get(id) || null;
 }
 
+/**
+ * Resolve any series ID to its database entry
+ * Accepts the canonical hs- ID, the entry's own provider ID, and legacy provider
+ * IDs of duplicates that were merged into it (e.g. "htv-slug" → merged "hmm-…" entry)
+ * @param {string} id - Series ID
+ * @returns {Object|null} Catalog entry
+ */
+function resolveId(id) {
+  if (!database || !id) return null;
+  if (isCanonicalId(id)) {
+    return database._indices?.byCanonicalId?.get(id) || null;
+  }
+  
+  const direct = getById(id);
+  if (direct) return direct;
+  
+  const prefix = id.split('-')[0];
+  const registryEntry = getSlugRegistry(extractSlug(id))?.[prefix];
+  return registryEntry ? getById(registryEntry.id) : null;
+}
+
+/**
+ * Get the canonical hs- ID for any series ID (null if the series isn't in the database)
+ * Entries without a canonical ID yet are identified by their provider ID
+ */
+function getCanonicalId(id) {
+  const item = resolveId(id);
+  return item ? (item.canonicalId || item.id) : null;
+}
+
 /**
  * Get all series matching a slug across providers
  */
@@ -186,10 +261,12 @@ function getMergedBySlug(slug) {
   const merged = { ...items[0] };
   merged.providers = [];
   merged.ratingBreakdown = {};
+  const episodeSources = [];
   
   for (const item of items) {
     const provider = item.provider || item.id.split('-')[0];
     merged.providers.push(provider);
+    episodeSources.push({ episodes: item.episodes, provider: getEpisodeListProvider(item) });
     
     // Build rating breakdown
     if (item.rating !== undefined && item.rating !== null) {
@@ -212,9 +289,97 @@ function getMergedBySlug(slug) {
     if (!merged.studio && item.studio) merged.studio = item.studio;
   }
   
+  // Union of every provider's episodes, not just the highest priority one's
+  merged.episodes = mergeEpisodeLists(episodeSources);
+  
   return merged;
 }
 
+/**
+ * Get a series' episodes merged across every provider that carries it
+ * Collects the entry's own episodes plus those of entries reachable through its
+ * provider slugs (same-slug entries and slug registry matches).
+ * Each episode gets a `providers` array listing the providers that carry it
+ * (null if an entry it came from predates per-episode providers).
+ * @param {string} id - Series ID (canonical or provider)
+ * @returns {Array|null} Merged episodes sorted by number, or null if the series is unknown
+ */
+function getMergedEpisodes(id) {
+  const item = resolveId(id);
+  if (!item) return null;
+  
+  const sources = [{ episodes: item.episodes, provider: getEpisodeListProvider(item) }];
+  const seen = new Set([item.id]);
+  
+  const addSource = (other) => {
+    if (!other || seen.has(other.id)) return;
+    seen.add(other.id);
+    sources.push({ episodes: other.episodes, provider: getEpisodeListProvider(other) });
+  };
+  
+  const slugs = new Set([extractSlug(item.id), ...Object.values(item.providerSlugs || {})]);
+  for (const slug of slugs) {
+    // Same-slug entries (episodes already unioned, each tagged with its providers)
+    const merged = getMergedBySlug(slug);
+    if (merged) {
+      sources.push({ episodes: merged.episodes });
+      for (const other of getBySlug(slug)) seen.add(other.id);
+    }
+    
+    // Entries this slug was merged into under another provider
+    for (const entry of Object.values(getSlugRegistry(slug) || {})) {
+      addSource(getById(entry.id));
+    }
+  }
+  
+  return mergeEpisodeLists(sources);
+}
+
+/**
+ * Get the similar titles of a series ("More like this"), best first
+ * Stored in the database by the build/update scripts (see buildIndices for older databases)
+ * @param {string} id - Series ID (canonical or provider)
+ * @returns {Array|null} Catalog entries, or null if the series is unknown
+ */
+function getSimilar(id) {
+  const item = resolveId(id);
+  if (!item) return null;
+  
+  return (item.similar || []).map(resolveId).filter(Boolean);
+}
+
+/**
+ * Get all entries of a franchise, oldest release first
+ * @param {string} franchise - Franchise name (item.franchise)
+ * @returns {Array}
+ */
+function getByFranchise(franchise) {
+  if (!database || !franchise) return [];
+  return database._indices?.byFranchise?.get(franchise) || [];
+}
+
+/**
+ * Get every franchise with its entry count, largest first
+ * @returns {Array<{name: string, count: number}>}
+ */
+function getFranchises() {
+  if (!database?._indices?.byFranchise) return [];
+  return [...database._indices.byFranchise]
+    .map(([name, items]) => ({ name, count: items.length }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * Full-text search over the catalog
+ * @param {string} query - Raw user query
+ * @param {Object} options - { limit }
+ * @returns {{ results: Array<{item: Object, score: number}>, total: number }}
+ */
+function searchIndex(query, options = {}) {
+  if (!database?._indices?.search) return { results: [], total: 0 };
+  return database._indices.search.search(query, options);
+}
+
 /**
  * Get all catalog items for a provider
  * Returns ALL items without pagination - pagination should be done by caller
@@ -291,10 +456,17 @@ module.exports = {
   loadDatabase,
   reloadDatabase: (forceReload = true) => loadDatabase(forceReload),
   getById,
+  resolveId,
+  getCanonicalId,
   getBySlug,
   getByProvider,
   getMergedBySlug,
+  getMergedEpisodes,
+  getSimilar,
+  getByFranchise,
+  getFranchises,
   getCatalog,
+  searchIndex,
   isReady,
   getStats,
   getSlugRegistry,
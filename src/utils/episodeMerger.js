@@ -0,0 +1,78 @@
+/**
+ * Episode Merger - Union episode lists of the same series across providers
+ *
+ * Providers don't always carry the same episodes (HentaiMama may stop at
+ * episode 2 while HentaiTV already has episode 3). Episodes are merged by
+ * number and every episode records which providers carry it, so the stream
+ * handler only asks those providers' workers. Each list contributes only the
+ * provider it was scraped from, never every provider of the series.
+ */
+
+/**
+ * Get an episode's number (old entries use episodeNumber; 0 is a valid number)
+ */
+function getEpisodeNumber(ep) {
+  const number = parseInt(ep.number ?? ep.episodeNumber, 10);
+  return Number.isNaN(number) ? 1 : number;
+}
+
+/**
+ * Provider whose scraper produced a catalog entry's episode list
+ * Entries merged before episodes recorded their providers have several
+ * providers and no way to tell whose list they kept - null for those.
+ * @param {Object} entry - Catalog entry
+ * @returns {string|null} Provider code
+ */
+function getEpisodeListProvider(entry) {
+  if (Array.isArray(entry.providers) && entry.providers.length > 1) return null;
+  return entry.provider || entry.id?.split('-')[0] || null;
+}
+
+function unionProviders(a, b) {
+  // Unknown (null) wins - the stream handler then asks every provider
+  if (!a || !b) return null;
+  return [...new Set([...a, ...b])];
+}
+
+/**
+ * Merge episode lists by episode number
+ * The first list that has an episode wins for its metadata (title, poster, slug);
+ * later lists only fill in missing fields and add their providers.
+ * @param {Array<{episodes: Array, provider: string|null}>} sources - Episode lists in priority order;
+ *   `provider` is the provider the list came from, used for episodes that don't
+ *   record their own providers (null if unknown)
+ * @returns {Array} Merged episodes sorted by number, each with a `providers` array
+ *   (null when a list it came from didn't say which provider carries it)
+ */
+function mergeEpisodeLists(sources) {
+  const byNumber = new Map();
+
+  for (const { episodes, provider = null } of sources) {
+    if (!Array.isArray(episodes)) continue;
+
+    for (const ep of episodes) {
+      const number = getEpisodeNumber(ep);
+      const epProviders = Array.isArray(ep.providers) && ep.providers.length > 0
+        ? ep.providers
+        : (provider ? [provider] : null);
+      const existing = byNumber.get(number);
+
+      if (!existing) {
+        byNumber.set(number, { ...ep, number, providers: epProviders && [...new Set(epProviders)] });
+        continue;
+      }
+
+      existing.providers = unionProviders(existing.providers, epProviders);
+      if (!existing.poster && ep.poster) existing.poster = ep.poster;
+      if (!existing.released && ep.released) existing.released = ep.released;
+    }
+  }
+
+  return [...byNumber.values()].sort((a, b) => a.number - b.number);
+}
+
+module.exports = {
+  getEpisodeNumber,
+  getEpisodeListProvider,
+  mergeEpisodeLists
+};
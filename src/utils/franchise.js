@@ -0,0 +1,238 @@
+/**
+ * Franchise Detection - groups sequels and spin-offs of the same series
+ *
+ * "Rance 01" / "Rance 02", "Title" / "Title The Animation" and "Title" /
+ * "Title 2nd Season" are separate database entries. Stripping numbering,
+ * subtitles and release-format suffixes gives the franchise name; its
+ * extractSearchTerm key (the stream handler's series search term) groups entries.
+ *
+ * A group only becomes a franchise if the key is really a series name: some
+ * entry has to be the series itself or a numbered part of it. Entries that only
+ * share a label prefix ("Umemaro 3D – Mai", "Umemaro 3D – Aya") or a studio's
+ * name ("Survive Vol22" by survive) stay separate.
+ *
+ * Series with names of two or more words also take in the spin-offs named after
+ * them: "Bible Black Only" and "Taimanin Asagi 3D" start with the series name,
+ * "Igawa in Trouble – Taimanin Asagi" has it as its subtitle.
+ *
+ * Assigned at database build time (build/update scripts, and on load for
+ * older databases) as `item.franchise` - the franchise display name.
+ */
+
+const { normalizeName, extractSearchTerm } = require('./seriesNameMatcher');
+
+// Trailing parts that differ between entries of one franchise (applied until nothing changes)
+const SUFFIX_PATTERNS = [
+  /\s*[-:~]?\s*\b(the\s+)?animation$/i,
+  /\s*[-:~]?\s*\b(ova|ona|oad|special|specials|uncensored|subbed|dubbed|remake|remastered)$/i,
+  /\s*[-:~]?\s*\b(episode|ep\.?|part|vol\.?|volume|chapter|season)\s*\d*$/i,
+  /\s*[-:~]?\s*\b\d+(st|nd|rd|th)\s+season$/i,
+  /\s*[-:~]?\s*\b(ii|iii|iv|vi|vii|viii)$/i,
+  /\s*[-:~]?\s*#?\d{1,2}$/, // "Rance 01" - not years like "2020"
+  /\s*[-:~.!?]+$/
+];
+
+// "Title: Subtitle" / "Title ~Subtitle~" - the subtitle names one entry of the franchise
+const SUBTITLE_PATTERN = /^(.{4,}?)\s*(?::|~|\s-\s|\s–\s)\s*(.+)$/;
+
+// Fewest words in a series name that spin-offs are grouped under ("Taimanin Asagi")
+const MIN_SPINOFF_SERIES_WORDS = 2;
+
+// A series name followed by one of these is the start of a longer phrase, not a
+// spin-off title ("Forbidden Love Of Succubus", "One day it was...")
+const PHRASE_WORDS = new Set(['of', 'with', 'in', 'on', 'at', 'for', 'and', 'is', 'it', 'was', 'my', 'the', 'an', 'from', 'by']);
+
+/**
+ * Split a series name into its franchise name and how it was derived
+ * @param {string} name - Series display name
+ * @returns {{ base: string, subtitled: boolean, numbered: boolean }} Franchise name,
+ *   whether a subtitle was removed and whether the removed suffixes held a number
+ */
+function parseSeriesName(name) {
+  let base = String(name || '').trim();
+
+  const subtitle = base.match(SUBTITLE_PATTERN);
+  if (subtitle) base = subtitle[1];
+  const beforeSuffixes = base;
+
+  let previous;
+  do {
+    previous = base;
+    for (const pattern of SUFFIX_PATTERNS) {
+      const stripped = base.replace(pattern, '').trim();
+      // Never strip a name down to nothing ("Animation", "OVA")
+      if (stripped.length >= 2) base = stripped;
+    }
+  } while (base !== previous);
+
+  const removed = beforeSuffixes.slice(base.length);
+  return { base, subtitled: Boolean(subtitle), numbered: /\d|\b(ii|iii|iv|vi|vii|viii)\b/i.test(removed) };
+}
+
+/**
+ * Strip numbering, subtitles and format suffixes from a series name
+ * @param {string} name - Series display name
+ * @returns {string} Franchise display name ("Rance 02 The Animation" → "Rance")
+ */
+function getFranchiseName(name) {
+  return parseSeriesName(name).base;
+}
+
+/**
+ * Franchise key for grouping - the franchise name as a series search term
+ * @param {string} name - Series display name
+ * @returns {string}
+ */
+function getFranchiseKey(name) {
+  return extractSearchTerm(normalizeName(getFranchiseName(name)));
+}
+
+/**
+ * Check if an entry is the series a franchise key names (or a numbered or
+ * format variant of it): "Kakyuusei", "Kansen 5: The Daybreak", "Anejiru 2 The Animation".
+ * The key has to cover the entry's whole franchise name - search terms keep at
+ * most 3 words, so "World of Warcraft Arena" doesn't name "world of warcraft".
+ * @param {Object} item - Catalog entry
+ * @param {string} key - Franchise key
+ * @returns {boolean}
+ */
+function namesSeries(item, key) {
+  const { base, subtitled, numbered } = parseSeriesName(item.name);
+  // "Label – Title" entries share only the label ("Kansen 5: The Daybreak" is part 5)
+  if (subtitled && !numbered) return false;
+  const words = normalizeName(base).split('-').filter(Boolean);
+  // Search terms drop single letters - a trailing one names another title ("Dancing F")
+  if (words.length === 0 || words[words.length - 1].length < 2) return false;
+  return words.filter(word => word.length > 1).join(' ') === key;
+}
+
+/**
+ * Key of the series an entry is a spin-off of, if that series is in the catalog
+ * "Bible Black Only Version" → "bible black", "Igawa in Trouble – Taimanin Asagi" → "taimanin asagi"
+ * @param {Object} item - Catalog entry
+ * @param {string} key - The entry's own franchise key
+ * @param {Set<string>} seriesKeys - Keys some entry names the series of
+ * @returns {string|null}
+ */
+function getSpinoffSeriesKey(item, key, seriesKeys) {
+  const words = key.split(' ');
+  for (let length = MIN_SPINOFF_SERIES_WORDS; length < words.length; length++) {
+    const prefix = words.slice(0, length).join(' ');
+    if (seriesKeys.has(prefix) && !PHRASE_WORDS.has(words[length])) return prefix;
+  }
+
+  // "Label – Series" - unless the label is a series itself ("Black Gate: Kanin no Gakuen")
+  const subtitle = String(item.name || '').trim().match(SUBTITLE_PATTERN)?.[2];
+  if (subtitle && !seriesKeys.has(key)) {
+    const subtitleKey = getFranchiseKey(subtitle);
+    if (subtitleKey !== key && subtitleKey.split(' ').length >= MIN_SPINOFF_SERIES_WORDS &&
+        seriesKeys.has(subtitleKey) && namesSeries({ name: subtitle }, subtitleKey)) {
+      return subtitleKey;
+    }
+  }
+  return null;
+}
+
+/**
+ * Earliest episode release of a series
+ * @param {Object} item - Catalog entry
+ * @returns {number} Milliseconds, Infinity if unknown
+ */
+function getEarliestEpisodeTime(item) {
+  let earliest = Infinity;
+  for (const ep of item.episodes || []) {
+    const time = ep.released ? new Date(ep.released).getTime() : NaN;
+    if (!isNaN(time) && time < earliest) earliest = time;
+  }
+  return earliest;
+}
+
+/**
+ * Release year of a series - the year field first (episode dates are often
+ * provider upload dates of older shows), then the earliest episode's year
+ * @param {Object} item - Catalog entry
+ * @returns {number} Year, Infinity if unknown
+ */
+function getReleaseYear(item) {
+  const year = parseInt(item.year, 10);
+  if (!isNaN(year)) return year;
+  const earliest = getEarliestEpisodeTime(item);
+  return earliest === Infinity ? Infinity : new Date(earliest).getUTCFullYear();
+}
+
+/**
+ * Compare two entries by release (year, then earliest episode, then name)
+ */
+function compareRelease(a, b) {
+  const yearDiff = getReleaseYear(a) - getReleaseYear(b);
+  if (yearDiff !== 0 && !isNaN(yearDiff)) return yearDiff;
+  const timeDiff = getEarliestEpisodeTime(a) - getEarliestEpisodeTime(b);
+  if (timeDiff !== 0 && !isNaN(timeDiff)) return timeDiff;
+  return (a.name || '').localeCompare(b.name || '');
+}
+
+/**
+ * Detect franchises and set `item.franchise` on every entry that has siblings
+ * Entries without siblings get no franchise field
+ * @param {Array} catalog - Deduplicated catalog entries
+ * @returns {number} Number of franchises found
+ */
+function assignFranchises(catalog) {
+  const keys = new Map();
+  const seriesKeys = new Set();
+  for (const item of catalog) {
+    delete item.franchise;
+    const key = getFranchiseKey(item.name);
+    if (!key) continue;
+    keys.set(item, key);
+    if (namesSeries(item, key)) seriesKeys.add(key);
+  }
+
+  // Spin-offs join the series they're named after
+  const groups = new Map();
+  for (const [item, ownKey] of keys) {
+    const key = getSpinoffSeriesKey(item, ownKey, seriesKeys) || ownKey;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+
+  let franchiseCount = 0;
+  for (const [key, members] of groups) {
+    if (members.length < 2) continue;
+
+    // Needs an entry that is the series itself - a shared prefix alone is a label
+    const series = members.filter(item => namesSeries(item, key));
+    if (series.length === 0) continue;
+
+    // Named after the series' first release ("Rance 01" → "Rance")
+    const first = series.reduce((a, b) => (compareRelease(b, a) < 0 ? b : a));
+    const franchise = getFranchiseName(first.name);
+
+    // Named after a member's studio ("Survive Vol22" by survive) - a studio, not a series
+    const franchiseSlug = normalizeName(franchise);
+    if (members.some(item => item.studio && normalizeName(item.studio) === franchiseSlug)) continue;
+
+    franchiseCount++;
+    for (const item of members) {
+      item.franchise = franchise;
+    }
+  }
+
+  return franchiseCount;
+}
+
+/**
+ * Sort franchise entries by release date, oldest first
+ * @param {Array} items - Catalog entries of one franchise
+ * @returns {Array} New sorted array
+ */
+function sortByRelease(items) {
+  return [...items].sort(compareRelease);
+}
+
+module.exports = {
+  getFranchiseName,
+  getFranchiseKey,
+  assignFranchises,
+  sortByRelease
+};
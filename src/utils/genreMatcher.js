@@ -384,6 +384,16 @@ class GenreMatcher {
       }
     }
     
+    // Hierarchy keys by normalized name ("nonconsent" → "non-consent")
+    this.hierarchyLookup = new Map();
+    for (const parent of Object.keys(this.hierarchies)) {
+      this.hierarchyLookup.set(this.normalize(parent), parent);
+    }
+    
+    // Memoized expandGenre() results (normalized input → tags)
+    // Only known genres are cached, so the map is bounded by the synonym/hierarchy tables
+    this.expansionCache = new Map();
+    
     logger.info(`[GenreMatcher] Initialized with ${this.synonymLookup.size} synonym mappings, ${Object.keys(this.hierarchies).length} hierarchies`);
   }
   
@@ -565,6 +575,57 @@ class GenreMatcher {
     return bestScore;
   }
   
+  /**
+   * Expand a genre to every tag it covers: itself, its synonyms, and its
+   * children/grandchildren from the hierarchy (with their synonyms)
+   * e.g. "bdsm" → ["bdsm", "sm", "s&m", ..., "bondage", "slave", "femdom", ...]
+   * @param {string} genre - Genre to expand
+   * @returns {Array<string>} Related tags, deduplicated by normalized form
+   */
+  expandGenre(genre) {
+    const normalized = this.normalize(genre);
+    if (!normalized) return [];
+    
+    if (this.expansionCache.has(normalized)) {
+      return this.expansionCache.get(normalized);
+    }
+    
+    const tags = new Map(); // normalized → display tag
+    const addTag = (tag) => {
+      const key = this.normalize(tag);
+      if (key && !tags.has(key)) tags.set(key, tag);
+    };
+    const addWithSynonyms = (tag) => {
+      const canonical = this.getCanonical(tag);
+      addTag(tag);
+      addTag(canonical);
+      for (const alias of this.synonymGroups[canonical] || []) {
+        addTag(alias);
+      }
+    };
+    const childrenOf = (tag) => {
+      const key = this.hierarchyLookup.get(this.normalize(this.getCanonical(tag)));
+      return key ? this.hierarchies[key].children || [] : [];
+    };
+    
+    addWithSynonyms(genre);
+    
+    // 2 levels deep, same as calculateScore()
+    for (const child of childrenOf(genre)) {
+      addWithSynonyms(child);
+      for (const grandchild of childrenOf(child)) {
+        addWithSynonyms(grandchild);
+      }
+    }
+    
+    const result = Array.from(tags.values());
+    // Arbitrary input (e.g. from /api/genre-expansion) only expands to itself - not worth keeping
+    if (this.synonymLookup.has(normalized) || this.hierarchyLookup.has(normalized)) {
+      this.expansionCache.set(normalized, result);
+    }
+    return result;
+  }
+  
   /**
    * Normalize a genre to its canonical form
    * Useful for aggregating/deduplicating genres from different providers
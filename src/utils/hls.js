@@ -0,0 +1,59 @@
+/**
+ * HLS Helpers - detect and rewrite .m3u8 playlists for /video-proxy
+ *
+ * HentaiSea's jwplayer sometimes hands out an HLS manifest instead of an MP4.
+ * Its variant, segment and key URIs point at the IP-restricted origin, so every
+ * URI in the playlist has to go back through our proxy as well.
+ */
+
+// Tags whose URI="..." attribute references another resource
+const URI_ATTRIBUTE_REGEX = /URI="([^"]+)"/g;
+
+/**
+ * Check if a URL or response is an HLS playlist
+ * @param {string} url - Resource URL
+ * @param {string} contentType - Response Content-Type (optional)
+ * @returns {boolean}
+ */
+function isHlsManifest(url, contentType = '') {
+  if (/mpegurl/i.test(contentType)) return true;
+
+  try {
+    return new URL(url).pathname.toLowerCase().endsWith('.m3u8');
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Rewrite every URI in an HLS playlist (master or media)
+ * Handles plain URI lines (variants, segments) and URI="..." attributes
+ * (EXT-X-KEY, EXT-X-MAP, EXT-X-MEDIA, EXT-X-I-FRAME-STREAM-INF, ...).
+ * Relative URIs are resolved against the playlist URL first.
+ * @param {string} body - Playlist text
+ * @param {string} manifestUrl - Absolute URL the playlist was fetched from
+ * @param {Function} toProxyUrl - Maps an absolute origin URL to the proxied URL
+ * @returns {string} Rewritten playlist
+ */
+function rewriteManifest(body, manifestUrl, toProxyUrl) {
+  const resolve = uri => toProxyUrl(new URL(uri, manifestUrl).toString());
+
+  return body
+    .split(/\r?\n/)
+    .map(line => {
+      const trimmed = line.trim();
+      if (!trimmed) return line;
+
+      if (trimmed.startsWith('#')) {
+        return line.replace(URI_ATTRIBUTE_REGEX, (match, uri) => `URI="${resolve(uri)}"`);
+      }
+
+      return resolve(trimmed);
+    })
+    .join('\n');
+}
+
+module.exports = {
+  isHlsManifest,
+  rewriteManifest
+};
@@ -7,6 +7,8 @@
  * - Batch URL fetching via Cloudflare Worker
  * - Automatic keep-alive and connection reuse
  * - DNS pre-resolution
+ * - Request spans and X-Request-Id forwarding to the CF Worker (see requestContext;
+ *   the scraped sites themselves never see the header)
  * 
  * MEMORY OPTIMIZATION: Reduced connection pools for 512MB limit
  */
@@ -14,6 +16,7 @@
 const { Pool, Agent, setGlobalDispatcher } = require('undici');
 const pLimit = require('p-limit');
 const logger = require('./logger');
+const requestContext = require('./requestContext');
 
 // Cloudflare Worker proxy URL
 const CF_PROXY_URL = process.env.CF_PROXY_URL || null;
@@ -117,12 +120,13 @@ async function fetch(url, options = {}) {
   const urlObj = new URL(url);
   const pool = getPool(urlObj.origin);
   const limiter = getHostLimiter(urlObj.host);
+  const method = options.method || 'GET';
   
-  return limiter(async () => {
+  return requestContext.withSpan(`http ${method} ${urlObj.host}`, { path: urlObj.pathname }, span => limiter(async () => {
     try {
       const { statusCode, headers, body } = await pool.request({
         path: urlObj.pathname + urlObj.search,
-        method: options.method || 'GET',
+        method,
         headers: {
           ...buildHeaders(),
           ...options.headers,
@@ -132,13 +136,14 @@ async function fetch(url, options = {}) {
       });
       
       const data = await body.text();
+      span.attributes.status = statusCode;
       
       return { data, status: statusCode, headers };
     } catch (error) {
       logger.debug(`[HttpClient] Fetch error for ${url}: ${error.message}`);
       throw error;
     }
-  });
+  }));
 }
 
 /**
@@ -167,6 +172,7 @@ async function fetchViaProxy(url, options = {}) {
       
       const response = await fetch(proxyUrl.toString(), {
         timeout: options.timeout || 30000,
+        headers: requestContext.getHeaders(),
       });
       
       // Check for proxied 403
@@ -248,11 +254,11 @@ async function batchFetch(urls, options = {}) {
       logger.info(`[HttpClient] Batch fetching ${batch.length} URLs via CF Worker (attempt ${attempt})`);
       
       // Use axios instead of undici - axios auto-decompresses gzip/deflate/br
-      const response = await axios.get(proxyUrl.toString(), {
+      const response = await requestContext.withSpan('http batch', { urls: batch.length, attempt }, () => axios.get(proxyUrl.toString(), {
         timeout: options.timeout || 45000, // Longer timeout for batch
-        headers: buildHeaders(),
+        headers: { ...buildHeaders(), ...requestContext.getHeaders() },
         decompress: true, // Explicitly enable (default is true, but be explicit)
-      });
+      }));
       
       // axios already parses JSON if Content-Type is application/json
       // but CF Worker may return text/plain, so handle both cases
@@ -1,8 +1,17 @@
 const winston = require('winston');
 const config = require('../config/env');
+const { getRequestId } = require('./requestContext');
+
+// Tag lines logged while handling a request with its ID (see requestContext)
+const requestIdFormat = winston.format((info) => {
+  const requestId = getRequestId();
+  if (requestId) info.requestId = requestId;
+  return info;
+});
 
 // Define log format
 const logFormat = winston.format.combine(
+  requestIdFormat(),
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
   winston.format.errors({ stack: true }),
   winston.format.splat(),
@@ -13,8 +22,8 @@ const logFormat = winston.format.combine(
 const consoleFormat = winston.format.combine(
   winston.format.colorize(),
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
-  winston.format.printf(({ timestamp, level, message, ...meta }) => {
-    let msg = `${timestamp} [${level}]: ${message}`;
+  winston.format.printf(({ timestamp, level, message, requestId, ...meta }) => {
+    let msg = `${timestamp} [${level}]${requestId ? ` [${requestId}]` : ''}: ${message}`;
     if (Object.keys(meta).length > 0) {
       try {
         // Safely stringify, avoiding circular references
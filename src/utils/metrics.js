@@ -0,0 +1,261 @@
+/**
+ * Metrics - Prometheus counters, gauges and histograms for /metrics
+ *
+ * Instruments update metrics where things happen (request middleware, worker
+ * fetches, rate limiter, update runs). Values other modules already track
+ * (cache and slug registry stats, circuit breakers, database) are read by
+ * collectors when /metrics is scraped.
+ *
+ * Output is the Prometheus text exposition format (version 0.0.4).
+ */
+
+// Latency buckets in seconds (catalog pages ~10ms, worker lookups up to the 15s timeout)
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15, 30];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Base for metrics with labelled series
+ */
+class Metric {
+  /**
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {Array<string>} labelNames - Label names (values are passed in this order's object form)
+   */
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    // Serialized labels → series
+    this.series = new Map();
+  }
+
+  _key(labels) {
+    return JSON.stringify(this.labelNames.map(name => String(labels[name] ?? '')));
+  }
+
+  _labelsFor(labels) {
+    const result = {};
+    for (const name of this.labelNames) result[name] = labels[name] ?? '';
+    return result;
+  }
+
+  reset() {
+    this.series.clear();
+  }
+}
+
+class Counter extends Metric {
+  get type() {
+    return 'counter';
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - Amount (>= 0)
+   */
+  inc(labels = {}, value = 1) {
+    const key = this._key(labels);
+    const series = this.series.get(key) || { labels: this._labelsFor(labels), value: 0 };
+    series.value += value;
+    this.series.set(key, series);
+  }
+
+  /**
+   * Set the total from a value tracked elsewhere (collectors)
+   */
+  set(labels = {}, value) {
+    this.series.set(this._key(labels), { labels: this._labelsFor(labels), value });
+  }
+
+  render() {
+    return [...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+  }
+}
+
+class Gauge extends Counter {
+  get type() {
+    return 'gauge';
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    super(name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  get type() {
+    return 'histogram';
+  }
+
+  /**
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value (seconds for durations)
+   */
+  observe(labels = {}, value) {
+    const key = this._key(labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels: this._labelsFor(labels), counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+    for (let i = 0; i < this.buckets.length; i++) {
+      if (value <= this.buckets[i]) series.counts[i]++;
+    }
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start a timer - call the returned function to observe the elapsed seconds
+   * @param {Object} labels - Label values (more can be passed to the end function)
+   * @returns {Function} (extraLabels) => seconds
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = [];
+    for (const s of this.series.values()) {
+      this.buckets.forEach((bucket, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: formatValue(bucket) })} ${s.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+      lines.push(`${this.name}_sum${formatLabels(s.labels)} ${s.sum}`);
+      lines.push(`${this.name}_count${formatLabels(s.labels)} ${s.count}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    // Metric name → metric (in registration order)
+    this.metrics = new Map();
+    // Functions run before rendering to refresh collected values
+    this.collectors = [];
+  }
+
+  _register(metric) {
+    if (this.metrics.has(metric.name)) return this.metrics.get(metric.name);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this._register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this._register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this._register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * Add a function that updates metrics from another module's state at scrape time
+   * @param {Function} collector - Sync or async, errors are ignored
+   */
+  addCollector(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * Render every metric in Prometheus text format
+   * @returns {Promise<string>}
+   */
+  async render() {
+    for (const collector of this.collectors) {
+      try {
+        await collector();
+      } catch {
+        // A broken collector must not break the scrape
+      }
+    }
+
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      lines.push(...metric.render());
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+// Singleton registry and the addon's metrics
+const registry = new MetricsRegistry();
+
+const metrics = {
+  httpRequests: registry.counter(
+    'hentaistream_http_requests_total',
+    'Addon requests by Stremio resource and status code',
+    ['resource', 'status']
+  ),
+  httpDuration: registry.histogram(
+    'hentaistream_http_request_duration_seconds',
+    'Addon request latency by Stremio resource',
+    ['resource']
+  ),
+  workerDuration: registry.histogram(
+    'hentaistream_worker_request_duration_seconds',
+    'Stream worker request latency by provider',
+    ['provider']
+  ),
+  workerErrors: registry.counter(
+    'hentaistream_worker_errors_total',
+    'Stream worker failures by provider (timeout, http_4xx, http_5xx, network) and skips by open circuits (circuit_open)',
+    ['provider', 'reason']
+  ),
+  rateLimitRejections: registry.counter(
+    'hentaistream_rate_limit_rejections_total',
+    'Requests rejected by the concurrency limiter (per_ip, server_busy)',
+    ['reason']
+  ),
+  updateDuration: registry.gauge(
+    'hentaistream_incremental_update_duration_seconds',
+    'Duration of the last incremental database update'
+  ),
+  updateRuns: registry.counter(
+    'hentaistream_incremental_updates_total',
+    'Incremental database updates by result',
+    ['result']
+  ),
+  updateLastRun: registry.gauge(
+    'hentaistream_incremental_update_last_run_timestamp_seconds',
+    'Time the last incremental database update finished'
+  )
+};
+
+module.exports = {
+  registry,
+  metrics,
+  MetricsRegistry,
+  Counter,
+  Gauge,
+  Histogram
+};
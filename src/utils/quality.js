@@ -14,6 +14,16 @@ const QUALITY_PRIORITY = {
   '240p': 10,
 };
 
+/**
+ * Named quality labels mapped to the resolution they stand for
+ * Only names with one meaning - the generic "HD"/"SD" the workers report stay unknown
+ */
+const QUALITY_ALIASES = {
+  'uhd': '2160p',
+  'full hd': '1080p',
+  'fhd': '1080p',
+};
+
 /**
  * Extract quality information from various formats
  * @param {Object} stream - Stream object
@@ -47,9 +57,29 @@ function extractQuality(stream) {
     return { resolution, priority };
   }
 
+  // Unambiguous named labels ("Full HD", "UHD") as whole words - a plain "HD" or "SD" stays unknown
+  for (const [alias, resolution] of Object.entries(QUALITY_ALIASES)) {
+    if (new RegExp(`\\b${alias}\\b`).test(qualityStr)) {
+      return { resolution, priority: QUALITY_PRIORITY[resolution] };
+    }
+  }
+
   return { resolution: 'unknown', priority: 0 };
 }
 
+/**
+ * Get the normalized resolution label of a stream or a quality value
+ * @param {Object|string} streamOrValue - Stream object, or a value like '1080', '1080P', '4K', 'full hd'
+ * @returns {string|null} e.g. '1080p', '2160p', or null if unknown or generic ("HD")
+ */
+function getResolutionLabel(streamOrValue) {
+  if (!streamOrValue) return null;
+  const stream = typeof streamOrValue === 'object' ? streamOrValue : { quality: String(streamOrValue) };
+  const { resolution } = extractQuality(stream);
+  if (resolution === 'unknown') return null;
+  return resolution === '4k' ? '2160p' : resolution;
+}
+
 /**
  * Sort streams by quality (highest first)
  * @param {Array} streams - Array of stream objects
@@ -71,6 +101,7 @@ function sortByQuality(streams) {
 
 /**
  * Filter streams by minimum quality
+ * Streams without a known resolution are kept - they may well meet the minimum
  * @param {Array} streams - Array of stream objects
  * @param {string} minQuality - Minimum quality (e.g., '720p')
  * @returns {Array} Filtered streams
@@ -84,7 +115,7 @@ function filterByMinQuality(streams, minQuality = '480p') {
 
   return streams.filter(stream => {
     const quality = extractQuality(stream);
-    return quality.priority >= minPriority;
+    return quality.resolution === 'unknown' || quality.priority >= minPriority;
   });
 }
 
@@ -211,6 +242,7 @@ function createNoStreamsPlaceholder(reason = 'No streams available') {
 
 module.exports = {
   extractQuality,
+  getResolutionLabel,
   sortByQuality,
   filterByMinQuality,
   getBestQuality,
@@ -220,4 +252,5 @@ module.exports = {
   toStremioStream,
   createNoStreamsPlaceholder,
   QUALITY_PRIORITY,
+  QUALITY_ALIASES,
 };
@@ -0,0 +1,229 @@
+/**
+ * Request Context - request IDs and span trees for correlating a request's work
+ *
+ * middleware() gives every request a random ID (a caller's X-Request-Id is only
+ * recorded as the clientRequestId span attribute - callers can't pick or collide
+ * with our IDs), returns it in the X-Request-Id response header and keeps it in
+ * AsyncLocalStorage, so code running for the request can read it without it
+ * being passed around:
+ * - the logger adds it to every line (requestId)
+ * - worker and proxy calls forward it in X-Request-Id (getHeaders())
+ * - withSpan() records timed spans under the request (nested spans under their parent)
+ * - signed /video-proxy URLs carry it (rid), so player hits link back to the
+ *   stream request that handed out the URL (linkParentRequest() once the
+ *   signature is verified)
+ *
+ * The most recent traces (config.tracing.maxRequests) are kept in memory for
+ * GET /admin/requests/:id.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const config = require('../config/env');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Incoming IDs are recorded only if they can't inject anything into logs or headers
+const REQUEST_ID_REGEX = /^[A-Za-z0-9._:-]{8,64}$/;
+
+// Path segments holding user secrets (the install config can carry ut=), kept out of span names
+const SECRET_PATH_SEGMENTS = [
+  [/^\/[^/]+\/(configure|manifest\.json|catalog|meta|stream)(?=\/|$)/, '/:config/$1'],
+  [/^\/api\/user\/[^/]+/, '/api/user/:token']
+];
+
+// Bounds per trace (a long HLS session links hundreds of segment requests)
+const MAX_SPANS_PER_TRACE = 200;
+const MAX_LINKED_REQUESTS = 100;
+
+const storage = new AsyncLocalStorage();
+
+// Request ID → trace, oldest first
+const traces = new Map();
+
+function isValidRequestId(id) {
+  return typeof id === 'string' && REQUEST_ID_REGEX.test(id);
+}
+
+function createSpan(name, attributes = {}) {
+  return {
+    name,
+    attributes: { ...attributes },
+    startedAt: new Date().toISOString(),
+    start: process.hrtime.bigint(),
+    durationMs: null,
+    error: null,
+    children: []
+  };
+}
+
+function endSpan(span) {
+  span.durationMs = Math.round(Number(process.hrtime.bigint() - span.start) / 1e4) / 100;
+}
+
+/**
+ * Request path with user secrets replaced by their route parameter names
+ */
+function redactPath(path) {
+  return SECRET_PATH_SEGMENTS.reduce((redacted, [regex, replacement]) => redacted.replace(regex, replacement), path);
+}
+
+/**
+ * Keep a trace, dropping the oldest beyond config.tracing.maxRequests
+ */
+function storeTrace(trace) {
+  traces.set(trace.requestId, trace);
+  while (traces.size > config.tracing.maxRequests) {
+    traces.delete(traces.keys().next().value);
+  }
+}
+
+/**
+ * Express middleware - assigns the request ID and records the request's root span
+ */
+function middleware() {
+  return (req, res, next) => {
+    const requestId = crypto.randomUUID();
+    res.setHeader(REQUEST_ID_HEADER, requestId);
+
+    const root = createSpan(`${req.method} ${redactPath(req.path)}`);
+    const incoming = req.get(REQUEST_ID_HEADER);
+    if (isValidRequestId(incoming)) root.attributes.clientRequestId = incoming;
+
+    const trace = { requestId, root, spanCount: 1, droppedSpans: 0, parentRequestId: null, linkedRequests: [] };
+    storeTrace(trace);
+
+    let ended = false;
+    const finish = () => {
+      if (ended) return;
+      ended = true;
+      root.attributes.status = res.statusCode;
+      if (!res.writableEnded) root.error = 'client disconnected';
+      endSpan(root);
+    };
+    res.on('finish', finish);
+    res.on('close', finish);
+
+    storage.run({ requestId, trace, span: root }, next);
+  };
+}
+
+/**
+ * Link the current request to the request that handed out its URL
+ * Only for signed URLs (rid is part of the signature) - call after verifying it
+ * @param {string} parentId - rid of the signed URL
+ */
+function linkParentRequest(parentId) {
+  const context = storage.getStore();
+  if (!context || !isValidRequestId(parentId)) return;
+
+  context.trace.parentRequestId = parentId;
+  const parent = traces.get(parentId);
+  if (parent && parent.linkedRequests.length < MAX_LINKED_REQUESTS) {
+    parent.linkedRequests.push(context.requestId);
+  }
+}
+
+/**
+ * ID of the request the current code runs for
+ * @returns {string|null}
+ */
+function getRequestId() {
+  return storage.getStore()?.requestId || null;
+}
+
+/**
+ * Headers that forward the request ID to our workers / proxy
+ * @returns {Object} { 'X-Request-Id': id } or {} outside a request
+ */
+function getHeaders() {
+  const requestId = getRequestId();
+  return requestId ? { [REQUEST_ID_HEADER]: requestId } : {};
+}
+
+/**
+ * Run a function as a span of the current request
+ * The span is passed in so the function can add attributes (span.attributes)
+ * or an error (span.error). Outside a request the function just runs.
+ * @param {string} name - Span name (e.g. 'worker HentaiMama')
+ * @param {Object} attributes - Initial attributes
+ * @param {Function} fn - async (span) => result
+ * @returns {Promise<*>} Result of fn
+ */
+async function withSpan(name, attributes, fn) {
+  const context = storage.getStore();
+  const span = createSpan(name, attributes);
+  if (!context) return fn(span);
+
+  const { trace } = context;
+  if (trace.spanCount < MAX_SPANS_PER_TRACE) {
+    trace.spanCount++;
+    context.span.children.push(span);
+  } else {
+    trace.droppedSpans++;
+  }
+
+  try {
+    return await storage.run({ ...context, span }, () => fn(span));
+  } catch (error) {
+    span.error = error?.message || String(error);
+    throw error;
+  } finally {
+    endSpan(span);
+  }
+}
+
+function serializeSpan(span) {
+  return {
+    name: span.name,
+    startedAt: span.startedAt,
+    durationMs: span.durationMs,
+    attributes: span.attributes,
+    ...(span.error ? { error: span.error } : {}),
+    children: span.children.map(serializeSpan)
+  };
+}
+
+/**
+ * Span tree of a recent request
+ * @param {string} requestId - Request ID
+ * @returns {Object|null} { requestId, parentRequestId, linkedRequests, droppedSpans, root }
+ */
+function getTrace(requestId) {
+  const trace = traces.get(requestId);
+  if (!trace) return null;
+  return {
+    requestId: trace.requestId,
+    parentRequestId: trace.parentRequestId,
+    linkedRequests: trace.linkedRequests,
+    droppedSpans: trace.droppedSpans,
+    root: serializeSpan(trace.root)
+  };
+}
+
+/**
+ * Recent requests, newest first
+ * @param {number} limit - Max requests
+ * @returns {Array<Object>} { requestId, name, startedAt, durationMs, status, spans }
+ */
+function listTraces(limit = 50) {
+  return [...traces.values()].reverse().slice(0, limit).map(trace => ({
+    requestId: trace.requestId,
+    name: trace.root.name,
+    startedAt: trace.root.startedAt,
+    durationMs: trace.root.durationMs,
+    status: trace.root.attributes.status ?? null,
+    spans: trace.spanCount
+  }));
+}
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  middleware,
+  linkParentRequest,
+  getRequestId,
+  getHeaders,
+  withSpan,
+  getTrace,
+  listTraces
+};
@@ -0,0 +1,314 @@
+/**
+ * Search Index - In-memory inverted index over the catalog
+ *
+ * Built once per database load (databaseLoader.buildIndices) so a search only
+ * touches the items that share a term with the query instead of scanning the
+ * whole catalog. Matching is forgiving:
+ * 1. Romaji normalization - long vowels and doubled consonants are collapsed
+ *    ("kyonyuu" = "kyonyu", "oppai" = "opai", "shoujo" = "shojo", "ō" = "o")
+ * 2. Prefix matching - "mama" finds "mamas"
+ * 3. Fuzzy matching - typos within a small edit distance, via a trigram index
+ * 4. Alternate titles - every provider's slug is indexed as a title
+ * Every query word still has to match somewhere in the item; particles and
+ * articles ("to", "no", "the") are ignored in multi-word queries.
+ */
+
+const { levenshteinDistance } = require('./catalogAggregator');
+
+// Field bits stored per posting
+const FIELDS = {
+  TITLE: 1,
+  ALT_TITLE: 2,
+  STUDIO: 4,
+  GENRE: 8,
+  DESCRIPTION: 16
+};
+
+// Points for a query word matching a term in each field
+const FIELD_WEIGHTS = {
+  [FIELDS.TITLE]: 50,
+  [FIELDS.ALT_TITLE]: 40,
+  [FIELDS.STUDIO]: 60,
+  [FIELDS.GENRE]: 30,
+  [FIELDS.DESCRIPTION]: 5
+};
+
+// Multiplier for how closely the query word matched the term
+const MATCH_QUALITY = {
+  exact: 1,
+  prefix: 0.5,
+  fuzzy: 0.4
+};
+
+// Fuzzy matching only kicks in for words this long (shorter ones match too much)
+const MIN_FUZZY_LENGTH = 4;
+
+// Particles and articles ignored in multi-word queries ("kaede to suzu", "the animation")
+// - they would match most of the catalog through prefixes and descriptions
+const STOPWORDS = new Set(['a', 'an', 'the', 'of', 'and', 'in', 'on', 'to', 'no', 'wa', 'ga', 'wo', 'ni', 'de', 'na', 'e']);
+
+/**
+ * Normalize a single word for indexing/querying
+ * Strips diacritics and collapses romaji spelling variants
+ * @param {string} word - Lowercase word
+ * @returns {string}
+ */
+function normalizeWord(word) {
+  return word
+    .replace(/ou/g, 'o')
+    .replace(/([aeiou])\1+/g, '$1')
+    .replace(/([b-df-hj-np-tv-z])\1+/g, '$1');
+}
+
+/**
+ * Split text into normalized words
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  if (!text) return [];
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map(normalizeWord);
+}
+
+/**
+ * Words a query has to match
+ * Stopwords are dropped unless the query consists of nothing else
+ * @param {string} query - Raw user query
+ * @returns {Array<string>} Unique normalized words
+ */
+function queryWords(query) {
+  const words = [...new Set(tokenize(query))];
+  const significant = words.filter(word => !STOPWORDS.has(word));
+  return significant.length > 0 ? significant : words;
+}
+
+/**
+ * Padded trigrams of a word ("opai" → "$op", "opa", "pai", "ai$")
+ */
+function trigrams(word) {
+  const padded = `$${word}$`;
+  const result = [];
+  for (let i = 0; i <= padded.length - 3; i++) {
+    result.push(padded.substring(i, i + 3));
+  }
+  return result;
+}
+
+/**
+ * Allowed edit distance for a query word of this length
+ */
+function maxEditDistance(word) {
+  if (word.length < MIN_FUZZY_LENGTH) return 0;
+  return word.length <= 7 ? 1 : 2;
+}
+
+class SearchIndex {
+  /**
+   * @param {Array} items - Catalog entries
+   */
+  constructor(items = []) {
+    this.items = items;
+    // term → Map<item index, field bits>
+    this.postings = new Map();
+    // trigram → Set<term> (title/studio/genre terms only - descriptions are too noisy to fuzz)
+    this.trigramIndex = new Map();
+    // Sorted vocabulary for prefix lookups
+    this.vocabulary = [];
+    // Per item: normalized phrases for whole-query bonuses
+    this.phrases = [];
+
+    this.build();
+  }
+
+  /**
+   * Index every item
+   */
+  build() {
+    this.items.forEach((item, index) => {
+      const titles = [tokenize(item.name)];
+      const altTitles = [
+        ...(Array.isArray(item.altTitles) ? item.altTitles : []),
+        ...Object.values(item.providerSlugs || {})
+      ].map(tokenize);
+
+      this.addTerms(index, titles[0], FIELDS.TITLE);
+      for (const tokens of altTitles) this.addTerms(index, tokens, FIELDS.ALT_TITLE);
+      this.addTerms(index, tokenize(item.studio), FIELDS.STUDIO);
+      for (const genre of item.genres || []) this.addTerms(index, tokenize(genre), FIELDS.GENRE);
+      this.addTerms(index, tokenize(item.description), FIELDS.DESCRIPTION);
+
+      this.phrases.push({
+        titles: [...new Set([...titles, ...altTitles].map(tokens => tokens.join(' ')).filter(Boolean))],
+        studio: tokenize(item.studio).join(' '),
+        genres: (item.genres || []).map(genre => tokenize(genre).join(' '))
+      });
+    });
+
+    for (const [term, postings] of this.postings) {
+      const fuzzable = [...postings.values()].some(fields => fields !== FIELDS.DESCRIPTION);
+      if (!fuzzable) continue;
+      for (const gram of trigrams(term)) {
+        if (!this.trigramIndex.has(gram)) this.trigramIndex.set(gram, new Set());
+        this.trigramIndex.get(gram).add(term);
+      }
+    }
+
+    this.vocabulary = [...this.postings.keys()].sort();
+  }
+
+  addTerms(index, tokens, field) {
+    for (const term of tokens) {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      const postings = this.postings.get(term);
+      postings.set(index, (postings.get(index) || 0) | field);
+    }
+  }
+
+  /**
+   * Find the index terms a query word matches
+   * @param {string} word - Normalized query word
+   * @returns {Array<{term: string, quality: string}>}
+   */
+  expandWord(word) {
+    const matches = new Map();
+    if (this.postings.has(word)) matches.set(word, 'exact');
+
+    // Prefix matches: binary search to the first term >= word, then walk
+    // (single letters would match half the vocabulary)
+    if (word.length >= 2) {
+      let low = 0;
+      let high = this.vocabulary.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (this.vocabulary[mid] < word) low = mid + 1;
+        else high = mid;
+      }
+      for (let i = low; i < this.vocabulary.length && this.vocabulary[i].startsWith(word); i++) {
+        if (!matches.has(this.vocabulary[i])) matches.set(this.vocabulary[i], 'prefix');
+      }
+    }
+
+    // Fuzzy matches: candidates share enough trigrams, then confirm with edit distance
+    const maxDistance = maxEditDistance(word);
+    if (maxDistance > 0) {
+      const grams = trigrams(word);
+      const shared = new Map();
+      for (const gram of grams) {
+        for (const term of this.trigramIndex.get(gram) || []) {
+          shared.set(term, (shared.get(term) || 0) + 1);
+        }
+      }
+      // Each edit destroys at most 3 trigrams
+      const minShared = Math.max(1, grams.length - 3 * maxDistance);
+      for (const [term, count] of shared) {
+        if (count < minShared || matches.has(term)) continue;
+        if (Math.abs(term.length - word.length) > maxDistance) continue;
+        if (levenshteinDistance(term, word) <= maxDistance) {
+          matches.set(term, 'fuzzy');
+        }
+      }
+    }
+
+    return [...matches].map(([term, quality]) => ({ term, quality }));
+  }
+
+  /**
+   * Search the index
+   * Every query word (stopwords aside) has to match the item in some field.
+   * @param {string} query - Raw user query
+   * @param {Object} options - { limit }
+   * @returns {{ results: Array<{item: Object, score: number}>, total: number }}
+   */
+  search(query, options = {}) {
+    const { limit = 50 } = options;
+    const words = queryWords(query);
+    if (words.length === 0) return { results: [], total: 0 };
+
+    // item index → { score, titleWords, matchedWords }
+    const candidates = new Map();
+
+    for (const [wordIndex, word] of words.entries()) {
+      // Best match of this word per item (a word only counts once per item)
+      const best = new Map();
+      for (const { term, quality } of this.expandWord(word)) {
+        for (const [index, fields] of this.postings.get(term)) {
+          let score = 0;
+          for (const field of Object.values(FIELDS)) {
+            if (!(fields & field)) continue;
+            // Descriptions only count on exact words
+            if (field === FIELDS.DESCRIPTION && quality !== 'exact') continue;
+            score = Math.max(score, FIELD_WEIGHTS[field] * MATCH_QUALITY[quality]);
+          }
+          if (score === 0) continue;
+          const inTitle = Boolean(fields & (FIELDS.TITLE | FIELDS.ALT_TITLE));
+          const previous = best.get(index) || { score: 0, inTitle: false };
+          best.set(index, { score: Math.max(previous.score, score), inTitle: previous.inTitle || inTitle });
+        }
+      }
+
+      for (const [index, match] of best) {
+        // Items that missed an earlier word can't match every word any more
+        const candidate = candidates.get(index) || (wordIndex === 0 ? { score: 0, titleWords: 0, matchedWords: 0 } : null);
+        if (!candidate) continue;
+        candidate.score += match.score;
+        candidate.matchedWords++;
+        if (match.inTitle) candidate.titleWords++;
+        candidates.set(index, candidate);
+      }
+    }
+
+    // Phrase bonuses compare against the full query, stopwords included
+    const queryPhrase = tokenize(query).join(' ');
+    const scored = [];
+    for (const [index, candidate] of candidates) {
+      if (candidate.matchedWords < words.length) continue;
+      const phrases = this.phrases[index];
+      let score = candidate.score;
+
+      // Whole-query title matches (best of name and alternate titles)
+      if (phrases.titles.includes(queryPhrase)) {
+        score += 1000;
+      } else if (phrases.titles.some(title => title.startsWith(queryPhrase))) {
+        score += 500;
+      } else if (phrases.titles.some(title => title.includes(queryPhrase))) {
+        score += 200;
+      }
+
+      // Every query word found in the title (in any order)
+      if (words.length > 1 && candidate.titleWords === words.length) {
+        score += 150;
+      }
+
+      if (phrases.studio && phrases.studio === queryPhrase) {
+        score += 300;
+      }
+      if (phrases.genres.includes(queryPhrase)) {
+        score += 80;
+      }
+
+      scored.push({ item: this.items[index], score });
+    }
+
+    // Highest score first, higher rated content as tiebreaker
+    scored.sort((a, b) => {
+      if (b.score !== a.score) return b.score - a.score;
+      return (b.item.rating || 0) - (a.item.rating || 0);
+    });
+
+    return { results: scored.slice(0, limit), total: scored.length };
+  }
+}
+
+module.exports = {
+  SearchIndex,
+  STOPWORDS,
+  tokenize,
+  queryWords,
+  normalizeWord
+};
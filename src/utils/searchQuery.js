@@ -0,0 +1,162 @@
+/**
+ * Search Query Parser - structured operators for the search catalog
+ *
+ * Supported syntax (combinable with free text, case-insensitive):
+ *   studio:"Queen Bee"     studio name (quote names with spaces)
+ *   genre:vanilla          genre, synonyms included (genre:ntr = Netorare)
+ *   -genre:ntr             any filter prefixed with "-" excludes instead
+ *   year:2020..2023        range (open ends allowed: year:2020..)
+ *   rating:>7              comparisons: > >= < <= = (plain value means =)
+ *   eps:>=2                episode count (alias: episodes)
+ *   provider:htv           provider code or name
+ *
+ * Tokens with an unknown field or an unusable value ("re:zero", "year:soon")
+ * are kept as free text, so they still match titles.
+ */
+
+const { genreMatcher } = require('./genreMatcher');
+
+// Field aliases → filter field
+const FIELD_ALIASES = {
+  studio: 'studio',
+  genre: 'genre',
+  genres: 'genre',
+  tag: 'genre',
+  year: 'year',
+  rating: 'rating',
+  eps: 'eps',
+  episodes: 'eps',
+  provider: 'provider'
+};
+
+const NUMERIC_FIELDS = ['year', 'rating', 'eps'];
+
+// Provider names accepted by provider: (codes as used in catalog entries)
+const PROVIDER_NAMES = {
+  hentaimama: 'hmm',
+  hentaisea: 'hse',
+  hentaitv: 'htv'
+};
+
+// field:value, field:"quoted value", "quoted free text" or a plain word
+const TOKEN_REGEX = /(-?)([a-z]+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/gi;
+
+/**
+ * Parse a numeric condition ("7", ">7", ">=2", "2020..2023", "2020..")
+ * @returns {Object|null} { min, max, minExclusive, maxExclusive } or null if invalid
+ */
+function parseNumericCondition(value) {
+  const range = value.match(/^(\d+(?:\.\d+)?)?\.\.(\d+(?:\.\d+)?)?$/);
+  if (range) {
+    if (range[1] === undefined && range[2] === undefined) return null;
+    return {
+      min: range[1] !== undefined ? parseFloat(range[1]) : -Infinity,
+      max: range[2] !== undefined ? parseFloat(range[2]) : Infinity
+    };
+  }
+
+  const comparison = value.match(/^(>=|<=|>|<|=)?(\d+(?:\.\d+)?)$/);
+  if (!comparison) return null;
+
+  const number = parseFloat(comparison[2]);
+  switch (comparison[1]) {
+    case '>': return { min: number, max: Infinity, minExclusive: true };
+    case '>=': return { min: number, max: Infinity };
+    case '<': return { min: -Infinity, max: number, maxExclusive: true };
+    case '<=': return { min: -Infinity, max: number };
+    default: return { min: number, max: number };
+  }
+}
+
+/**
+ * Parse a raw search query into free text and filters
+ * @param {string} query - Raw query
+ * @returns {{ text: string, filters: Array<Object> }}
+ */
+function parseSearchQuery(query) {
+  const textParts = [];
+  const filters = [];
+
+  for (const match of String(query || '').matchAll(TOKEN_REGEX)) {
+    const [token, negation, rawField, quotedValue, plainValue, quotedText, word] = match;
+
+    if (rawField === undefined) {
+      textParts.push(quotedText !== undefined ? quotedText : word);
+      continue;
+    }
+
+    const field = FIELD_ALIASES[rawField.toLowerCase()];
+    const value = (quotedValue !== undefined ? quotedValue : plainValue).trim().toLowerCase();
+
+    let filter = null;
+    if (field && value) {
+      if (NUMERIC_FIELDS.includes(field)) {
+        const condition = parseNumericCondition(value);
+        if (condition) filter = { field, ...condition };
+      } else {
+        filter = { field, value };
+      }
+    }
+
+    if (filter) {
+      filter.negate = negation === '-';
+      filters.push(filter);
+    } else {
+      // Unknown field or unusable value - treat the token as plain text
+      textParts.push(quotedValue !== undefined ? `${rawField}:${quotedValue}` : token.replace(/^-/, ''));
+    }
+  }
+
+  return { text: textParts.join(' ').trim(), filters };
+}
+
+function inRange(number, { min, max, minExclusive, maxExclusive }) {
+  if (number === null || number === undefined || isNaN(number)) return false;
+  if (minExclusive ? number <= min : number < min) return false;
+  if (maxExclusive ? number >= max : number > max) return false;
+  return true;
+}
+
+/**
+ * Check a single (non-negated) filter against a series
+ */
+function matchesFilter(series, filter) {
+  switch (filter.field) {
+    case 'studio':
+      return Boolean(series.studio) && series.studio.toLowerCase().includes(filter.value);
+    case 'genre': {
+      const wanted = genreMatcher.normalize(genreMatcher.getCanonical(filter.value));
+      return (series.genres || []).some(genre =>
+        genreMatcher.normalize(genreMatcher.getCanonical(genre)) === wanted
+      );
+    }
+    case 'provider': {
+      const code = PROVIDER_NAMES[filter.value] || filter.value;
+      const providers = series.providers || [series.id?.split('-')[0]];
+      return providers.includes(code);
+    }
+    case 'year':
+      return inRange(parseInt(series.year, 10), filter);
+    case 'rating':
+      return !series.ratingIsNA && inRange(series.rating, filter);
+    case 'eps':
+      return inRange(series.episodes?.length || series.episodeCount || 0, filter);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Check a series against every parsed filter
+ * @param {Object} series - Catalog entry
+ * @param {Array<Object>} filters - From parseSearchQuery()
+ * @returns {boolean}
+ */
+function matchesSearchFilters(series, filters) {
+  return filters.every(filter => matchesFilter(series, filter) !== filter.negate);
+}
+
+module.exports = {
+  parseSearchQuery,
+  matchesSearchFilters
+};
@@ -19,6 +19,40 @@ function normalizeName(name) {
     .trim();
 }
 
+/**
+ * Extract search term from slug for fuzzy matching
+ * Used by the stream handler's search fallback and as the franchise key (franchise.js)
+ * "rance-01-hikari-o-motomete-the-animation-episode-1" -> "rance"
+ * "enjo-kouhai-episode-1" -> "enjo kouhai"
+ */
+function extractSearchTerm(slug) {
+  // Remove episode suffix
+  let clean = slug.replace(/-episode-\d+$/, '');
+  
+  // Remove common suffixes that may differ between providers
+  clean = clean
+    .replace(/-the-animation$/, '')
+    .replace(/-animation$/, '')
+    .replace(/-ova$/, '')
+    .replace(/-ona$/, '')
+    .replace(/-uncensored$/, '')
+    .replace(/-subbed$/, '')
+    .replace(/-dubbed$/, '');
+  
+  // Split by dash and take meaningful words
+  const words = clean.split('-').filter(w => w.length > 1);
+  
+  // For series with numbered titles like "rance-01", return just the name part
+  // But keep the number if it's part of the actual title
+  if (words.length >= 2 && /^\d+$/.test(words[1])) {
+    // Check if it looks like a version number (01, 02, etc.)
+    return words[0]; // Just return "rance"
+  }
+  
+  // Return first 3 words max for search (more specific = fewer false positives)
+  return words.slice(0, 3).join(' ');
+}
+
 /**
  * Convert HentaiMama series slug to OppaiStream episode slug
  * @param {string} hmSlug - HentaiMama slug (e.g., "kaede-to-suzu-the-animation-episode-1")
@@ -107,6 +141,7 @@ function getOppaiStreamSlug(hmSlug) {
 
 module.exports = {
   normalizeName,
+  extractSearchTerm,
   hentaiMamaToOppaiStream,
   getOppaiStreamSlug,
   MANUAL_MAPPINGS
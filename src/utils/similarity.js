@@ -0,0 +1,163 @@
+/**
+ * Similar Titles - "More like this" recommendations per series
+ *
+ * Computed once at database build time (build/update scripts) and stored on
+ * each entry as `similar` (canonical IDs, best first). Similarity combines:
+ * 1. Genres - genreMatcher scores (synonyms, parent/child hierarchies), rare
+ *    genres weighted higher than ones half the catalog carries
+ * 2. Exclusions - a pair with explicitly excluded genres (e.g. Yaoi/Yuri) is penalized
+ * 3. Same studio and nearby release year as smaller bonuses
+ */
+
+const { genreMatcher } = require('./genreMatcher');
+
+// Recommendations stored per series
+const DEFAULT_LIMIT = 10;
+
+// Minimum combined score (0-1) to be recommended at all
+const MIN_SCORE = 0.35;
+
+// Share of the combined score
+const WEIGHTS = {
+  genres: 0.75,
+  studio: 0.15,
+  year: 0.1
+};
+
+// Years apart at which the year bonus drops to 0
+const YEAR_WINDOW = 5;
+
+// Multiplier for pairs with an excluded genre combination
+const EXCLUSION_PENALTY = 0.5;
+
+// Genre score marker for an excluded pair (genreMatcher scores are 0-100)
+const EXCLUDED = 255;
+
+/**
+ * Compute the similar titles of every series
+ * Sets `item.similar` (array of canonical IDs) on each catalog entry
+ * @param {Array} catalog - Deduplicated catalog entries (with canonicalId)
+ * @param {Object} options - { limit }
+ * @returns {number} Number of series with at least one recommendation
+ */
+function computeSimilarSeries(catalog, options = {}) {
+  const { limit = DEFAULT_LIMIT } = options;
+  const count = catalog.length;
+
+  // Canonical genres → dense indices
+  const genreIndex = new Map();
+  const itemGenres = catalog.map(item => {
+    const indices = new Set();
+    for (const genre of item.genres || []) {
+      const canonical = genreMatcher.getCanonical(genre);
+      if (!canonical) continue;
+      if (!genreIndex.has(canonical)) genreIndex.set(canonical, genreIndex.size);
+      indices.add(genreIndex.get(canonical));
+    }
+    return [...indices];
+  });
+  const genres = [...genreIndex.keys()];
+  const genreCount = genres.length;
+
+  // Rare genres say more about a series than ubiquitous ones
+  const documentFrequency = new Array(genreCount).fill(0);
+  for (const indices of itemGenres) {
+    for (const g of indices) documentFrequency[g]++;
+  }
+  const genreWeight = documentFrequency.map(df => Math.log(1 + count / df));
+
+  // Pairwise genre scores (calculateScore is directional: parent → child scores higher)
+  const pairScores = new Uint8Array(genreCount * genreCount);
+  for (let a = 0; a < genreCount; a++) {
+    for (let b = 0; b < genreCount; b++) {
+      pairScores[a * genreCount + b] = genreMatcher.isExcluded(genres[a], genres[b])
+        ? EXCLUDED
+        : genreMatcher.calculateScore(genres[a], genres[b]);
+    }
+  }
+
+  // Per series: best score of every genre against the series' genres,
+  // so comparing two series costs one lookup per genre instead of genre × genre
+  const bestScores = new Uint8Array(count * genreCount);
+  const excludedGenres = new Uint8Array(count * genreCount);
+  itemGenres.forEach((indices, i) => {
+    const offset = i * genreCount;
+    for (const b of indices) {
+      for (let g = 0; g < genreCount; g++) {
+        const score = pairScores[g * genreCount + b];
+        if (score === EXCLUDED) {
+          excludedGenres[offset + g] = 1;
+        } else if (score > bestScores[offset + g]) {
+          bestScores[offset + g] = score;
+        }
+      }
+    }
+  });
+
+  const totalWeights = itemGenres.map(indices => indices.reduce((sum, g) => sum + genreWeight[g], 0));
+  const studios = catalog.map(item => (item.studio || '').toLowerCase().trim() || null);
+  const years = catalog.map(item => parseInt(item.year, 10) || null);
+
+  /**
+   * Weighted share of one series' genres covered by another's
+   */
+  function genreCoverage(from, to) {
+    const offset = to * genreCount;
+    let sum = 0;
+    let excluded = false;
+    for (const g of itemGenres[from]) {
+      sum += genreWeight[g] * bestScores[offset + g] / 100;
+      if (excludedGenres[offset + g]) excluded = true;
+    }
+    return { sum, excluded };
+  }
+
+  // Top recommendations per series, kept sorted by score (best first)
+  const topMatches = catalog.map(() => []);
+  const addMatch = (i, j, score) => {
+    const matches = topMatches[i];
+    if (matches.length === limit && score <= matches[limit - 1].score) return;
+    let position = matches.length;
+    while (position > 0 && matches[position - 1].score < score) position--;
+    matches.splice(position, 0, { index: j, score });
+    if (matches.length > limit) matches.pop();
+  };
+
+  for (let i = 0; i < count; i++) {
+    if (itemGenres[i].length === 0) continue;
+    for (let j = i + 1; j < count; j++) {
+      if (itemGenres[j].length === 0) continue;
+
+      const forward = genreCoverage(i, j);
+      const backward = genreCoverage(j, i);
+      if (forward.sum === 0 && backward.sum === 0) continue;
+
+      let score = WEIGHTS.genres * (forward.sum + backward.sum) / (totalWeights[i] + totalWeights[j]);
+      if (studios[i] && studios[i] === studios[j]) {
+        score += WEIGHTS.studio;
+      }
+      if (years[i] && years[j]) {
+        score += WEIGHTS.year * Math.max(0, 1 - Math.abs(years[i] - years[j]) / YEAR_WINDOW);
+      }
+      if (forward.excluded || backward.excluded) {
+        score *= EXCLUSION_PENALTY;
+      }
+
+      if (score < MIN_SCORE) continue;
+      addMatch(i, j, score);
+      addMatch(j, i, score);
+    }
+  }
+
+  let withMatches = 0;
+  catalog.forEach((item, i) => {
+    item.similar = topMatches[i].map(match => catalog[match.index].canonicalId || catalog[match.index].id);
+    if (item.similar.length > 0) withMatches++;
+  });
+
+  return withMatches;
+}
+
+module.exports = {
+  computeSimilarSeries
+};
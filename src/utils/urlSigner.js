@@ -0,0 +1,156 @@
+/**
+ * URL Signer - HMAC-signed, expiring URLs for /video-proxy and /image-proxy
+ *
+ * Without signatures both proxies are open relays. Handlers sign the exact
+ * query they emit (target URL included) plus an expiry; the proxy routes
+ * reject anything unsigned, expired or tampered with.
+ *
+ * Signed query: ?<params>&exp=<unix seconds>&kid=<key id>&sig=<base64url HMAC-SHA256>
+ *
+ * Key rotation:
+ * 1. Set the new secret as PROXY_SIGNING_SECRET
+ * 2. Move the old one to PROXY_SIGNING_SECRETS_PREVIOUS (comma-separated)
+ * 3. Remove it from there once the longest TTL (PROXY_IMAGE_TTL) has passed
+ * New URLs are always signed with the current secret; `kid` picks the key on verify.
+ */
+
+const crypto = require('crypto');
+const config = require('../config/env');
+const logger = require('./logger');
+const { getRequestId } = require('./requestContext');
+
+// Query params added by signing (never part of the signed payload)
+const SIGNATURE_PARAMS = ['exp', 'kid', 'sig'];
+
+/**
+ * Short, non-secret key identifier
+ */
+function keyId(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex').substring(0, 8);
+}
+
+let currentSecret = config.proxy.signingSecret;
+if (!currentSecret) {
+  // Works for a single instance, but every restart invalidates previously issued URLs
+  currentSecret = crypto.randomBytes(32).toString('hex');
+  logger.warn('[UrlSigner] PROXY_SIGNING_SECRET not set - using a random per-process secret');
+}
+
+// kid → secret for every key still accepted
+const secrets = new Map();
+secrets.set(keyId(currentSecret), currentSecret);
+for (const previous of config.proxy.previousSecrets) {
+  secrets.set(keyId(previous), previous);
+}
+const currentKid = keyId(currentSecret);
+
+/**
+ * Canonical payload: route + sorted, percent-encoded params + expiry
+ * Encoding keeps '&' and '=' inside values from forging other pairs
+ * (url=a&b=c must not sign the same as url=a + b=c)
+ */
+function buildPayload(route, params, exp) {
+  const canonical = Object.keys(params)
+    .filter(key => !SIGNATURE_PARAMS.includes(key))
+    .sort()
+    .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`)
+    .join('&');
+  return `${route}\n${canonical}\n${exp}`;
+}
+
+function hmac(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * Build a signed proxy URL
+ * @param {string} route - Proxy route, e.g. '/video-proxy'
+ * @param {Object} params - Query params to bind (e.g. { jwplayer: url })
+ * @param {number} ttl - Seconds until the URL expires
+ * @returns {string} Absolute signed URL
+ */
+function signUrl(route, params, ttl) {
+  const exp = Math.floor(Date.now() / 1000) + ttl;
+  const query = new URLSearchParams(params);
+  query.set('exp', String(exp));
+  query.set('kid', currentKid);
+  query.set('sig', hmac(currentSecret, buildPayload(route, params, exp)));
+  return `${config.server.baseUrl}${route}?${query.toString()}`;
+}
+
+/**
+ * Verify a signed request
+ * @param {string} route - Proxy route the request came in on
+ * @param {Object} query - Parsed query (req.query)
+ * @returns {{ valid: boolean, reason?: string }}
+ */
+function verify(route, query) {
+  const { exp, kid, sig } = query || {};
+  if (!exp || !kid || !sig) {
+    return { valid: false, reason: 'unsigned' };
+  }
+
+  // Repeated (?url=a&url=b) or nested params parse to arrays/objects - we never sign those
+  if (Object.values(query).some(value => typeof value !== 'string')) {
+    return { valid: false, reason: 'malformed query' };
+  }
+
+  const expSeconds = parseInt(exp, 10);
+  if (!Number.isFinite(expSeconds) || expSeconds < Date.now() / 1000) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  const secret = secrets.get(String(kid));
+  if (!secret) {
+    return { valid: false, reason: 'unknown key' };
+  }
+
+  const expected = Buffer.from(hmac(secret, buildPayload(route, query, exp)));
+  const actual = Buffer.from(String(sig));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, reason: 'bad signature' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Express middleware rejecting unsigned/expired/tampered proxy requests
+ * @param {string} route - Proxy route, e.g. '/image-proxy'
+ */
+function requireSignature(route) {
+  return (req, res, next) => {
+    const result = verify(route, req.query);
+    if (!result.valid) {
+      logger.debug(`[UrlSigner] Rejected ${route}: ${result.reason}`);
+      return res.status(403).send(`Invalid signature (${result.reason})`);
+    }
+    next();
+  };
+}
+
+/**
+ * Signed /video-proxy URL
+ * Carries the ID of the request that issued it (rid) so the player's hits link back to it
+ * @param {Object} params - e.g. { jwplayer: url } or { url, ref }
+ */
+function signVideoProxyUrl(params) {
+  const requestId = getRequestId();
+  return signUrl('/video-proxy', requestId ? { ...params, rid: requestId } : params, config.proxy.videoTtl);
+}
+
+/**
+ * Signed /image-proxy URL
+ * @param {string} imageUrl - Image to proxy
+ */
+function signImageProxyUrl(imageUrl) {
+  return signUrl('/image-proxy', { url: imageUrl }, config.proxy.imageTtl);
+}
+
+module.exports = {
+  signUrl,
+  verify,
+  requireSignature,
+  signVideoProxyUrl,
+  signImageProxyUrl
+};
@@ -0,0 +1,341 @@
+/**
+ * User Store - per-user favourites and watch history (opt-in)
+ *
+ * Users opt in with a random token in their path config (ut=...), created by
+ * the configure page. The token is the only credential, so it is never stored:
+ * entries are keyed by its SHA-256 hash.
+ *
+ * Data lives in memory and is written to a JSON file (USER_STORE_PATH) shortly
+ * after each change. Writes go to a temp file first, then rename, so a crash
+ * never leaves a half-written store.
+ *
+ * File format:
+ *   { version: 1, users: { <token hash>: { favourites: [{ id, addedAt }],
+ *                                          history: [{ id, episode, watchedAt }],
+ *                                          updatedAt } } }
+ * Both lists are newest first; history keeps one entry (the last episode) per series.
+ *
+ * Anyone can make up a token, so creating users is bounded: at most
+ * config.users.maxNewUsersPerIp new users per client IP and hour, and once
+ * config.users.maxUsers is reached only users idle for config.users.inactiveDays
+ * make room - active users are never dropped, new ones are refused instead.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/env');
+const logger = require('./logger');
+
+// Tokens are generated by the configure page (URL-safe, 16-64 chars)
+const TOKEN_REGEX = /^[A-Za-z0-9_-]{16,64}$/;
+
+// Delay before changes are written to disk (batches bursts of stream requests)
+const SAVE_DELAY_MS = 2000;
+
+// Window for the per-IP new user limit
+const NEW_USER_WINDOW_MS = 60 * 60 * 1000;
+
+// Minimum time between sweeps for idle users while the store is full
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Thrown when a new user can't be created (status is the HTTP status to answer with)
+ */
+class UserLimitError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Check if a user token is well-formed
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isValidToken(token) {
+  return typeof token === 'string' && TOKEN_REGEX.test(token);
+}
+
+class UserStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || config.users.storePath;
+    this.maxFavourites = options.maxFavourites || config.users.maxFavourites;
+    this.maxHistory = options.maxHistory || config.users.maxHistory;
+    this.maxUsers = options.maxUsers || config.users.maxUsers;
+    this.inactiveMs = (options.inactiveDays || config.users.inactiveDays) * 24 * 60 * 60 * 1000;
+    this.maxNewUsersPerIp = options.maxNewUsersPerIp || config.users.maxNewUsersPerIp;
+
+    // token hash → user record (loaded on first use)
+    this.users = null;
+    this.saveTimer = null;
+
+    // client IP → { windowStart, count } of users created in the current window
+    this.newUsersByIp = new Map();
+    this.lastSweep = 0;
+  }
+
+  /**
+   * Load the store from disk (once)
+   */
+  load() {
+    if (this.users) return;
+    this.users = new Map();
+
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        for (const [hash, user] of Object.entries(data.users || {})) {
+          this.users.set(hash, user);
+        }
+        logger.info(`[UserStore] Loaded ${this.users.size} users from ${this.filePath}`);
+      }
+    } catch (error) {
+      logger.error(`[UserStore] Failed to load ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write the store to disk after SAVE_DELAY_MS (changes in between are batched)
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, SAVE_DELAY_MS);
+    // Don't keep the process alive just to save
+    this.saveTimer.unref?.();
+  }
+
+  /**
+   * Write the store to disk now
+   */
+  save() {
+    if (!this.users) return;
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify({ version: 1, users: Object.fromEntries(this.users) }));
+      fs.renameSync(tempPath, this.filePath);
+      logger.debug(`[UserStore] Saved ${this.users.size} users`);
+    } catch (error) {
+      logger.error(`[UserStore] Failed to save ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Write pending changes before the process exits
+   */
+  shutdown() {
+    if (this.saveTimer) this.save();
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Get a user's record
+   * @param {string} token - User token
+   * @param {boolean} create - Create the record if it doesn't exist
+   * @param {string|null} clientIp - Caller's IP (for the new user limit)
+   * @returns {Object|null}
+   * @throws {UserLimitError} If a new user can't be created
+   */
+  getUser(token, create = false, clientIp = null) {
+    if (!isValidToken(token)) return null;
+    this.load();
+
+    const hash = this.hashToken(token);
+    let user = this.users.get(hash);
+    if (!user && create) {
+      this.checkCanCreate(clientIp);
+      user = { favourites: [], history: [], updatedAt: new Date().toISOString() };
+      this.users.set(hash, user);
+    }
+    return user || null;
+  }
+
+  /**
+   * Check the per-IP and total user limits before creating a user (counts the creation)
+   * @throws {UserLimitError}
+   */
+  checkCanCreate(clientIp) {
+    const now = Date.now();
+    let window = clientIp ? this.newUsersByIp.get(clientIp) : null;
+    if (window && now - window.windowStart >= NEW_USER_WINDOW_MS) window = null;
+    if (window && window.count >= this.maxNewUsersPerIp) {
+      throw new UserLimitError('Too many new user tokens from this address, try again later', 429);
+    }
+
+    if (this.users.size >= this.maxUsers && this.evictInactiveUsers() === 0) {
+      logger.warn(`[UserStore] Store full (${this.users.size} users) - refusing new user`);
+      throw new UserLimitError('User store is full', 503);
+    }
+
+    if (clientIp) {
+      if (!window) {
+        this.sweepNewUserWindows(now);
+        window = { windowStart: now, count: 0 };
+        this.newUsersByIp.set(clientIp, window);
+      }
+      window.count++;
+    }
+  }
+
+  /**
+   * Forget per-IP windows that have ended
+   */
+  sweepNewUserWindows(now) {
+    for (const [ip, window] of this.newUsersByIp) {
+      if (now - window.windowStart >= NEW_USER_WINDOW_MS) this.newUsersByIp.delete(ip);
+    }
+  }
+
+  /**
+   * Drop every user idle for longer than inactiveDays
+   * One pass over the store, at most once per SWEEP_INTERVAL_MS
+   * @returns {number} Number of users dropped
+   */
+  evictInactiveUsers() {
+    const now = Date.now();
+    if (now - this.lastSweep < SWEEP_INTERVAL_MS) return 0;
+    this.lastSweep = now;
+
+    let evicted = 0;
+    for (const [hash, user] of this.users) {
+      const time = new Date(user.updatedAt).getTime() || 0;
+      if (now - time > this.inactiveMs) {
+        this.users.delete(hash);
+        evicted++;
+      }
+    }
+    if (evicted > 0) {
+      logger.info(`[UserStore] Dropped ${evicted} users inactive for over ${Math.round(this.inactiveMs / 86400000)} days`);
+      this.scheduleSave();
+    }
+    return evicted;
+  }
+
+  touch(user) {
+    user.updatedAt = new Date().toISOString();
+    this.scheduleSave();
+  }
+
+  /**
+   * Get a user's favourites, newest first
+   * @param {string} token - User token
+   * @returns {Array<{id: string, addedAt: string}>}
+   */
+  getFavourites(token) {
+    return this.getUser(token)?.favourites || [];
+  }
+
+  /**
+   * Add a series to a user's favourites
+   * @param {string} token - User token
+   * @param {string} seriesId - Series ID
+   * @param {string|null} clientIp - Caller's IP (for the new user limit)
+   * @returns {boolean} True if added, false if it already was a favourite (or invalid)
+   * @throws {UserLimitError} If the token is new and no user can be created
+   */
+  addFavourite(token, seriesId, clientIp = null) {
+    const user = this.getUser(token, true, clientIp);
+    if (!user || !seriesId) return false;
+    if (user.favourites.some(fav => fav.id === seriesId)) return false;
+
+    user.favourites.unshift({ id: seriesId, addedAt: new Date().toISOString() });
+    user.favourites.length = Math.min(user.favourites.length, this.maxFavourites);
+    this.touch(user);
+    return true;
+  }
+
+  /**
+   * Remove a series from a user's favourites
+   * @param {string} token - User token
+   * @param {string} seriesId - Series ID
+   * @returns {boolean} True if it was removed
+   */
+  removeFavourite(token, seriesId) {
+    const user = this.getUser(token);
+    if (!user) return false;
+
+    const before = user.favourites.length;
+    user.favourites = user.favourites.filter(fav => fav.id !== seriesId);
+    if (user.favourites.length === before) return false;
+
+    this.touch(user);
+    return true;
+  }
+
+  /**
+   * Get a user's watch history (last episode per series), most recent first
+   * @param {string} token - User token
+   * @returns {Array<{id: string, episode: number, watchedAt: string}>}
+   */
+  getHistory(token) {
+    return this.getUser(token)?.history || [];
+  }
+
+  /**
+   * Get the series a user follows (favourites and watched series) with their last visit
+   * @param {string} token - User token
+   * @returns {Map<string, number>} Series ID → time (ms) the user last added or watched it
+   */
+  getFollowedSeries(token) {
+    const followed = new Map();
+    const user = this.getUser(token);
+    if (!user) return followed;
+
+    for (const entry of [...user.favourites.map(fav => ({ id: fav.id, at: fav.addedAt })),
+                         ...user.history.map(item => ({ id: item.id, at: item.watchedAt }))]) {
+      const time = new Date(entry.at).getTime() || 0;
+      if (!followed.has(entry.id) || time > followed.get(entry.id)) {
+        followed.set(entry.id, time);
+      }
+    }
+    return followed;
+  }
+
+  /**
+   * Record that a user got streams for an episode
+   * New tokens over the user limits are skipped (streams still work without history)
+   * @param {string} token - User token
+   * @param {string} seriesId - Series ID
+   * @param {number} episode - Episode number
+   * @param {string|null} clientIp - Caller's IP (for the new user limit)
+   */
+  recordWatch(token, seriesId, episode, clientIp = null) {
+    let user;
+    try {
+      user = this.getUser(token, true, clientIp);
+    } catch (error) {
+      if (!(error instanceof UserLimitError)) throw error;
+      logger.debug(`[UserStore] Not recording watch: ${error.message}`);
+      return;
+    }
+    if (!user || !seriesId) return;
+
+    user.history = user.history.filter(entry => entry.id !== seriesId);
+    user.history.unshift({ id: seriesId, episode, watchedAt: new Date().toISOString() });
+    user.history.length = Math.min(user.history.length, this.maxHistory);
+    this.touch(user);
+  }
+}
+
+// Singleton instance
+const userStore = new UserStore();
+
+module.exports = {
+  UserStore,
+  UserLimitError,
+  userStore,
+  isValidToken
+};
@@ -0,0 +1,335 @@
+/**
+ * Video Proxy - /video-proxy for HentaiSea's IP-restricted videos
+ *
+ * Resolves a FRESH authenticated video URL (jwplayer page or episode page) and
+ * streams it with the Referer the origin expects:
+ * - progressive files are piped with Range forwarding
+ * - HLS playlists are rewritten so variants, segments and keys come back through the proxy
+ * - resolved URLs are cached until their token nears expiry; a 403 from the
+ *   origin resolves a fresh URL once and retries
+ */
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const cache = require('../cache');
+const logger = require('./logger');
+const requestContext = require('./requestContext');
+const { signVideoProxyUrl } = require('./urlSigner');
+const { isHlsManifest, rewriteManifest } = require('./hls');
+
+const VIDEO_PROXY_REFERER = 'https://hentaisea.com/';
+const VIDEO_PROXY_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+/**
+ * Build the signed /video-proxy?url= URL for a playlist URI
+ * The Referer is part of the signed params, so sub-resources keep the right one
+ */
+function toHlsProxyUrl(originUrl, referer) {
+  return signVideoProxyUrl({ url: originUrl, ref: referer });
+}
+
+/**
+ * Proxy a video resource with the given Referer
+ * Progressive files are piped with Range forwarding; HLS playlists are
+ * buffered and rewritten so variants, segments and keys also go through the proxy.
+ */
+async function proxyVideo(videoUrl, referer, req, res) {
+  const range = req.headers.range;
+
+  const videoResponse = await requestContext.withSpan('upstream video', { host: new URL(videoUrl).host, range: range || null }, async (span) => {
+    const response = await axios({
+      method: 'get',
+      url: videoUrl,
+      responseType: 'stream',
+      headers: {
+        'Referer': referer,
+        'User-Agent': VIDEO_PROXY_USER_AGENT,
+        ...(range ? { 'Range': range } : {})
+      },
+    });
+    span.attributes.status = response.status;
+    return response;
+  });
+
+  const contentType = videoResponse.headers['content-type'] || '';
+
+  // HLS playlist - rewrite URIs through the proxy (never cached, tokens rotate)
+  if (isHlsManifest(videoUrl, contentType)) {
+    let body = '';
+    videoResponse.data.setEncoding('utf8');
+    for await (const chunk of videoResponse.data) {
+      body += chunk;
+    }
+    // Redirects change the base for relative URIs
+    const manifestUrl = videoResponse.request?.res?.responseUrl || videoUrl;
+    const rewritten = rewriteManifest(body, manifestUrl, uri => toHlsProxyUrl(uri, referer));
+
+    logger.debug(`Video proxy: Rewrote HLS playlist (${body.length} bytes)`);
+    res.writeHead(200, {
+      'Content-Type': 'application/vnd.apple.mpegurl',
+      'Cache-Control': 'no-cache',
+    });
+    res.end(rewritten);
+    return;
+  }
+
+  // Forward relevant headers
+  const headers = {
+    'Content-Type': contentType || 'video/mp4',
+    'Accept-Ranges': 'bytes',
+  };
+  
+  if (videoResponse.headers['content-length']) {
+    headers['Content-Length'] = videoResponse.headers['content-length'];
+  }
+  if (videoResponse.headers['content-range']) {
+    headers['Content-Range'] = videoResponse.headers['content-range'];
+  }
+  
+  // Set status based on whether it's a range request
+  const status = videoResponse.status === 206 ? 206 : 200;
+  
+  res.writeHead(status, headers);
+  videoResponse.data.pipe(res);
+}
+
+/**
+ * Thrown when the HentaiSea video URL can't be resolved (message is sent to the client)
+ */
+class VideoResolveError extends Error {}
+
+/**
+ * Resolve the authenticated HentaiSea video URL (2-4 upstream round trips)
+ * @returns {Promise<string|undefined>} Video URL, undefined if the page had none
+ */
+async function resolveHentaiseaVideoUrl(jwplayerUrl, episodeId) {
+  let videoUrl;
+  
+  // If we have a jwplayer URL, fetch fresh auth token from it
+  if (jwplayerUrl) {
+    logger.debug(`Video proxy: Fetching fresh auth from jwplayer...`);
+    
+    try {
+      const jwResponse = await axios.get(jwplayerUrl, {
+        headers: {
+          'Referer': 'https://hentaisea.com/',
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+        }
+      });
+      
+      // Extract fresh authenticated URL
+      const fileMatch = jwResponse.data.match(/"file"\s*:\s*"([^"]+)"/);
+      if (fileMatch) {
+        videoUrl = fileMatch[1].replace(/\\\//g, '/');
+        logger.debug(`Video proxy: Got fresh URL`);
+      }
+    } catch (err) {
+      logger.error(`Video proxy: Failed to get jwplayer auth: ${err.message}`);
+      throw new VideoResolveError('Failed to get video authentication');
+    }
+  } 
+  // If we have an episode ID, fetch the episode page and get jwplayer URL
+  else if (episodeId) {
+    logger.debug(`Video proxy: Fetching episode ${episodeId}...`);
+    
+    const slug = episodeId.replace(/^hse-/, '');
+    const episodeUrl = `https://hentaisea.com/episodes/${slug}/`;
+    
+    try {
+      const epResponse = await axios.get(episodeUrl, {
+        headers: {
+          'Referer': 'https://hentaisea.com/',
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+        }
+      });
+      
+      const $ = cheerio.load(epResponse.data);
+      
+      // Find the play button to get post ID
+      const playBtn = $('a.activador, a[data-num], .dooplay_player_option').first();
+      const postId = playBtn.attr('data-post') || $('[data-post]').first().attr('data-post');
+      const nume = playBtn.attr('data-nume') || playBtn.attr('data-num') || '1';
+      
+      if (postId) {
+        // Get the player via AJAX
+        const ajaxResponse = await axios.post('https://hentaisea.com/wp-admin/admin-ajax.php', 
+          `action=doo_player_ajax&post=${postId}&nume=${nume}&type=movie`,
+          {
+            headers: {
+              'Content-Type': 'application/x-www-form-urlencoded',
+              'Referer': episodeUrl,
+              'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+              'X-Requested-With': 'XMLHttpRequest'
+            }
+          }
+        );
+        
+        const responseData = typeof ajaxResponse.data === 'string' ? ajaxResponse.data : JSON.stringify(ajaxResponse.data);
+        
+        // Look for jwplayer URL
+        const jwMatch = responseData.match(/https:\/\/hentaisea\.com\/jwplayer\/\?[^"'\s<>]+/);
+        if (jwMatch) {
+          const jwUrl = jwMatch[0].replace(/\\u0026/g, '&').replace(/&amp;/g, '&');
+          
+          // Fetch jwplayer page for fresh auth
+          const jwResponse = await axios.get(jwUrl, {
+            headers: {
+              'Referer': 'https://hentaisea.com/',
+              'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+            }
+          });
+          
+          const fileMatch = jwResponse.data.match(/"file"\s*:\s*"([^"]+)"/);
+          if (fileMatch) {
+            videoUrl = fileMatch[1].replace(/\\\//g, '/');
+            logger.debug(`Video proxy: Got fresh URL from episode`);
+          }
+        }
+      }
+    } catch (err) {
+      logger.error(`Video proxy: Failed to fetch episode: ${err.message}`);
+      throw new VideoResolveError('Failed to fetch episode');
+    }
+  }
+  
+  return videoUrl;
+}
+
+// Resolved video URLs are reused until their token nears expiry (seeking = many Range requests)
+const VIDEO_URL_DEFAULT_TTL = 10 * 60; // 10 min when the URL carries no expiry
+const VIDEO_URL_EXPIRY_MARGIN = 60; // Refresh 1 min before the token expires
+const pendingVideoUrls = new Map();
+
+/**
+ * Read the token expiry (unix seconds) from a signed video URL, if present
+ */
+function getVideoUrlExpiry(videoUrl) {
+  try {
+    const params = new URL(videoUrl).searchParams;
+    for (const name of ['expires', 'Expires', 'exp', 'e', 'validto', 'valid_to']) {
+      const value = parseInt(params.get(name), 10);
+      if (Number.isFinite(value) && value > 0) {
+        return value > 1e12 ? Math.floor(value / 1000) : value; // ms → s
+      }
+    }
+  } catch {
+    // Not a parseable URL - fall back to the default TTL
+  }
+  return null;
+}
+
+/**
+ * Get the resolved video URL from cache, resolving (once) on a miss
+ * Concurrent Range requests for the same episode share one resolution.
+ * @param {boolean} forceRefresh - Skip the cache (origin rejected the cached URL)
+ */
+async function getResolvedVideoUrl(jwplayerUrl, episodeId, forceRefresh = false) {
+  const cacheKey = cache.key('video-url', jwplayerUrl || `episode:${episodeId}`);
+  
+  if (!forceRefresh) {
+    // Entries carry their own expiry - the disk tier doesn't enforce per-entry TTLs on get()
+    const cached = await cache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      logger.debug('Video proxy: Using cached video URL');
+      return cached.url;
+    }
+    if (pendingVideoUrls.has(cacheKey)) {
+      return pendingVideoUrls.get(cacheKey);
+    }
+  }
+  
+  const pending = (async () => {
+    const videoUrl = await requestContext.withSpan('resolve video URL', { jwplayer: Boolean(jwplayerUrl) }, async (span) => {
+      const resolved = await resolveHentaiseaVideoUrl(jwplayerUrl, episodeId);
+      span.attributes.resolved = Boolean(resolved);
+      return resolved;
+    });
+    if (videoUrl) {
+      const nowSeconds = Math.floor(Date.now() / 1000);
+      const expiry = getVideoUrlExpiry(videoUrl);
+      const ttl = expiry ? expiry - nowSeconds - VIDEO_URL_EXPIRY_MARGIN : VIDEO_URL_DEFAULT_TTL;
+      if (ttl > 0) {
+        await cache.set(cacheKey, { url: videoUrl, expiresAt: Date.now() + ttl * 1000 }, ttl);
+      }
+    }
+    return videoUrl;
+  })().finally(() => pendingVideoUrls.delete(cacheKey));
+  
+  pendingVideoUrls.set(cacheKey, pending);
+  return pending;
+}
+
+/**
+ * GET /video-proxy handler (mount behind requireSignature('/video-proxy'))
+ * ?jwplayer= or ?episodeId= resolves the episode's video URL; ?url=&ref= proxies
+ * a sub-resource of a playlist we rewrote
+ */
+async function handleVideoProxy(req, res) {
+  // Player hit from a URL a stream request handed out
+  requestContext.linkParentRequest(req.query.rid);
+
+  try {
+    const episodeId = req.query.episodeId;
+    const jwplayerUrl = req.query.jwplayer;
+    const resourceUrl = req.query.url;
+    
+    // HLS sub-resource (variant playlist, segment or key) from a playlist we rewrote
+    if (resourceUrl) {
+      return await proxyVideo(resourceUrl, req.query.ref || VIDEO_PROXY_REFERER, req, res);
+    }
+    
+    if (!episodeId && !jwplayerUrl) {
+      return res.status(400).send('Missing episodeId or jwplayer URL');
+    }
+    
+    let videoUrl;
+    try {
+      videoUrl = await getResolvedVideoUrl(jwplayerUrl, episodeId);
+    } catch (err) {
+      if (err instanceof VideoResolveError) {
+        return res.status(500).send(err.message);
+      }
+      throw err;
+    }
+    
+    if (!videoUrl) {
+      return res.status(404).send('Could not find video URL');
+    }
+    
+    // Now proxy the actual video
+    logger.debug(`Video proxy: Streaming video...`);
+    try {
+      await proxyVideo(videoUrl, VIDEO_PROXY_REFERER, req, res);
+    } catch (err) {
+      // Token expired or revoked early - resolve a fresh URL once and retry
+      if (err.response?.status !== 403 || res.headersSent) throw err;
+      
+      logger.debug('Video proxy: Origin returned 403, refreshing video URL');
+      try {
+        videoUrl = await getResolvedVideoUrl(jwplayerUrl, episodeId, true);
+      } catch (resolveErr) {
+        if (resolveErr instanceof VideoResolveError) {
+          return res.status(500).send(resolveErr.message);
+        }
+        throw resolveErr;
+      }
+      if (!videoUrl) {
+        return res.status(404).send('Could not find video URL');
+      }
+      await proxyVideo(videoUrl, VIDEO_PROXY_REFERER, req, res);
+    }
+    
+  } catch (error) {
+    logger.error('Video proxy error:', error.message);
+    if (!res.headersSent) {
+      res.status(500).send('Error fetching video');
+    }
+  }
+}
+
+module.exports = {
+  handleVideoProxy,
+  proxyVideo,
+  getResolvedVideoUrl,
+  VideoResolveError
+};
@@ -0,0 +1,324 @@
+/**
+ * Storage adapter contract (src/cache/adapters/index.js) against every backend,
+ * plus the CacheManager behaviour that depends on it:
+ * 1. get/set/del/keys/clear round trips (with tags), stale entries, stale-expired entries
+ * 2. Two instances on the same storage see each other's writes (shared backends)
+ * 3. Stale-while-revalidate through CacheManager.wrap, with one background refresh
+ *    per key however many requests arrive while it runs
+ * 4. Tag and namespace invalidation / listing through CacheManager
+ *
+ * Without REDIS_URL the redis adapter runs against an in-memory Redis stand-in
+ * (GET, SET PX, DEL, SCAN, AUTH, SELECT, QUIT). SQLite uses node:sqlite
+ * (Node.js 22.5+) or better-sqlite3 (optional dependency).
+ */
+
+process.env.CACHE_BACKEND = 'memory';
+process.env.LOG_LEVEL = 'error';
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { BACKENDS } = require('../src/cache/adapters');
+const { CacheManager } = require('../src/cache');
+const { parseReply } = require('../src/cache/adapters/redis');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+let tempDir;
+let redisUrl = process.env.REDIS_URL || null;
+let standIn = null;
+
+/**
+ * In-memory Redis stand-in - just the commands the redis adapter sends
+ */
+function startRedisStandIn() {
+  const data = new Map(); // key → { value, expiresAt }
+
+  const live = key => {
+    const entry = data.get(key);
+    if (entry && entry.expiresAt && Date.now() >= entry.expiresAt) {
+      data.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+  const globToRegex = pattern => new RegExp(`^${pattern
+    .replace(/\\(.)|([.+^${}()|])|(\*)|(\?)/g, (match, escaped, special, star) => {
+      if (escaped) return escaped.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      if (special) return `\\${special}`;
+      if (star) return '.*';
+      return '.';
+    })}$`);
+
+  const reply = {
+    ok: () => '+OK\r\n',
+    int: n => `:${n}\r\n`,
+    bulk: value => (value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`),
+    error: message => `-ERR ${message}\r\n`,
+  };
+
+  const handlers = {
+    PING: () => '+PONG\r\n',
+    AUTH: () => reply.ok(),
+    SELECT: () => reply.ok(),
+    GET: ([key]) => reply.bulk(live(key)?.value ?? null),
+    SET: ([key, value, ...options]) => {
+      const px = options.findIndex(option => option.toUpperCase() === 'PX');
+      data.set(key, { value, expiresAt: px >= 0 ? Date.now() + parseInt(options[px + 1], 10) : null });
+      return reply.ok();
+    },
+    DEL: keys => reply.int(keys.filter(key => live(key) && data.delete(key)).length),
+    // Returns everything in one batch (cursor 0) - real servers page, the adapter handles both
+    SCAN: ([, , pattern = '*']) => {
+      const regex = globToRegex(pattern);
+      const keys = [...data.keys()].filter(key => live(key) && regex.test(key));
+      return `*2\r\n${reply.bulk('0')}*${keys.length}\r\n${keys.map(reply.bulk).join('')}`;
+    },
+    QUIT: () => reply.ok(),
+  };
+
+  const server = net.createServer(socket => {
+    let buffer = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let command;
+      while (buffer.length > 0 && (command = parseReply(buffer))) {
+        buffer = buffer.subarray(command.offset);
+        const [name, ...args] = command.value;
+        const handler = handlers[name.toUpperCase()];
+        socket.write(handler ? handler(args) : reply.error(`unknown command '${name}'`));
+        if (name.toUpperCase() === 'QUIT') socket.end();
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, url: `redis://127.0.0.1:${server.address().port}/2` }));
+  });
+}
+
+beforeAll(async () => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hentaistream-cache-'));
+  if (!redisUrl) {
+    standIn = await startRedisStandIn();
+    redisUrl = standIn.url;
+  }
+});
+
+afterAll(async () => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+  if (standIn) await new Promise(resolve => standIn.server.close(resolve));
+});
+
+/**
+ * New adapter instance - instances of the same backend share the same storage
+ */
+function createAdapter(backend) {
+  const Adapter = require(`../src/cache/adapters/${backend}`);
+  return new Adapter({
+    maxItems: 100,
+    dir: path.join(tempDir, 'disk'),
+    sqlitePath: path.join(tempDir, 'cache.sqlite'),
+    redisUrl,
+    redisPrefix: 'hentaistream:contract:',
+  });
+}
+
+function entry(value, freshMs, staleMs) {
+  const now = Date.now();
+  return { value, expires: now + freshMs, staleUntil: now + staleMs };
+}
+
+/**
+ * CacheManager with a plain Map as its memory tier (so tests can empty it)
+ */
+function createManager(adapter) {
+  const memory = new Map();
+  const lru = {
+    get: key => memory.get(key) ?? null,
+    set: (key, value) => memory.set(key, value),
+    del: key => memory.delete(key),
+    flush: () => memory.clear(),
+    size: () => memory.size,
+    has: key => memory.has(key),
+    keys: () => [...memory.keys()],
+    getRemainingTTL: key => (memory.has(key) ? Infinity : 0),
+  };
+  return { manager: new CacheManager({ store: adapter, lru }), memory };
+}
+
+describe.each(BACKENDS)('%s adapter', (backend) => {
+  describe('contract', () => {
+    let adapter;
+
+    beforeAll(async () => {
+      adapter = createAdapter(backend);
+      await adapter.clear();
+    });
+
+    afterAll(async () => {
+      await adapter.clear();
+      await adapter.close();
+    });
+
+    test('get of a missing key is null', async () => {
+      expect(await adapter.get('hentaistream:missing:1')).toBeNull();
+    });
+
+    test('set/get round trips value, expires, staleUntil and tags', async () => {
+      const value = { name: 'Überraschung ♥', episodes: [1, 2, 3], nested: { ok: true, none: null } };
+      const stored = { ...entry(value, 60000, 360000), tags: ['series:hs-round-trip', 'provider:hmm'] };
+      await adapter.set('hentaistream:meta:round-trip', stored);
+      expect(await adapter.get('hentaistream:meta:round-trip')).toEqual(stored);
+
+      await adapter.set('hentaistream:meta:untagged', entry(1, 60000, 60000));
+      expect((await adapter.get('hentaistream:meta:untagged')).tags).toEqual([]);
+    });
+
+    test('set overwrites an existing entry', async () => {
+      await adapter.set('hentaistream:meta:overwrite', entry('old', 60000, 60000));
+      await adapter.set('hentaistream:meta:overwrite', entry('new', 60000, 60000));
+      expect((await adapter.get('hentaistream:meta:overwrite')).value).toBe('new');
+    });
+
+    test('entries past expires are still returned (stale)', async () => {
+      await adapter.set('hentaistream:stream:stale', entry('stale', -1000, 60000));
+      const got = await adapter.get('hentaistream:stream:stale');
+      expect(got.value).toBe('stale');
+      expect(got.expires).toBeLessThan(Date.now());
+    });
+
+    test('entries past staleUntil are gone', async () => {
+      await adapter.set('hentaistream:stream:gone', entry('gone', 50, 150));
+      await sleep(250);
+      expect(await adapter.get('hentaistream:stream:gone')).toBeNull();
+      expect(await adapter.keys('hentaistream:stream:gone')).toEqual([]);
+    });
+
+    test('del removes an entry', async () => {
+      await adapter.set('hentaistream:meta:del', entry(1, 60000, 60000));
+      await adapter.del('hentaistream:meta:del');
+      await adapter.del('hentaistream:meta:never-set');
+      expect(await adapter.get('hentaistream:meta:del')).toBeNull();
+    });
+
+    test('keys lists by prefix (including glob/LIKE characters)', async () => {
+      await adapter.clear();
+      const keys = ['hentaistream:catalog:top', 'hentaistream:catalog:100%_*?[x]', 'hentaistream:meta:hmm-1'];
+      for (const key of keys) await adapter.set(key, entry(key, 60000, 60000));
+
+      expect((await adapter.keys('hentaistream:catalog:')).sort()).toEqual(keys.slice(0, 2).sort());
+      expect(await adapter.keys('hentaistream:catalog:100%_*?[')).toEqual([keys[1]]);
+      expect(await adapter.keys('')).toHaveLength(3);
+    });
+
+    test('clear removes every entry', async () => {
+      await adapter.set('hentaistream:meta:clear', entry(1, 60000, 60000));
+      await adapter.clear();
+      expect(await adapter.get('hentaistream:meta:clear')).toBeNull();
+      expect(await adapter.keys('')).toEqual([]);
+    });
+
+    test('a second instance sees writes and deletes (shared backends)', async () => {
+      if (!adapter.shared) return;
+      const other = createAdapter(backend);
+      try {
+        await adapter.set('hentaistream:stream:shared', entry('from-a', 60000, 60000));
+        expect((await other.get('hentaistream:stream:shared')).value).toBe('from-a');
+        await other.del('hentaistream:stream:shared');
+        expect(await adapter.get('hentaistream:stream:shared')).toBeNull();
+      } finally {
+        await other.close();
+      }
+    });
+  });
+
+  describe('CacheManager', () => {
+    let adapter;
+
+    beforeAll(async () => {
+      adapter = createAdapter(backend);
+      await adapter.clear();
+    });
+
+    afterAll(async () => {
+      await adapter.clear();
+      await adapter.close();
+    });
+
+    test('wrap returns stale data and refreshes once in the background', async () => {
+      const { manager, memory } = createManager(adapter);
+      const key = 'hentaistream:catalog:swr';
+      await adapter.set(key, entry('stale', -1000, 60000));
+
+      let fetches = 0;
+      const fetchFresh = async () => {
+        fetches++;
+        await sleep(100);
+        return 'fresh';
+      };
+
+      const results = await Promise.all([1, 2, 3].map(() => manager.wrap(key, 60, fetchFresh)));
+      expect(results).toEqual(['stale', 'stale', 'stale']);
+      expect(manager.pendingRefreshes.size).toBe(1);
+
+      // A request arriving on the backend (another replica, cold memory) during the refresh
+      memory.clear();
+      expect(await manager.wrap(key, 60, fetchFresh)).toBe('stale');
+
+      await sleep(250);
+      expect(fetches).toBe(1);
+      expect(manager.pendingRefreshes.size).toBe(0);
+      const refreshed = await adapter.get(key);
+      expect(refreshed.value).toBe('fresh');
+      expect(refreshed.expires).toBeGreaterThan(Date.now());
+      // The stale window is kept after the refresh
+      expect(refreshed.staleUntil - refreshed.expires).toBeGreaterThanOrEqual(60 * 1000 * (manager.storeTTLMultiplier - 1) - 1000);
+
+      memory.clear();
+      expect(await manager.wrap(key, 60, fetchFresh)).toBe('fresh');
+      expect(fetches).toBe(1);
+    });
+
+    test('wrap fetches when the backend has nothing', async () => {
+      const { manager } = createManager(adapter);
+      const key = 'hentaistream:meta:cold';
+      await adapter.del(key);
+      expect(await manager.wrap(key, 60, async () => 'fetched')).toBe('fetched');
+      expect((await adapter.get(key)).value).toBe('fetched');
+    });
+
+    test('tags and namespaces invalidate entries in both tiers', async () => {
+      await adapter.clear();
+      const { manager, memory } = createManager(adapter);
+      await manager.set(manager.key('meta', 'hs-a'), 'a', 60, [manager.tag('series', 'hs-a'), manager.tag('provider', 'hmm')]);
+      await manager.set(manager.key('stream', 'hmm:a-episode-1'), 'a1', 60, [manager.tag('series', 'hs-a'), manager.tag('provider', 'hmm')]);
+      await manager.set(manager.key('meta', 'hs-b'), 'b', 60, [manager.tag('series', 'hs-b')]);
+      await manager.set(manager.key('search', 'hentai-search:b'), ['b'], 60, [manager.tag('catalog', 'hentai-search')]);
+
+      // Backend-only entry (memory tier of another replica / after a restart)
+      memory.delete(manager.key('stream', 'hmm:a-episode-1'));
+
+      const listed = await manager.listEntries({ tag: manager.tag('series', 'hs-a') });
+      expect(listed).toHaveLength(2);
+      for (const listedEntry of listed) {
+        expect(listedEntry.expiresIn).toBeGreaterThan(0);
+        expect(listedEntry.staleFor).toBeGreaterThanOrEqual(listedEntry.expiresIn);
+        expect(listedEntry.isStale).toBe(false);
+      }
+
+      const namespaces = await manager.getNamespaces();
+      expect(namespaces.meta).toMatchObject({ backend: 2, memory: 2 });
+
+      expect(await manager.invalidateTags([manager.tag('series', 'hs-a')])).toBe(2);
+      expect(await manager.get(manager.key('meta', 'hs-a'))).toBeNull();
+      expect(await adapter.get(manager.key('stream', 'hmm:a-episode-1'))).toBeNull();
+      expect(await manager.get(manager.key('meta', 'hs-b'))).toBe('b');
+
+      expect(await manager.invalidateNamespace('search')).toBe(1);
+      expect(await manager.listEntries({ namespace: 'search' })).toEqual([]);
+    });
+  });
+});
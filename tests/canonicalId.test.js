@@ -0,0 +1,41 @@
+const { assignCanonicalIds } = require('../src/utils/canonicalId');
+
+function catalog() {
+  return [
+    { id: 'htv-kanojo', providerSlugs: { htv: 'kanojo' } },
+    { id: 'hmm-kanojo-2', providerSlugs: { hmm: 'kanojo', hse: 'kanojo-2' } },
+    { id: 'hse-other', providerSlugs: { hse: 'other' } }
+  ];
+}
+
+function idsById(entries) {
+  return Object.fromEntries(entries.map(item => [item.id, item.canonicalId]));
+}
+
+describe('assignCanonicalIds', () => {
+  test('collision suffixes do not depend on catalog order', () => {
+    const forward = catalog();
+    const reversed = catalog().reverse();
+    expect(assignCanonicalIds(forward)).toBe(3);
+    assignCanonicalIds(reversed);
+
+    expect(idsById(forward)).toEqual({
+      'htv-kanojo': 'hs-kanojo-htv',
+      'hmm-kanojo-2': 'hs-kanojo',
+      'hse-other': 'hs-other'
+    });
+    expect(idsById(reversed)).toEqual(idsById(forward));
+  });
+
+  test('never changes an assigned ID', () => {
+    const entries = catalog();
+    entries[0].canonicalId = 'hs-kanojo';
+
+    expect(assignCanonicalIds(entries)).toBe(2);
+    expect(idsById(entries)).toEqual({
+      'htv-kanojo': 'hs-kanojo',
+      'hmm-kanojo-2': 'hs-kanojo-hmm',
+      'hse-other': 'hs-other'
+    });
+  });
+});
@@ -0,0 +1,19 @@
+process.env.LOG_LEVEL = 'error';
+
+const { snapshotCatalog, diffCatalog } = require('../src/utils/changeLog');
+
+describe('changeLog', () => {
+  test('records genres changed in place after the snapshot', () => {
+    const catalog = [{ id: 'hmm-a', canonicalId: 'hs-a', name: 'A', genres: ['Romance'], episodes: [{ number: 1 }] }];
+    const snapshot = snapshotCatalog(catalog);
+
+    catalog[0].genres.push('Comedy');
+    catalog[0].episodes.push({ number: 2 });
+
+    const run = diffCatalog(snapshot, catalog);
+    expect(run.metadataChanges).toEqual([
+      { id: 'hs-a', name: 'A', changes: [{ field: 'genres', from: ['Romance'], to: ['Romance', 'Comedy'] }] }
+    ]);
+    expect(run.newEpisodes).toEqual([{ id: 'hs-a', name: 'A', episodes: [2] }]);
+  });
+});
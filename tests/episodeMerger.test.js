@@ -0,0 +1,38 @@
+const { mergeEpisodeLists, getEpisodeNumber, getEpisodeListProvider } = require('../src/utils/episodeMerger');
+
+describe('episodeMerger', () => {
+  test('keeps episode 0', () => {
+    expect(getEpisodeNumber({ number: 0 })).toBe(0);
+    expect(getEpisodeNumber({ episodeNumber: '3' })).toBe(3);
+    expect(getEpisodeNumber({ title: 'OVA' })).toBe(1);
+  });
+
+  test('records only the providers whose lists have each episode', () => {
+    const merged = mergeEpisodeLists([
+      { episodes: [{ number: 1, title: 'A1' }, { number: 2, title: 'A2' }], provider: 'hmm' },
+      { episodes: [{ number: 2, title: 'B2' }, { number: 3, title: 'B3' }], provider: 'htv' }
+    ]);
+
+    expect(merged.map(ep => [ep.number, ep.providers])).toEqual([
+      [1, ['hmm']],
+      [2, ['hmm', 'htv']],
+      [3, ['htv']]
+    ]);
+    expect(merged[1].title).toBe('A2');
+  });
+
+  test('episodes from a list of unknown origin have no provider restriction', () => {
+    const merged = mergeEpisodeLists([
+      { episodes: [{ number: 1, providers: ['hse'] }, { number: 2 }], provider: null },
+      { episodes: [{ number: 2 }], provider: 'hmm' }
+    ]);
+
+    expect(merged.map(ep => ep.providers)).toEqual([['hse'], null]);
+  });
+
+  test('entries merged from several providers do not name a list provider', () => {
+    expect(getEpisodeListProvider({ id: 'hmm-foo' })).toBe('hmm');
+    expect(getEpisodeListProvider({ id: 'hs-foo', provider: 'htv', providers: ['htv'] })).toBe('htv');
+    expect(getEpisodeListProvider({ id: 'hmm-foo', providers: ['hmm', 'htv'] })).toBeNull();
+  });
+});
@@ -0,0 +1,87 @@
+const { assignFranchises, getFranchiseName, getFranchiseKey } = require('../src/utils/franchise');
+
+function franchisesOf(catalog) {
+  assignFranchises(catalog);
+  return Object.fromEntries(catalog.map(item => [item.name, item.franchise || null]));
+}
+
+describe('franchise detection', () => {
+  test('strips numbering, subtitles and format suffixes', () => {
+    expect(getFranchiseName('Rance 02 The Animation')).toBe('Rance');
+    expect(getFranchiseName('Kansen 5: The Daybreak')).toBe('Kansen');
+    expect(getFranchiseKey('Rance 01: Hikari o Motomete')).toBe('rance');
+  });
+
+  test('groups sequels of a series', () => {
+    expect(franchisesOf([
+      { id: 'hmm-kansen-2', name: 'Kansen 2: Inzai Toshi', year: 2006 },
+      { id: 'hmm-kansen-5', name: 'Kansen 5: The Daybreak', year: 2010 },
+      { id: 'hmm-kansen-ball-buster', name: 'Kansen: Ball Buster – The Animation', year: 2014 },
+      { id: 'hmm-other', name: 'Other', year: 2010 }
+    ])).toEqual({
+      'Kansen 2: Inzai Toshi': 'Kansen',
+      'Kansen 5: The Daybreak': 'Kansen',
+      'Kansen: Ball Buster – The Animation': 'Kansen',
+      Other: null
+    });
+  });
+
+  test('does not group titles that only share a label prefix', () => {
+    expect(franchisesOf([
+      { id: 'hse-umemaro-3d-mai', name: 'Umemaro 3D – Mai', studio: 'dodoro3D' },
+      { id: 'hse-umemaro-3d-aya', name: 'Umemaro 3D – Aya', studio: '3D Works' },
+      { id: 'hse-world-of-warcraft-arena', name: 'World of Warcraft Arena' },
+      { id: 'hse-world-of-warcraft-sylvanas', name: 'World of Warcraft Sylvanas Agreement' }
+    ])).toEqual({
+      'Umemaro 3D – Mai': null,
+      'Umemaro 3D – Aya': null,
+      'World of Warcraft Arena': null,
+      'World of Warcraft Sylvanas Agreement': null
+    });
+  });
+
+  test('groups spin-offs named after a series', () => {
+    expect(franchisesOf([
+      { id: 'hmm-bible-black', name: 'Bible Black', year: 2001 },
+      { id: 'hmm-bible-black-new-testament', name: 'Bible Black: New Testament', year: 2004 },
+      { id: 'htv-bible-black-only', name: 'Bible Black Only', year: 2005 },
+      { id: 'hmm-bible-black-only-version', name: 'Bible Black Only Version', year: 2005 },
+      { id: 'hmm-taimanin-asagi', name: 'Taimanin Asagi', year: 2013 },
+      { id: 'hmm-taimanin-asagi-bonus-video', name: 'Taimanin Asagi: Bonus Video', year: 2013 },
+      { id: 'hse-taimanin-asagi-3d', name: 'Taimanin Asagi 3d', year: 2013 },
+      { id: 'hse-the-train-taimanin-asagi', name: 'The Train – Taimanin Asagi', year: 2020 }
+    ])).toEqual({
+      'Bible Black': 'Bible Black',
+      'Bible Black: New Testament': 'Bible Black',
+      'Bible Black Only': 'Bible Black',
+      'Bible Black Only Version': 'Bible Black',
+      'Taimanin Asagi': 'Taimanin Asagi',
+      'Taimanin Asagi: Bonus Video': 'Taimanin Asagi',
+      'Taimanin Asagi 3d': 'Taimanin Asagi',
+      'The Train – Taimanin Asagi': 'Taimanin Asagi'
+    });
+  });
+
+  test('keeps series and longer phrases that start with another series\' name apart', () => {
+    expect(franchisesOf([
+      { id: 'hmm-soukou-kijo-iris', name: 'Soukou Kijo Iris', year: 2008 },
+      { id: 'hse-soukou-kijo-iris-armored', name: 'Soukou Kijo Iris – Armored Knight Iris', year: 2008 },
+      { id: 'hse-armored-knight-iris', name: 'Armored Knight Iris', year: 2008 },
+      { id: 'hmm-forbidden-love', name: 'Forbidden Love', year: 2013 },
+      { id: 'hse-forbidden-love-of-succubus', name: 'Forbidden Love Of Succubus', year: 2018 }
+    ])).toEqual({
+      'Soukou Kijo Iris': 'Soukou Kijo Iris',
+      'Soukou Kijo Iris – Armored Knight Iris': 'Soukou Kijo Iris',
+      'Armored Knight Iris': null,
+      'Forbidden Love': null,
+      'Forbidden Love Of Succubus': null
+    });
+  });
+
+  test('does not group a studio\'s numbered releases', () => {
+    expect(franchisesOf([
+      { id: 'hse-survive-vol22', name: 'Survive Vol22', studio: 'survive' },
+      { id: 'hse-survive-vol30', name: 'Survive Vol30', studio: 'survive' }
+    ])).toEqual({ 'Survive Vol22': null, 'Survive Vol30': null });
+  });
+});
@@ -0,0 +1,62 @@
+process.env.CACHE_BACKEND = 'memory';
+process.env.LOG_LEVEL = 'error';
+process.env.PROXY_SIGNING_SECRET = 'request-context-test-secret';
+
+const express = require('express');
+const request = require('supertest');
+const requestContext = require('../src/utils/requestContext');
+const { requireSignature, signVideoProxyUrl } = require('../src/utils/urlSigner');
+
+function createApp() {
+  const app = express();
+  app.use(requestContext.middleware());
+  app.get('/:config/stream/:type/:id.json', (req, res) => {
+    const signed = new URL(signVideoProxyUrl({ jwplayer: 'https://example.com/jwplayer/?id=1' }));
+    res.json({ url: `${signed.pathname}${signed.search}` });
+  });
+  app.get('/video-proxy', requireSignature('/video-proxy'), (req, res) => {
+    requestContext.linkParentRequest(req.query.rid);
+    res.end();
+  });
+  app.get('/image-proxy', (req, res) => res.end());
+  return app;
+}
+
+describe('requestContext', () => {
+  test('generates request IDs and keeps the client ID as an attribute', async () => {
+    const res = await request(createApp())
+      .get('/image-proxy')
+      .set('X-Request-Id', 'client-chosen-id')
+      .expect(200);
+
+    const requestId = res.headers['x-request-id'];
+    expect(requestId).not.toBe('client-chosen-id');
+    expect(requestContext.getTrace('client-chosen-id')).toBeNull();
+    expect(requestContext.getTrace(requestId).root.attributes.clientRequestId).toBe('client-chosen-id');
+  });
+
+  test('leaves the config segment out of the span name', async () => {
+    const res = await request(createApp()).get('/ut=secret-user-token&quality=720p/stream/series/hs-a.json').expect(200);
+    const { name } = requestContext.getTrace(res.headers['x-request-id']).root;
+    expect(name).toBe('GET /:config/stream/series/hs-a.json');
+    expect(name).not.toContain('secret');
+  });
+
+  test('links signed /video-proxy requests to the stream request only', async () => {
+    const app = createApp();
+    const stream = await request(app).get('/ut=secret-user-token/stream/series/hs-a.json').expect(200);
+    const streamId = stream.headers['x-request-id'];
+
+    const proxied = await request(app).get(stream.body.url).expect(200);
+    expect(requestContext.getTrace(proxied.headers['x-request-id']).parentRequestId).toBe(streamId);
+
+    // An unsigned rid (any route) or a rid swapped into a signed URL links nothing
+    const unsigned = await request(app).get(`/image-proxy?rid=${streamId}`).expect(200);
+    expect(requestContext.getTrace(unsigned.headers['x-request-id']).parentRequestId).toBeNull();
+    const forged = new URL(stream.body.url, 'http://localhost');
+    forged.searchParams.set('rid', 'another-request-id');
+    await request(app).get(`${forged.pathname}${forged.search}`).expect(403);
+
+    expect(requestContext.getTrace(streamId).linkedRequests).toEqual([proxied.headers['x-request-id']]);
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Search index on the bundled catalog, compared with the linear scan it replaced
+ * (catalogAggregator.searchDatabase before the index)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { SearchIndex, STOPWORDS, queryWords } = require('../src/utils/searchIndex');
+
+const CATALOG_PATH = path.join(__dirname, '..', 'data', 'catalog.json.gz');
+
+// Queries spelled the way the catalog spells them (the linear scan has no fuzzy matching)
+const QUERIES = ['mama', 'oppai', 'kyonyuu', 'shoujo', 'succubus yondara', 'overflow', 'kaede to suzu', 'queen bee', 'netorare'];
+
+// Queries with a single obvious title - both searches must rank it first
+const TITLE_QUERIES = ['mama', 'kyonyuu', 'succubus yondara', 'overflow', 'kaede to suzu'];
+
+/**
+ * Linear scan used before the search index
+ */
+function linearSearch(allItems, query, limit = 50) {
+  const queryLower = query.toLowerCase().trim();
+  const scored = [];
+
+  for (const item of allItems) {
+    const name = (item.name || '').toLowerCase();
+    const description = (item.description || '').toLowerCase();
+    const studio = (item.studio || '').toLowerCase();
+    const genres = (item.genres || []).map(g => g.toLowerCase());
+
+    let score = 0;
+    if (name === queryLower) score += 1000;
+    else if (name.startsWith(queryLower)) score += 500;
+    else if (name.includes(queryLower)) score += 200;
+
+    const queryWords = queryLower.split(/\s+/);
+    const nameWords = name.split(/\s+/);
+    if (queryWords.length > 1 && queryWords.every(qw => nameWords.some(nw => nw.includes(qw)))) {
+      score += 150;
+    }
+    for (const qw of queryWords) {
+      if (nameWords.some(nw => nw === qw)) score += 50;
+      else if (nameWords.some(nw => nw.startsWith(qw))) score += 25;
+    }
+
+    if (studio === queryLower) score += 300;
+    else if (studio.includes(queryLower)) score += 100;
+
+    for (const genre of genres) {
+      if (genre === queryLower) score += 80;
+      else if (genre.includes(queryLower)) score += 30;
+    }
+
+    if (description.includes(queryLower)) score += 10;
+
+    if (score > 0) scored.push({ item, score });
+  }
+
+  scored.sort((a, b) => b.score - a.score || (b.item.rating || 0) - (a.item.rating || 0));
+  return { results: scored.slice(0, limit), total: scored.length };
+}
+
+let catalog;
+let index;
+
+beforeAll(() => {
+  catalog = JSON.parse(zlib.gunzipSync(fs.readFileSync(CATALOG_PATH)).toString('utf8')).catalog;
+  index = new SearchIndex(catalog);
+});
+
+describe('SearchIndex vs linear search', () => {
+  test.each(QUERIES)('finds every title the linear search matches word by word: %s', (query) => {
+    const found = new Set(index.search(query, { limit: Infinity }).results.map(r => r.item.id));
+    const words = query.split(' ').filter(word => !STOPWORDS.has(word));
+
+    const titleMatches = linearSearch(catalog, query, Infinity).results
+      .map(r => r.item)
+      .filter(item => {
+        const nameWords = (item.name || '').toLowerCase().split(/\s+/);
+        return words.every(word => nameWords.some(nameWord => nameWord.startsWith(word)));
+      });
+
+    expect(titleMatches.length).toBeGreaterThan(0);
+    expect(titleMatches.filter(item => !found.has(item.id)).map(item => item.name)).toEqual([]);
+  });
+
+  test.each(TITLE_QUERIES)('ranks the same title first: %s', (query) => {
+    expect(index.search(query).results[0].item.id).toBe(linearSearch(catalog, query).results[0].item.id);
+  });
+
+  test('every query word has to match, particles aside', () => {
+    const { results, total } = index.search('kaede to suzu', { limit: Infinity });
+    expect(total).toBeLessThan(5);
+    expect(results[0].item.name).toMatch(/^Kaede to Suzu/);
+
+    for (const { item } of index.search('succubus yondara', { limit: Infinity }).results) {
+      expect(JSON.stringify(item).toLowerCase()).toContain('yondara');
+    }
+  });
+
+  test('a query of only stopwords still searches', () => {
+    expect(queryWords('to no')).toEqual(['to', 'no']);
+    expect(queryWords('kaede to suzu')).toEqual(['kaede', 'suzu']);
+  });
+
+  test.each(TITLE_QUERIES)('only scores entries that match every word, not the whole catalog: %s', (query) => {
+    // Count the entries whose phrases (titles, studio, genres) get compared
+    const phrases = index.phrases;
+    const scored = new Set();
+    index.phrases = new Proxy(phrases, {
+      get(target, property) {
+        if (typeof property === 'string' && /^\d+$/.test(property)) scored.add(property);
+        return target[property];
+      }
+    });
+
+    try {
+      const { total } = index.search(query, { limit: Infinity });
+      expect(scored.size).toBe(total);
+      expect(total).toBeLessThan(catalog.length / 10);
+    } finally {
+      index.phrases = phrases;
+    }
+  });
+});
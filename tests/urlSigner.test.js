@@ -0,0 +1,39 @@
+process.env.LOG_LEVEL = 'error';
+process.env.PROXY_SIGNING_SECRET = 'url-signer-test-secret';
+
+const { signUrl, verify } = require('../src/utils/urlSigner');
+
+function signedQuery(route, params) {
+  return Object.fromEntries(new URL(signUrl(route, params, 60)).searchParams);
+}
+
+describe('urlSigner', () => {
+  test('verifies the query it signed', () => {
+    const query = signedQuery('/image-proxy', { url: 'https://example.com/a.jpg?w=200&h=300' });
+    expect(verify('/image-proxy', query)).toEqual({ valid: true });
+  });
+
+  test('rejects a signature moved to another route or params', () => {
+    const query = signedQuery('/image-proxy', { url: 'https://example.com/a.jpg' });
+    expect(verify('/video-proxy', query).valid).toBe(false);
+    expect(verify('/image-proxy', { ...query, url: 'https://example.com/b.jpg' }).valid).toBe(false);
+  });
+
+  test('separators inside values cannot forge other params', () => {
+    // Both would serialize to "ref=x&url=y" without encoding
+    const query = signedQuery('/video-proxy', { ref: 'x&url=y' });
+    const forged = { ref: 'x', url: 'y', exp: query.exp, kid: query.kid, sig: query.sig };
+    expect(verify('/video-proxy', forged)).toEqual({ valid: false, reason: 'bad signature' });
+  });
+
+  test('rejects repeated params even if their joined value was signed', () => {
+    const query = signedQuery('/image-proxy', { url: 'a,b' });
+    expect(verify('/image-proxy', { ...query, url: ['a', 'b'] })).toEqual({ valid: false, reason: 'malformed query' });
+  });
+
+  test('rejects expired and unsigned URLs', () => {
+    const expired = Object.fromEntries(new URL(signUrl('/image-proxy', { url: 'https://example.com/a.jpg' }, -1)).searchParams);
+    expect(verify('/image-proxy', expired)).toEqual({ valid: false, reason: 'expired' });
+    expect(verify('/image-proxy', { url: 'https://example.com/a.jpg' })).toEqual({ valid: false, reason: 'unsigned' });
+  });
+});
@@ -0,0 +1,87 @@
+process.env.LOG_LEVEL = 'error';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { UserStore, UserLimitError } = require('../src/utils/userStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let tempDir;
+
+function token(n) {
+  return `test-token-${String(n).padStart(8, '0')}`;
+}
+
+function createStore(options) {
+  return new UserStore({ filePath: path.join(tempDir, 'users.json'), ...options });
+}
+
+function expectLimitError(fn, status) {
+  let error;
+  try {
+    fn();
+  } catch (e) {
+    error = e;
+  }
+  expect(error).toBeInstanceOf(UserLimitError);
+  expect(error.status).toBe(status);
+}
+
+beforeEach(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'user-store-'));
+});
+
+afterEach(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('UserStore limits', () => {
+  test('refuses new users when full instead of dropping active ones', () => {
+    const store = createStore({ maxUsers: 2, inactiveDays: 30 });
+    store.addFavourite(token(1), 'hs-a');
+    store.addFavourite(token(2), 'hs-b');
+
+    expectLimitError(() => store.addFavourite(token(3), 'hs-c'), 503);
+    expect(store.getFavourites(token(1))).toHaveLength(1);
+    expect(store.getFavourites(token(2))).toHaveLength(1);
+
+    // Existing users are unaffected
+    expect(store.addFavourite(token(1), 'hs-c')).toBe(true);
+    store.shutdown();
+  });
+
+  test('drops only users idle past inactiveDays to make room', () => {
+    const store = createStore({ maxUsers: 2, inactiveDays: 30 });
+    store.addFavourite(token(1), 'hs-a');
+    store.addFavourite(token(2), 'hs-b');
+    store.getUser(token(1)).updatedAt = new Date(Date.now() - 31 * DAY_MS).toISOString();
+
+    expect(store.addFavourite(token(3), 'hs-c')).toBe(true);
+    expect(store.getUser(token(1))).toBeNull();
+    expect(store.getFavourites(token(2))).toHaveLength(1);
+    store.shutdown();
+  });
+
+  test('limits new users per IP', () => {
+    const store = createStore({ maxNewUsersPerIp: 2 });
+    store.addFavourite(token(1), 'hs-a', '10.0.0.1');
+    store.addFavourite(token(2), 'hs-a', '10.0.0.1');
+
+    expectLimitError(() => store.addFavourite(token(3), 'hs-a', '10.0.0.1'), 429);
+    expect(store.addFavourite(token(3), 'hs-a', '10.0.0.2')).toBe(true);
+    // Known tokens don't count
+    expect(store.addFavourite(token(1), 'hs-b', '10.0.0.1')).toBe(true);
+    store.shutdown();
+  });
+
+  test('recordWatch skips new tokens over the limits', () => {
+    const store = createStore({ maxUsers: 1 });
+    store.recordWatch(token(1), 'hs-a', 1);
+    store.recordWatch(token(2), 'hs-a', 1);
+
+    expect(store.getHistory(token(1))).toHaveLength(1);
+    expect(store.getUser(token(2))).toBeNull();
+    store.shutdown();
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * /video-proxy against a local fake HentaiSea origin
+ *
+ * The origin serves a jwplayer page, an HLS master playlist and a media
+ * playlist (relative URIs, EXT-X-KEY, segments) and records the Referer of
+ * every request. Tokens listed in `rejectedTokens` get a 403, like an expired
+ * or revoked video token.
+ */
+
+process.env.CACHE_BACKEND = 'memory';
+process.env.LOG_LEVEL = 'error';
+process.env.PROXY_SIGNING_SECRET = 'video-proxy-test-secret';
+
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const { requireSignature, signVideoProxyUrl, verify } = require('../src/utils/urlSigner');
+const { handleVideoProxy } = require('../src/utils/videoProxy');
+
+const KEY_BYTES = Buffer.from('0123456789abcdef');
+
+let origin;
+let originUrl;
+// Origin path → Referer headers received
+let referers;
+// jwplayer page id → number of times it was fetched
+let jwFetches;
+// jwplayer page id → tokens handed out, in order
+let jwTokens;
+let rejectedTokens;
+
+function record(req) {
+  const { pathname } = new URL(req.url, originUrl);
+  if (!referers.has(pathname)) referers.set(pathname, []);
+  referers.get(pathname).push(req.headers.referer);
+}
+
+function serveOrigin(req, res) {
+  record(req);
+  const url = new URL(req.url, originUrl);
+
+  if (url.pathname === '/jwplayer/') {
+    const id = url.searchParams.get('id');
+    const count = (jwFetches.get(id) || 0) + 1;
+    jwFetches.set(id, count);
+    const tokens = jwTokens.get(id);
+    const token = tokens[Math.min(count, tokens.length) - 1];
+    // jwplayer escapes slashes in its setup JSON
+    const file = `${originUrl}/hls/master.m3u8?token=${token}`.replace(/\//g, '\\/');
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    return res.end(`<script>jwplayer().setup({"file":"${file}"});</script>`);
+  }
+
+  if (rejectedTokens.has(url.searchParams.get('token'))) {
+    res.writeHead(403);
+    return res.end('Forbidden');
+  }
+
+  switch (url.pathname) {
+    case '/hls/master.m3u8':
+      res.writeHead(200, { 'Content-Type': 'application/vnd.apple.mpegurl' });
+      return res.end([
+        '#EXTM3U',
+        '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aud",NAME="ja",URI="audio/ja.m3u8"',
+        '#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=1280x720,AUDIO="aud"',
+        '720p/index.m3u8',
+        ''
+      ].join('\n'));
+    case '/hls/720p/index.m3u8':
+      res.writeHead(200, { 'Content-Type': 'application/vnd.apple.mpegurl' });
+      return res.end([
+        '#EXTM3U',
+        '#EXT-X-TARGETDURATION:4',
+        '#EXT-X-KEY:METHOD=AES-128,URI="key.bin",IV=0x00000000000000000000000000000001',
+        '#EXTINF:4.0,',
+        'seg0.ts',
+        '#EXTINF:4.0,',
+        `${originUrl}/hls/720p/seg1.ts`,
+        '#EXT-X-ENDLIST',
+        ''
+      ].join('\n'));
+    case '/hls/720p/key.bin':
+      res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+      return res.end(KEY_BYTES);
+    case '/hls/720p/seg0.ts':
+    case '/hls/720p/seg1.ts':
+      res.writeHead(200, { 'Content-Type': 'video/mp2t' });
+      return res.end(`segment ${url.pathname}`);
+    default:
+      res.writeHead(404);
+      return res.end();
+  }
+}
+
+function createApp() {
+  const app = express();
+  app.get('/video-proxy', requireSignature('/video-proxy'), handleVideoProxy);
+  return app;
+}
+
+/**
+ * Signed URL handed out by the stream handler for a jwplayer page
+ */
+function jwplayerProxyPath(id, tokens) {
+  jwTokens.set(id, tokens);
+  const signed = new URL(signVideoProxyUrl({ jwplayer: `${originUrl}/jwplayer/?id=${id}` }));
+  return `${signed.pathname}${signed.search}`;
+}
+
+/**
+ * Every URI in a playlist (URI lines and URI="..." attributes)
+ */
+function playlistUris(body) {
+  const uris = [];
+  for (const line of body.split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+    if (trimmed.startsWith('#')) {
+      for (const match of trimmed.matchAll(/URI="([^"]+)"/g)) uris.push(match[1]);
+    } else {
+      uris.push(trimmed);
+    }
+  }
+  return uris;
+}
+
+/**
+ * Check a rewritten URI is a valid signed /video-proxy URL and return its target
+ */
+function expectSignedProxyUrl(uri) {
+  const url = new URL(uri);
+  expect(url.pathname).toBe('/video-proxy');
+  const query = Object.fromEntries(url.searchParams);
+  expect(verify('/video-proxy', query)).toEqual({ valid: true });
+  expect(query.ref).toBe('https://hentaisea.com/');
+  return query.url;
+}
+
+function proxyPath(uri) {
+  const url = new URL(uri);
+  return `${url.pathname}${url.search}`;
+}
+
+beforeAll(async () => {
+  origin = http.createServer(serveOrigin);
+  await new Promise(resolve => origin.listen(0, '127.0.0.1', resolve));
+  originUrl = `http://127.0.0.1:${origin.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => origin.close(resolve));
+});
+
+beforeEach(() => {
+  referers = new Map();
+  jwFetches = new Map();
+  jwTokens = new Map();
+  rejectedTokens = new Set();
+});
+
+describe('/video-proxy HLS rewriting', () => {
+  test('rewrites every playlist URI to a signed proxy URL and forwards the Referer', async () => {
+    const app = createApp();
+
+    const master = await request(app).get(jwplayerProxyPath('rewrite', ['good'])).expect(200);
+    expect(master.headers['content-type']).toMatch(/mpegurl/);
+
+    const masterTargets = playlistUris(master.text).map(expectSignedProxyUrl);
+    expect(masterTargets).toEqual([
+      `${originUrl}/hls/audio/ja.m3u8`,
+      `${originUrl}/hls/720p/index.m3u8`
+    ]);
+
+    const variantUri = playlistUris(master.text)[1];
+    const media = await request(app).get(proxyPath(variantUri)).expect(200);
+
+    const mediaUris = playlistUris(media.text);
+    expect(mediaUris.map(expectSignedProxyUrl)).toEqual([
+      `${originUrl}/hls/720p/key.bin`,
+      `${originUrl}/hls/720p/seg0.ts`,
+      `${originUrl}/hls/720p/seg1.ts`
+    ]);
+    // Tags without URIs are left alone
+    expect(media.text).toContain('#EXT-X-TARGETDURATION:4');
+    expect(media.text).toContain('IV=0x00000000000000000000000000000001');
+
+    const key = await request(app).get(proxyPath(mediaUris[0])).buffer(true).expect(200);
+    expect(Buffer.from(key.body)).toEqual(KEY_BYTES);
+    const segment = await request(app).get(proxyPath(mediaUris[1])).buffer(true).expect(200);
+    expect(Buffer.from(segment.body).toString()).toBe('segment /hls/720p/seg0.ts');
+
+    for (const path of ['/jwplayer/', '/hls/master.m3u8', '/hls/720p/index.m3u8', '/hls/720p/key.bin', '/hls/720p/seg0.ts']) {
+      expect(referers.get(path)).toEqual(['https://hentaisea.com/']);
+    }
+  });
+
+  test('rejects tampered sub-resource URLs', async () => {
+    const app = createApp();
+    const master = await request(app).get(jwplayerProxyPath('tamper', ['good'])).expect(200);
+
+    const signed = new URL(playlistUris(master.text)[1]);
+    signed.searchParams.set('url', `${originUrl}/hls/720p/key.bin`);
+    await request(app).get(proxyPath(signed.toString())).expect(403);
+    expect(referers.has('/hls/720p/key.bin')).toBe(false);
+  });
+});
+
+describe('/video-proxy token refresh', () => {
+  test('a 403 from the origin resolves a fresh URL once and retries', async () => {
+    const app = createApp();
+    rejectedTokens.add('expired');
+
+    const res = await request(app).get(jwplayerProxyPath('refresh', ['expired', 'fresh'])).expect(200);
+    expect(res.text).toMatch(/^#EXTM3U/);
+    expect(jwFetches.get('refresh')).toBe(2);
+    expect(referers.get('/hls/master.m3u8')).toHaveLength(2);
+
+    // The refreshed URL is cached - the next request goes straight to the origin
+    await request(app).get(jwplayerProxyPath('refresh', ['expired', 'fresh'])).expect(200);
+    expect(jwFetches.get('refresh')).toBe(2);
+  });
+
+  test('gives up after one refresh if the origin keeps returning 403', async () => {
+    const app = createApp();
+    rejectedTokens.add('revoked');
+
+    await request(app).get(jwplayerProxyPath('revoked', ['revoked'])).expect(500);
+    expect(jwFetches.get('revoked')).toBe(2);
+    expect(referers.get('/hls/master.m3u8')).toHaveLength(2);
+  });
+});